@@ -0,0 +1,16 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+   js.configs.recommended,
+   {
+      languageOptions: {
+         ecmaVersion: 2022,
+         sourceType: 'module',
+         globals: { ...globals.node },
+      },
+      rules: {
+         'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none' }],
+      },
+   },
+];
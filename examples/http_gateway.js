@@ -0,0 +1,43 @@
+// The level-up route of memory_demo.js, reached over HTTP through the gateway
+// instead of a hand-written endpoint. Fully in-process, no NATS server needed.
+// ──────────────────────────────────────────────────────────────────────────
+import { PeerNode, MemoryAdapter, HttpGateway } from '../src/index.js';
+
+const main = async () => {
+   const gc = new PeerNode({ nodeId: 'n1', service: 'gc', bus: new MemoryAdapter() });
+   const ag = new PeerNode({ nodeId: 'n1', service: 'ag', bus: new MemoryAdapter() });
+   await Promise.all([gc.connect(), ag.connect()]);
+
+   const db = {};
+   gc.on('post', '/unit/exp/add', async (ctx) => {
+      const { unitId, exp } = ctx.payload;
+      const stats = (db[unitId] ??= { level: 1, exp: 0 });
+      stats.exp += exp;
+      while (stats.exp >= 100) {
+         stats.exp -= 100;
+         stats.level += 1;
+      }
+      return { unitId, ...stats };
+   });
+
+   // only the listed routes are reachable from outside
+   const gateway = new HttpGateway(ag, { prefix: '/api', routes: ['post /n1/gc/unit/exp/add'] });
+   const server = await gateway.listen(0, '127.0.0.1');
+   const base = `http://127.0.0.1:${server.address().port}/api`;
+
+   const post = async (path, body) => {
+      const res = await fetch(`${base}${path}`, {
+         method: 'POST',
+         headers: { 'content-type': 'application/json' },
+         body: JSON.stringify(body),
+      });
+      return `${res.status} ${await res.text()}`;
+   };
+   console.log('POST +120 exp  →', await post('/n1/gc/unit/exp/add', { unitId: 'U42', exp: 120 }));
+   console.log('Not exposed    →', await post('/n1/gc/unit/delete', { unitId: 'U42' }));
+
+   await gateway.close();
+   await Promise.all([ag.close(), gc.close()]);
+};
+
+main().catch(console.error);
@@ -8,26 +8,32 @@ setLogErrorHandler(err => {
    console.error('📣 CustomLog:', err);
 });
 
+const statsRequest = {
+   type: 'object',
+   required: ['playerId', 'action'],
+   properties: {
+      playerId: { type: 'integer', minimum: 1 },
+      action: { type: 'string', enum: ['level_up', 'view'] },
+   },
+};
+
 const main = async () => {
    const ag = new PeerNode({ nodeId: 'n1', service: 'ag' });
    const ds = new PeerNode({ nodeId: 'n1', service: 'ds' });
    await Promise.all([ag.connect(), ds.connect()]);
 
-   // DS handles GET /player/stats with a single ctx
+   // DS handles GET /player/stats with a single ctx;
+   // the schema rejects bad requests with a 400 before the handler runs
    ds.on('get', '/player/stats', (ctx) => {
       const { playerId, action } = ctx.payload;
       console.log(
          `[${ctx.traceId}] GET /player/stats → playerId=${playerId}, action=${action}`
       );
 
-      if (!playerId || !action) {
-         return { error: 'Missing playerId or action' };
-      }
-
       return action === 'level_up'
          ? { playerId, newLevel: 43, score: 9050 }
          : { playerId, newLevel: 42, score: 9000 };
-   });
+   }, { schema: statsRequest });
 
    // wait for subscription to be active 
    await new Promise(r => setTimeout(r, 100));
@@ -38,6 +44,9 @@ const main = async () => {
    });
 
    console.log('AG received:', stats);
+
+   const invalid = await ag.send('get', 'n1/ds/player/stats', { playerId: 'x' });
+   console.log('AG received (invalid):', invalid);
    await Promise.all([ag.close(), ds.close()]);
 };
 
@@ -0,0 +1,38 @@
+// Same scenario as demo_full_test.js, but fully in-process:
+// no NATS server needed, both nodes share the default MemoryBroker.
+// ──────────────────────────────────────────────────────────────────
+import { PeerNode, MemoryAdapter } from '../src/index.js';
+
+const main = async () => {
+   const gc = new PeerNode({ nodeId: 'n1', service: 'gc', bus: new MemoryAdapter() });
+   const ag = new PeerNode({ nodeId: 'n1', service: 'ag', bus: new MemoryAdapter() });
+   await Promise.all([gc.connect(), ag.connect()]);
+
+   const db = {};
+   gc.on('post', '/unit/exp/add', async (ctx) => {
+      const { unitId, exp } = ctx.payload;
+      const stats = (db[unitId] ??= { level: 1, exp: 0 });
+      stats.exp += exp;
+      while (stats.exp >= 100) {
+         stats.exp -= 100;
+         stats.level += 1;
+      }
+      return { unitId, ...stats };
+   });
+
+   // no waiting for subscription propagation: delivery is in-process
+   console.log('After +50  exp →', await ag.send('post', 'n1/gc/unit/exp/add', { unitId: 'U42', exp: 50 }));
+   console.log('After +70  exp →', await ag.send('post', 'n1/gc/unit/exp/add', { unitId: 'U42', exp: 70 }));
+
+   // a repeated post with the same idempotency key is answered, not applied again
+   const grant = { unitId: 'U42', exp: 30 };
+   console.log('After +30  exp →', await ag.send('post', 'n1/gc/unit/exp/add', grant, { idempotencyKey: 'grant-1' }));
+   console.log('Same grant     →', await ag.send('post', 'n1/gc/unit/exp/add', grant, { idempotencyKey: 'grant-1' }));
+
+   // nobody listens → the node is asked for the path's verbs: 404 here, 405 for a wrong verb
+   console.log('Unknown route →', await ag.send('get', 'n1/gc/nowhere'));
+
+   await Promise.all([ag.close(), gc.close()]);
+};
+
+main().catch(console.error);
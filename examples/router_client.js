@@ -20,10 +20,13 @@ const main = async () => {
    // 3) health
    console.log(await ag.send('get', 'n1/gc/health'));
 
-   // TODO 4) debug with custom header
-   // console.log(await ag.send('put', 'n1/gc/debug',
-   //    { foo: 'bar' }, { headers: { 'x-client': 'demo' } })
-   // );
+   // 4) debug with custom header (any verb)
+   console.log(await ag.send('put', 'n1/gc/debug',
+      { foo: 'bar' }, { headers: { 'x-client': 'demo' } })
+   );
+
+   // 5) wrong verb → 405, allowed verbs in the reply
+   console.log(await ag.send('delete', 'n1/gc/health'));
 
    await ag.close();
 };
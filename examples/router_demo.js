@@ -25,6 +25,13 @@ const main = async () => {
    const router = new NodeRouter();
 
    router
+      /* ────── middleware: timing for every route ────── */
+      .use(async (ctx, next) => {
+         const started = Date.now();
+         const res = await next();
+         log(ctx, `done in ${Date.now() - started}ms`);
+         return res;
+      })
       /* ────── POST /unit/exp/add ────── */
       .use('post', '/unit/exp/add', async (ctx) => {
          const { unitId, exp } = ctx.payload;
@@ -53,11 +60,11 @@ const main = async () => {
          return { ok: true };
       })
 
-      // /* ────── * /debug ────── */ TODO
-      // .use('*', '/debug', ctx => {
-      //    log(ctx, 'debug echo', ctx.payload);
-      //    return { echo: ctx.payload };
-      // });
+      /* ────── * /debug (every verb) ────── */
+      .use('*', '/debug', ctx => {
+         log(ctx, 'debug echo', ctx.payload);
+         return { echo: ctx.payload, method: ctx.method };
+      });
 
    router.apply(gc);
    console.log('GC routes mounted and ready.');
@@ -0,0 +1,94 @@
+// Circuit breaker for sync sends, one per destination ("<nodeId>/<service>")
+// ─────────────────────────────────────────────────────────────────────────
+//
+//    closed ── `threshold` failures in a row ──▶ open ── `resetTimeout` ──▶ half-open
+//      ▲                                           ▲                          │
+//      └──────────── trial succeeds ───────────────┼──── trial fails ─────────┘
+//
+// While open, requests fail fast with 503 (code CIRCUIT_OPEN) instead of
+// waiting for a timeout. Half-open lets exactly one trial request through.
+import { EventEmitter } from 'node:events';
+
+/**
+ * Events:
+ *    state  (to, from)  – every state change
+ */
+export class CircuitBreaker extends EventEmitter {
+   /**
+    * @param {string} destination  "<nodeId>/<service>"
+    * @param {object} [opts]
+    * @param {number} [opts.threshold=5]         consecutive failures that open the circuit
+    * @param {number} [opts.resetTimeout=10000]  ms the circuit stays open before a trial
+    * @param {number[]} [opts.statuses]          statuses counted as failures (default 502, 503, 504)
+    */
+   constructor(destination, { threshold = 5, resetTimeout = 10_000, statuses = [502, 503, 504] } = {}) {
+      super();
+      this.destination = destination;
+      this.threshold = threshold;
+      this.resetTimeout = resetTimeout;
+      this.statuses = statuses.map(Number);
+      /** @type {"closed"|"open"|"half-open"} */
+      this.state = 'closed';
+      this.failures = 0;
+      this.openedAt = 0;
+      this.trialPending = false;
+   }
+
+   /**
+    * Ask to send one request.
+    * @returns {{ trial: boolean }|null} ticket for record(), null to fail fast
+    */
+   acquire() {
+      if (this.state === 'open') {
+         if (Date.now() - this.openedAt < this.resetTimeout) return null;
+         this.#setState('half-open');
+      }
+      if (this.state === 'closed') return { trial: false };
+      if (this.trialPending) return null;
+      this.trialPending = true;
+      return { trial: true };
+   }
+
+   /**
+    * Report the outcome of a request let through by acquire().
+    * @param {{ trial: boolean }} ticket
+    * @param {number} status  reply status, or the transport error status
+    */
+   record(ticket, status) {
+      const failed = this.statuses.includes(Number(status));
+      if (ticket.trial) {
+         this.trialPending = false;
+         if (failed) this.#open();
+         else this.#close();
+         return;
+      }
+      if (this.state !== 'closed') return; // late answer of a request sent before the circuit opened
+      if (!failed) this.failures = 0;
+      else if (++this.failures >= this.threshold) this.#open();
+   }
+
+   /**
+    * Give back a ticket whose request ended without an outcome (e.g. aborted
+    * by the caller); a half-open circuit then admits the next trial.
+    */
+   release(ticket) {
+      if (ticket.trial) this.trialPending = false;
+   }
+
+   #open() {
+      this.openedAt = Date.now();
+      this.#setState('open');
+   }
+
+   #close() {
+      this.failures = 0;
+      this.#setState('closed');
+   }
+
+   #setState(state) {
+      const from = this.state;
+      if (from === state) return;
+      this.state = state;
+      this.emit('state', state, from);
+   }
+}
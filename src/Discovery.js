@@ -0,0 +1,158 @@
+// Service discovery for PeerNode
+// ──────────────────────────────
+// Every node announces itself (node id, service, version, routes) on
+// connect and then on each heartbeat; every node keeps the resulting live
+// cluster map. Nodes that stop sending heartbeats time out of the map.
+import { EventEmitter } from 'node:events';
+
+export const ANNOUNCE_SUBJECT = '_peer/announce';
+export const LEAVE_SUBJECT = '_peer/leave';
+
+/**
+ * Live registry of the instances on the bus.
+ *
+ * Events (never emitted for the own instance):
+ *    join     (info)  – a new instance announced itself
+ *    update   (info)  – a known instance changed its routes or version
+ *    leave    (info)  – an instance closed cleanly
+ *    timeout  (info)  – an instance missed its heartbeats
+ */
+export class Discovery extends EventEmitter {
+   /**
+    * @param {import('./PeerNode.js').PeerNode} peer
+    * @param {object} [opts]
+    * @param {number} [opts.heartbeatInterval=5000]  ms between announcements
+    * @param {number} [opts.ttl]                     ms without heartbeat before timeout (default 3 intervals)
+    */
+   constructor(peer, { heartbeatInterval = 5_000, ttl } = {}) {
+      super();
+      this.peer = peer;
+      this.heartbeatInterval = heartbeatInterval;
+      this.ttl = ttl ?? heartbeatInterval * 3;
+      /** @type {Map<string, object>} instanceId → info + lastSeen */
+      this.instances = new Map();
+      /** @type {Set<string>} "<nodeId>/<service>" whose last instance left or timed out */
+      this.down = new Set();
+      this.timer = null;
+      this.pending = null;
+      this.subs = [];
+   }
+
+   /* ──────────────── lifecycle ──────────────── */
+   async start() {
+      this.subs.push(
+         this.peer.subscribeInternal(ANNOUNCE_SUBJECT, data => this.#onAnnounce(data)),
+         this.peer.subscribeInternal(LEAVE_SUBJECT, data => this.#onLeave(data)),
+      );
+      await this.announce({ hello: true });
+      this.timer = setInterval(() => {
+         this.#sweep();
+         this.announce();
+      }, this.heartbeatInterval);
+      this.timer.unref?.();
+   }
+
+   async stop() {
+      clearInterval(this.timer);
+      clearTimeout(this.pending);
+      this.timer = this.pending = null;
+      await this.peer.bus.publish(LEAVE_SUBJECT, { instanceId: this.peer.instanceId });
+      for (const sub of this.subs.splice(0)) sub?.unsubscribe?.();
+   }
+
+   /**
+    * Publish this node's description. `hello` asks every other instance to
+    * announce itself right away instead of waiting for its next heartbeat.
+    */
+   announce({ hello = false } = {}) {
+      return this.peer.bus.publish(ANNOUNCE_SUBJECT, { ...this.peer.describe(), hello });
+   }
+
+   /** Announce soon (debounced), e.g. after routes were added. */
+   scheduleAnnounce() {
+      if (!this.timer || this.pending) return;
+      this.pending = setTimeout(() => {
+         this.pending = null;
+         this.announce();
+      }, 50);
+      this.pending.unref?.();
+   }
+
+   /* ──────────────── queries ──────────────── */
+   /**
+    * Cluster map grouped by "<nodeId>/<service>".
+    * @returns {Record<string, object[]>}
+    */
+   snapshot() {
+      const map = {};
+      for (const info of this.instances.values()) {
+         (map[`${info.nodeId}/${info.service}`] ??= []).push({ ...info });
+      }
+      return map;
+   }
+
+   /**
+    * @param {string} target  "<nodeId>/<service>"
+    * @returns {boolean} true while at least one instance of `target` is live
+    */
+   isUp(target) {
+      target = String(target).toLowerCase();
+      for (const info of this.instances.values()) {
+         if (targetOf(info) === target) return true;
+      }
+      return false;
+   }
+
+   /**
+    * Whether sends to `target` can fail fast: it was seen, and its last
+    * instance has left or timed out since. A target never seen is not down,
+    * it may just not run discovery or not have announced itself yet.
+    * @param {string} target  "<nodeId>/<service>"
+    * @returns {boolean}
+    */
+   isDown(target) {
+      return this.down.has(String(target).toLowerCase());
+   }
+
+   /* ──────────────── internals ──────────────── */
+   #onAnnounce(info) {
+      if (!info?.instanceId) return;
+      const self = info.instanceId === this.peer.instanceId;
+      const known = this.instances.get(info.instanceId);
+      const { hello, ...entry } = info;
+      this.instances.set(info.instanceId, { ...entry, lastSeen: Date.now() });
+      this.down.delete(targetOf(entry));
+
+      if (self) return;
+      if (hello) this.announce();
+      if (!known) this.emit('join', entry);
+      else if (known.version !== entry.version || JSON.stringify(known.routes) !== JSON.stringify(entry.routes)) {
+         this.emit('update', entry);
+      }
+   }
+
+   #onLeave({ instanceId } = {}) {
+      const info = this.instances.get(instanceId);
+      if (!info || instanceId === this.peer.instanceId) return;
+      this.#remove(instanceId, info);
+      this.emit('leave', info);
+   }
+
+   #sweep() {
+      const deadline = Date.now() - this.ttl;
+      for (const [id, info] of this.instances) {
+         if (id === this.peer.instanceId || info.lastSeen >= deadline) continue;
+         this.#remove(id, info);
+         this.emit('timeout', info);
+      }
+   }
+
+   #remove(instanceId, info) {
+      this.instances.delete(instanceId);
+      if (!this.isUp(targetOf(info))) this.down.add(targetOf(info));
+   }
+}
+
+function targetOf(info) {
+   return `${info.nodeId}/${info.service}`.toLowerCase();
+}
@@ -0,0 +1,344 @@
+// HTTP gateway: PeerNode routes over node:http
+// ────────────────────────────────────────────
+//
+//    http client ── POST /api/n1/gc/unit/exp/add {json} ──▶ gateway ── post n1/gc/unit/exp/add ──▶ handler
+//    http client ◀── <reply status> {reply body} ────────── gateway ◀── reply (status header) ──── handler
+//
+//    GET /api/n1/gc/unit/u42?full=1                        get n1/gc/unit/u42 { full: '1' }
+//    POST /api/n1/gc/events/unit--emit {json}        ──▶   emit n1/gc/events/unit        ◀── 202
+//    POST /api/n1/gc/import--start {json}            ──▶   start n1/gc/import            ◀── 202 { jobId }
+//    POST /api/n1/gc/snapshot--stream {json}         ──▶   stream n1/gc/snapshot         ◀── 200 NDJSON chunks
+//
+// The HTTP method is the verb of get / post / put / patch / delete; the other
+// verbs are named like on the bus, with a "--<verb>" suffix, and take POST.
+// Reply statuses are HTTP statuses already (transport failures: 503 no
+// responders, 504 timeout); the body of a 5xx is replaced by a generic one, so
+// server-side error messages stay on the bus. Only allowlisted headers cross
+// the gateway; an `idempotency-key` request header becomes the send's idempotencyKey.
+import http from 'node:http';
+import { PeerError } from './errors.js';
+import { VERB_SEPARATOR, compileRoute, matchRoute } from './utils/routePattern.js';
+import { ALL_ASYNC_METHODS, ALL_SYNC_METHODS } from './utils/verbs.js';
+
+const SYNC = new Set(ALL_SYNC_METHODS);
+const ASYNC = new Set(ALL_ASYNC_METHODS);
+
+// "/n1/gc/unit/exp/add" → target "n1/gc", path "/unit/exp/add"
+const URL_PATH = /^\/(n\d+\/[a-z0-9_-]+)(\/.*)$/;
+
+const ALLOW_SYNC = ALL_SYNC_METHODS.map(m => m.toUpperCase()).join(', ');
+
+/**
+ * Exposes the routes of a PeerNode's bus to HTTP clients.
+ *
+ *    const gateway = new HttpGateway(peer, {
+ *       prefix: '/api',
+ *       routes: ['post /n1/gc/unit/exp/add', 'get /n1/gc/unit/:unitId', '/n1/ds/public/*rest'],
+ *       headers: { request: ['x-request-id'], response: ['cache-control', 'age'] },
+ *    });
+ *    await gateway.listen(8080);
+ *    // or: http.createServer(gateway.handler), app.use(gateway.handler)
+ *
+ * Without `routes` every url is forwarded, except internal "_peer" routes.
+ */
+export class HttpGateway {
+   /**
+    * @param {import('./PeerNode.js').PeerNode} peer  node sending on behalf of the HTTP clients
+    * @param {object} [opts]
+    * @param {string} [opts.prefix=""]  mount path stripped before mapping; other paths get 404
+    *                                   (or go to `next` when used as middleware)
+    * @param {(string|{ method: string, path: string })[]} [opts.routes]  allowlist: "[verb] /<node>/<service>/<pattern>",
+    *        verb "*" or none for every verb, patterns as in PeerNode.on(); others get 404
+    * @param {number} [opts.maxBodySize=1048576]  bytes; larger bodies get 413
+    * @param {number} [opts.timeout]              per request (default: the node's)
+    * @param {{ request?: string[], response?: string[] }} [opts.headers]  headers passed through
+    *        to the handler / back to the HTTP client (case-insensitive); response default:
+    *        cache-control, age, retry-after, allow
+    */
+   constructor(peer, {
+      prefix = '',
+      routes = null,
+      maxBodySize = 1_048_576,
+      timeout,
+      headers = {},
+   } = {}) {
+      this.peer = peer;
+      this.prefix = String(prefix).replace(/\/+$/, '');
+      this.routes = routes ? routes.map(compileEntry) : null;
+      this.maxBodySize = maxBodySize;
+      this.timeout = timeout;
+      this.requestHeaders = (headers.request ?? []).map(h => h.toLowerCase());
+      this.responseHeaders = (headers.response ?? ['cache-control', 'age', 'retry-after', 'allow']).map(h => h.toLowerCase());
+      this.server = null;
+      /** request listener for http.createServer() or connect-style middleware */
+      this.handler = (req, res, next) => {
+         this.#serve(req, res, next).catch(err => this.#fail(res, err));
+      };
+   }
+
+   /* ──────────────── server ──────────────── */
+   /**
+    * Start an HTTP server of its own.
+    * @param {number} [port=0]
+    * @param {string} [host]
+    * @returns {Promise<http.Server>}
+    */
+   async listen(port = 0, host) {
+      const server = http.createServer(this.handler);
+      await new Promise((resolve, reject) => {
+         server.once('error', reject);
+         server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve();
+         });
+      });
+      this.server = server;
+      return server;
+   }
+
+   /** Stop the server started by listen(); requests in flight are finished. */
+   async close() {
+      const server = this.server;
+      if (!server) return;
+      this.server = null;
+      server.closeIdleConnections?.();
+      await new Promise(resolve => server.close(() => resolve()));
+   }
+
+   /* ──────────────── requests ──────────────── */
+   async #serve(req, res, next) {
+      const { pathname, searchParams } = new URL(req.url, 'http://gateway');
+      if (this.prefix && pathname !== this.prefix && !pathname.startsWith(`${this.prefix}/`)) {
+         if (typeof next === 'function') return next();
+         throw new PeerError(404, `No route for ${pathname}`);
+      }
+
+      let path = decodePath(pathname.slice(this.prefix.length));
+      let verb = req.method.toLowerCase();
+      const idx = path.lastIndexOf(VERB_SEPARATOR);
+      if (idx !== -1 && !path.slice(idx).includes('/')) {
+         const named = path.slice(idx + VERB_SEPARATOR.length);
+         if (!ASYNC.has(named)) throw new PeerError(404, `Unknown verb "${named}"`);
+         if (verb !== 'post') throw methodError(req.method, 'POST');
+         verb = named;
+         path = path.slice(0, idx);
+      } else if (!SYNC.has(verb)) {
+         throw methodError(req.method, ALLOW_SYNC);
+      }
+
+      const url = URL_PATH.exec(path);
+      if (!url) throw new PeerError(404, `No route for ${path}`);
+      this.#assertAllowed(req.method, verb, path);
+
+      const payload = verb === 'get' ? queryObject(searchParams) : await this.#readBody(req);
+      const opts = this.#sendOptions(req);
+
+      // the HTTP client went away: stop waiting for the bus
+      const aborter = new AbortController();
+      res.on('close', () => {
+         if (!res.writableFinished) aborter.abort();
+      });
+
+      const target = `${url[1]}${url[2]}`;
+      if (verb === 'stream') return this.#stream(res, target, payload, opts, aborter.signal);
+      if (verb === 'start') {
+         const job = await this.peer.send('start', target, payload, opts);
+         job.close();
+         return this.#respond(res, 202, { jobId: job.id });
+      }
+      if (ASYNC.has(verb)) {
+         const messageId = await this.peer.send(verb, target, payload, opts);
+         return this.#respond(res, 202, typeof messageId === 'string' ? { messageId } : undefined);
+      }
+
+      const rep = await this.peer.send(verb, target, payload, { ...opts, rich: true, signal: aborter.signal });
+      this.#respond(res, rep.status, rep.status === 204 ? undefined : rep.data, rep.headers);
+   }
+
+   /**
+    * @throws {PeerError} 404 for a path the allowlist does not cover,
+    *         405 (with Allow) for one it covers with other verbs only
+    */
+   #assertAllowed(httpMethod, verb, path) {
+      if (!this.routes) {
+         if (path.split('/').includes('_peer')) throw new PeerError(404, `No route for ${path}`);
+         return;
+      }
+      const allowed = new Set();
+      for (const { method, route } of this.routes) {
+         if (matchRoute(route, path)) allowed.add(method);
+      }
+      if (allowed.has(verb) || allowed.has('*')) return;
+      if (!allowed.size) throw new PeerError(404, `No route for ${path}`);
+      throw methodError(httpMethod, httpAllow(allowed));
+   }
+
+   #sendOptions(req) {
+      const headers = {};
+      for (const name of this.requestHeaders) {
+         const value = req.headers[name];
+         if (value !== undefined) headers[name] = Array.isArray(value) ? value.join(', ') : value;
+      }
+      const opts = { headers };
+      if (this.timeout !== undefined) opts.timeout = this.timeout;
+      const idempotencyKey = req.headers['idempotency-key'];
+      if (idempotencyKey) opts.idempotencyKey = String(idempotencyKey);
+      return opts;
+   }
+
+   /**
+    * JSON body of the request; empty → {}.
+    * @throws {PeerError} 413 too large, 415 not JSON, 400 malformed
+    */
+   async #readBody(req) {
+      if (Number(req.headers['content-length']) > this.maxBodySize) throw tooLarge(this.maxBodySize);
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of req) {
+         size += chunk.length;
+         if (size > this.maxBodySize) throw tooLarge(this.maxBodySize);
+         chunks.push(chunk);
+      }
+      if (!size) return {};
+
+      const type = req.headers['content-type'];
+      if (type && !/[/+]json\b/i.test(type)) throw new PeerError(415, `Expected a JSON body, got ${type}`);
+      try {
+         return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch (err) {
+         throw new PeerError(400, `Malformed JSON body: ${err.message}`);
+      }
+   }
+
+   /** Chunks of a "stream" route as NDJSON; a failure after the first one ends with an error line. */
+   async #stream(res, target, payload, opts, signal) {
+      const reader = this.peer.send('stream', target, payload, opts);
+      signal.addEventListener('abort', () => reader.cancel().catch(() => {}), { once: true });
+      try {
+         for await (const chunk of reader) {
+            if (!res.headersSent) res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+            res.write(`${JSON.stringify(chunk)}\n`);
+         }
+      } catch (err) {
+         if (!res.headersSent) throw err;
+         res.end(`${JSON.stringify(errorBody(err))}\n`);
+         return;
+      }
+      if (!res.headersSent) res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+      res.end();
+   }
+
+   /* ──────────────── replies ──────────────── */
+   #respond(res, status, data, headers = {}) {
+      if (res.destroyed) return;
+      const out = {};
+      for (const name of this.responseHeaders) {
+         if (headers[name] !== undefined) out[name] = headers[name];
+      }
+      if (data === undefined || data === null) {
+         res.writeHead(httpStatus(status), out).end();
+         return;
+      }
+      const body = JSON.stringify(data);
+      res.writeHead(httpStatus(status), {
+         ...out,
+         'content-type': 'application/json; charset=utf-8',
+         'content-length': Buffer.byteLength(body),
+      }).end(body);
+   }
+
+   #fail(res, err) {
+      // the HTTP client is gone: nobody to answer
+      if (err?.code === 'ABORTED' || res.destroyed) return;
+      if (res.headersSent) {
+         res.destroy(err);
+         return;
+      }
+      const status = err instanceof PeerError ? err.status : 500;
+      const headers = err instanceof PeerError ? { ...err.headers } : {};
+      if (status === 405) {
+         // the gateway's own 405s list HTTP methods, the node's list bus verbs
+         const allow = err.data?.allow ?? (Array.isArray(err.data?.allowed) ? httpAllow(err.data.allowed) : null);
+         if (allow) res.setHeader('allow', (headers.allow = allow));
+      }
+      // an unread body would be taken for the next request
+      if (status === 413) res.setHeader('connection', 'close');
+      this.#respond(res, status, errorBody(err), headers);
+   }
+}
+
+/* ──────────────── helpers ──────────────── */
+function compileEntry(entry) {
+   let { method = '*', path } = typeof entry === 'string' ? {} : entry;
+   if (typeof entry === 'string') {
+      const parts = entry.trim().split(/\s+/);
+      if (parts.length > 1) [method, path] = parts;
+      else [path] = parts;
+   }
+   path = String(path).toLowerCase();
+   if (!URL_PATH.test(path)) throw new Error(`Gateway route "${path}" must start with "/<nodeId>/<service>/"`);
+   return { method: String(method).toLowerCase(), route: compileRoute(path) };
+}
+
+/**
+ * Url-decoded, lower-cased path (bus subjects are lower-case).
+ * @throws {PeerError} 400 for a segment with a character a bus takes for a
+ *         separator or wildcard (NATS: "." "*" ">"), which would slip past
+ *         the allowlist and the "_peer" check
+ */
+function decodePath(pathname) {
+   let path;
+   try {
+      path = pathname.split('/').map(decodeURIComponent).join('/').toLowerCase();
+   } catch {
+      throw new PeerError(400, `Malformed path ${pathname}`);
+   }
+   if (/[.*>\s]/.test(path)) throw new PeerError(400, `Invalid character in path ${pathname}`);
+   return path;
+}
+
+/** ?a=1&b=2&b=3 → { a: '1', b: ['2', '3'] } */
+function queryObject(searchParams) {
+   const out = {};
+   for (const key of new Set(searchParams.keys())) {
+      const values = searchParams.getAll(key);
+      out[key] = values.length > 1 ? values : values[0];
+   }
+   return out;
+}
+
+/**
+ * Reply body of a failure. A 4xx keeps its message: the handler's error reply
+ * as is, else the same envelope; anything else gets a generic body.
+ */
+function errorBody(err) {
+   if (!(err instanceof PeerError)) return serverError(500);
+   const status = httpStatus(err.status);
+   if (status >= 500) return serverError(status, err.code);
+   if (err.data?.error !== undefined) return err.data;
+   return { error: err.message, status: err.status, ...(err.code ? { code: err.code } : {}), ...err.data };
+}
+
+/** 5xx body without the server-side message; `code` ("TIMEOUT", ...) is kept. */
+function serverError(status, code) {
+   return { error: http.STATUS_CODES[status] ?? 'Internal Server Error', status, ...(code ? { code } : {}) };
+}
+
+/** HTTP methods reaching the given bus verbs, for an Allow header. */
+function httpAllow(verbs) {
+   return [...new Set([...verbs].map(m => (SYNC.has(m) ? m.toUpperCase() : 'POST')))].sort().join(', ');
+}
+
+function methodError(method, allow) {
+   return new PeerError(405, `Method ${method} not allowed`, { data: { allow } });
+}
+
+function tooLarge(limit) {
+   return new PeerError(413, `Body larger than ${limit} bytes`);
+}
+
+/** Bus statuses outside the HTTP range come out as 502. */
+function httpStatus(status) {
+   status = Number(status);
+   return Number.isInteger(status) && status >= 200 && status <= 599 ? status : 502;
+}
@@ -0,0 +1,168 @@
+// Idempotency keys
+// ────────────────
+//
+//    caller ── post <url> (idempotencyKey: k) ──────────▶ handler   runs, reply stored under k
+//    caller ── post <url> (idempotencyKey: k, retry) ───▶ handler   not run: stored reply
+//                                                                   (replayed: "1")
+//    caller ── post <url> (idempotencyKey: k, same payload, while the first one runs)
+//                                                                   waits for the first run
+//
+// Keys are scoped by caller, verb and path. Reusing a key with another
+// payload is rejected with 422. Replies below 500 are stored for `ttl` ms;
+// a 5xx (or a crash) leaves the key free for the next attempt. Concurrent
+// duplicates are collapsed per instance – replicas only share finished
+// replies, through a shared store.
+import crypto from 'node:crypto';
+import { PeerError } from './errors.js';
+import { MemoryIdempotencyStore } from './stores/MemoryIdempotencyStore.js';
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency key of a send: `true` generates one.
+ * @param {string|true} key
+ * @returns {string}
+ */
+export function resolveIdempotencyKey(key) {
+   if (key === true) return crypto.randomUUID();
+   key = String(key ?? '');
+   if (!key || key.length > MAX_KEY_LENGTH) {
+      throw new Error(`Idempotency key must be 1-${MAX_KEY_LENGTH} characters`);
+   }
+   return key;
+}
+
+/**
+ * Text of a value that is the same for equal payloads, whatever their
+ * codec: JSON with sorted object keys, BigInts as "<digits>n" and binary
+ * data as bin("<base64>"), neither of which JSON can produce itself.
+ * @param {any} value
+ * @returns {string|undefined}  undefined for what JSON leaves out
+ */
+function canonical(value) {
+   if (value === null) return 'null';
+   switch (typeof value) {
+      case 'bigint': return `${value}n`;
+      case 'undefined':
+      case 'function':
+      case 'symbol': return undefined;
+      case 'object': break;
+      default: return JSON.stringify(value);
+   }
+   if (value instanceof ArrayBuffer) value = new Uint8Array(value);
+   if (ArrayBuffer.isView(value)) {
+      return `bin(${JSON.stringify(Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64'))})`;
+   }
+   if (typeof value.toJSON === 'function') return canonical(value.toJSON());
+   if (Array.isArray(value)) return `[${value.map(item => canonical(item) ?? 'null').join(',')}]`;
+   const members = Object.keys(value).sort().flatMap((key) => {
+      const text = canonical(value[key]);
+      return text === undefined ? [] : [`${JSON.stringify(key)}:${text}`];
+   });
+   return `{${members.join(',')}}`;
+}
+
+/**
+ * Digest of a payload: a key must not be reused for another payload. Equal
+ * payloads match regardless of key order; BigInts and binary data count.
+ * @param {any} payload
+ * @returns {string}
+ */
+export function fingerprint(payload) {
+   return crypto.createHash('sha256').update(canonical(payload) ?? 'null').digest('base64url');
+}
+
+/**
+ * Handler side: first reply of every key, and the runs still going on.
+ */
+export class Idempotency {
+   /**
+    * @param {object} [opts]
+    * @param {import('./stores/IdempotencyStore.js').IdempotencyStore} [opts.store]  default: LRU in memory
+    * @param {number} [opts.ttl=86400000]  ms a reply is kept
+    * @param {number} [opts.max=10000]     records of the default store
+    */
+   constructor({ store, ttl = 86_400_000, max = 10_000 } = {}) {
+      this.store = store ?? new MemoryIdempotencyStore({ max });
+      this.ttl = ttl;
+      /** @type {Map<string, Promise<object|null>>} runs in progress → their record */
+      this.running = new Map();
+   }
+
+   /**
+    * Run `handler` once per key; duplicates get the stored reply.
+    *
+    * @param {object} ctx  handler context with `idempotencyKey` set
+    * @param {(ctx: object) => any} handler
+    * @returns {Promise<any>} what the handler returned (or returned first)
+    * @throws {PeerError} 422 (code IDEMPOTENCY_MISMATCH) for a key reused with
+    *         another payload, or the stored error reply
+    */
+   async run(ctx, handler) {
+      const key = `${ctx.caller?.id ?? ctx.headers.from ?? ''}|${ctx.method}|${ctx.path}|${ctx.idempotencyKey}`;
+      const digest = fingerprint(ctx.payload);
+
+      const running = this.running.get(key);
+      if (running) {
+         // null: the run waited for failed with 5xx, so this one may try again
+         const record = await running;
+         return record ? this.#replay(ctx, record, digest) : this.run(ctx, handler);
+      }
+      const record = await this.store.get(key);
+      if (record) return this.#replay(ctx, record, digest);
+      // a duplicate may have started while the store was read
+      if (this.running.has(key)) return this.run(ctx, handler);
+
+      let settle;
+      this.running.set(key, new Promise(resolve => { settle = resolve; }));
+      let stored = null;
+      try {
+         const result = await handler(ctx);
+         stored = {
+            fingerprint: digest,
+            status: result === undefined && !ctx.replied ? 204 : ctx.status,
+            data: result ?? null,
+            headers: { ...ctx.replyHeaders },
+         };
+         // replies sent by the handler itself can't be replayed
+         if (ctx.replied) stored = null;
+         return result;
+      } catch (err) {
+         const status = err instanceof PeerError ? err.status : 500;
+         if (status < 500) {
+            stored = {
+               fingerprint: digest,
+               status,
+               error: err.message,
+               data: err.data ?? null,
+               headers: { ...err.headers },
+            };
+         }
+         throw err;
+      } finally {
+         try {
+            if (stored) await this.store.set(key, stored, this.ttl);
+         } finally {
+            this.running.delete(key);
+            settle(stored);
+         }
+      }
+   }
+
+   #replay(ctx, record, digest) {
+      if (record.fingerprint !== digest) {
+         throw new PeerError(422, `Idempotency key "${ctx.idempotencyKey}" was used with another payload`, {
+            code: 'IDEMPOTENCY_MISMATCH',
+         });
+      }
+      if (record.error !== undefined) {
+         throw new PeerError(record.status, record.error, {
+            data: record.data,
+            headers: { ...record.headers, replayed: '1' },
+         });
+      }
+      ctx.status = record.status;
+      Object.assign(ctx.replyHeaders, record.headers, { replayed: '1' });
+      return record.status === 204 ? undefined : record.data;
+   }
+}
@@ -0,0 +1,324 @@
+// Job lifecycle for the start/step/finish/fail/cancel verbs
+// ─────────────────────────────────────────────────────────
+//
+//    caller ── start <url> (jobId header) ──────────▶ owner    creates the job: running
+//    anyone ── step|finish|fail|cancel <url> ───────▶ owner    checked against the stored state
+//    caller ◀── events on "_peer/job/<jobId>" ─────── owner    one per accepted transition,
+//                                                              "rejected" for refused ones
+//
+// The replica handling "start" owns the job and keeps its record in a
+// JobStore. Only a running job moves on: step keeps it running,
+// finish/fail/cancel end it, and anything sent to an ended job is rejected
+// with 409. Job handles send the other verbs and status requests to the
+// owning replica itself (record's `instanceId`, see send({ instance })): the
+// default MemoryJobStore is not shared, the others of its queue group don't
+// know the job.
+import { EventEmitter } from 'node:events';
+import { PeerError, replyMessage } from './errors.js';
+import { CANCELLED } from './streams.js';
+import { MemoryJobStore } from './stores/MemoryJobStore.js';
+
+export const JOB_SUBJECT = '_peer/job';
+
+/** Lifecycle verbs, in the order a job goes through them */
+export const JOB_VERBS = ['start', 'step', 'finish', 'fail', 'cancel'];
+
+/** States a job never leaves */
+export const FINAL_STATES = new Set(['finished', 'failed', 'cancelled']);
+
+const NEXT_STATE = { start: 'running', step: 'running', finish: 'finished', fail: 'failed', cancel: 'cancelled' };
+
+const JOB_ID = /^[a-z0-9_-]{1,64}$/;
+
+/**
+ * @param {any} jobId
+ * @returns {string} normalized (lower-case) job id
+ */
+export function assertJobId(jobId) {
+   const id = String(jobId ?? '').toLowerCase();
+   if (!JOB_ID.test(id)) throw new Error(`Invalid job id "${jobId}" (letters, digits, "_" and "-" only)`);
+   return id;
+}
+
+/** Error body stored for failed jobs, shaped like error replies. */
+function errorBody(err) {
+   if (err instanceof Error) {
+      const status = err instanceof PeerError ? err.status : 500;
+      return { error: replyMessage(err), status, ...(err instanceof PeerError ? err.data : {}) };
+   }
+   return err ?? { error: 'Job failed', status: 500 };
+}
+
+/**
+ * Owner side: applies transitions to the store and publishes them.
+ */
+export class JobManager {
+   /**
+    * @param {import('./PeerNode.js').PeerNode} peer
+    * @param {import('./stores/JobStore.js').JobStore} [store]
+    */
+   constructor(peer, store = new MemoryJobStore()) {
+      this.peer = peer;
+      this.store = store;
+      /** @type {Map<string, AbortController>} running jobs started on this instance */
+      this.controllers = new Map();
+      /** @type {Map<string, Promise>} tail of the pending transitions per job */
+      this.locks = new Map();
+   }
+
+   /**
+    * Current record of a job owned by this node.
+    * @param {string} jobId
+    * @returns {Promise<object>}
+    */
+   async get(jobId) {
+      const job = await this.store.get(jobId);
+      if (!job) throw new PeerError(404, `Unknown job ${jobId}`);
+      return job;
+   }
+
+   /**
+    * Apply one lifecycle verb. Transitions of the same job run one at a time,
+    * so two concurrent "finish" cannot both succeed.
+    *
+    * @param {string} jobId
+    * @param {"start"|"step"|"finish"|"fail"|"cancel"} verb
+    * @param {any} [data]  progress (step), result (finish) or error body (fail/cancel)
+    * @param {{ url?: string }} [meta]
+    * @returns {Promise<object>} the updated record
+    */
+   transition(jobId, verb, data = null, meta = {}) {
+      const run = (this.locks.get(jobId) ?? Promise.resolve())
+         .then(() => this.#apply(jobId, verb, data, meta));
+      const tail = run.catch(() => {});
+      this.locks.set(jobId, tail);
+      tail.then(() => { if (this.locks.get(jobId) === tail) this.locks.delete(jobId); });
+      return run;
+   }
+
+   async #apply(jobId, verb, data, { url = null }) {
+      const now = Date.now();
+      let job = await this.store.get(jobId);
+
+      if (verb === 'start') {
+         if (job) throw new PeerError(409, `Job ${jobId} already exists`);
+         job = {
+            id: jobId,
+            url,
+            owner: `${this.peer.nodeId}/${this.peer.service}`,
+            instanceId: this.peer.instanceId,
+            state: NEXT_STATE.start,
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+         };
+         this.controllers.set(jobId, new AbortController());
+      } else {
+         if (!job) throw new PeerError(404, `Unknown job ${jobId}`);
+         if (FINAL_STATES.has(job.state)) {
+            throw new PeerError(409, `Job ${jobId} is ${job.state}, cannot ${verb}`, { data: { state: job.state } });
+         }
+         job.state = NEXT_STATE[verb];
+         job.updatedAt = now;
+         if (verb === 'step') job.progress = data;
+         else if (verb === 'finish') job.result = data;
+         else if (verb === 'fail') job.error = data;
+         else if (verb === 'cancel') {
+            job.error = { error: 'Job cancelled', status: CANCELLED, ...(typeof data === 'string' ? { reason: data } : data) };
+         }
+      }
+      await this.store.set(jobId, job);
+
+      if (FINAL_STATES.has(job.state)) {
+         const controller = this.controllers.get(jobId);
+         this.controllers.delete(jobId);
+         if (verb === 'cancel') controller?.abort(new PeerError(CANCELLED, 'Job cancelled', { code: 'CANCELLED' }));
+      }
+      await this.peer.bus.publish(`${JOB_SUBJECT}/${jobId}`, { event: verb, data, job });
+      return job;
+   }
+
+   /**
+    * `ctx.job` of lifecycle handlers.
+    * @param {string} jobId
+    * @param {AbortSignal} [signal]
+    */
+   control(jobId, signal = this.controllers.get(jobId)?.signal) {
+      return {
+         id: jobId,
+         /** aborted when the job is cancelled (only on the instance running it) */
+         signal: signal ?? new AbortController().signal,
+         get: () => this.get(jobId),
+         step: progress => this.transition(jobId, 'step', progress ?? null),
+         finish: result => this.transition(jobId, 'finish', result ?? null),
+         fail: err => this.transition(jobId, 'fail', errorBody(err)),
+         cancel: reason => this.transition(jobId, 'cancel', reason ?? null),
+      };
+   }
+
+   /**
+    * Run a lifecycle handler: apply the transition first (illegal ones never
+    * reach the handler), then call it with `ctx.job`. A "start" handler that
+    * returns a value finishes the job with it, one that throws fails it;
+    * returning undefined leaves the job running. A refused transition is
+    * also published ("rejected" event), since async verbs get no reply.
+    *
+    * @param {string} verb
+    * @param {object} ctx
+    * @param {(ctx:object)=>any} handler
+    */
+   async run(verb, ctx, handler) {
+      const jobId = assertJobId(ctx.headers.jobId);
+      const data = verb === 'start' ? null : verb === 'fail' ? errorBody(ctx.payload) : ctx.payload;
+      // the controller is gone once the transition ended the job
+      const signal = this.controllers.get(jobId)?.signal;
+      try {
+         await this.transition(jobId, verb, data, { url: ctx.headers.url ?? null });
+      } catch (err) {
+         await this.peer.bus.publish(`${JOB_SUBJECT}/${jobId}`, { event: 'rejected', verb, error: errorBody(err) });
+         throw err;
+      }
+      ctx.job = this.control(jobId, signal ?? this.controllers.get(jobId)?.signal);
+      if (verb !== 'start') return handler(ctx);
+
+      try {
+         const result = await handler(ctx);
+         if (result !== undefined) await this.#settle(jobId, 'finish', result);
+         return result;
+      } catch (err) {
+         await this.#settle(jobId, 'fail', errorBody(err));
+         throw err;
+      }
+   }
+
+   /** Automatic end of a job; a job the handler already ended stays as it is. */
+   async #settle(jobId, verb, data) {
+      try {
+         await this.transition(jobId, verb, data);
+      } catch (err) {
+         if (!(err instanceof PeerError && err.status === 409)) throw err;
+      }
+   }
+}
+
+/**
+ * Caller side: follows one job through its events.
+ *
+ * Events: start, step, finish, fail, cancel – `(data, job)` – and
+ * `state (job)` after each of them; `rejected (error, verb)` when the owner
+ * refused a transition (error body: { error, status, … }, e.g. 409).
+ */
+export class JobHandle extends EventEmitter {
+   /**
+    * @param {import('./PeerNode.js').PeerNode} peer
+    * @param {{ id: string, url: string, instanceId?: string }} job  instanceId: owning
+    *        replica, if known before its first event
+    */
+   constructor(peer, { id, url, instanceId = null }) {
+      super();
+      this.peer = peer;
+      this.id = id;
+      this.url = url;
+      this.instanceId = instanceId;
+      /** last known record, null until the owner reported */
+      this.job = null;
+      this.waiters = new Set();
+      this.sub = null;
+   }
+
+   /** "pending" until the owner accepted the start */
+   get state() {
+      return this.job?.state ?? 'pending';
+   }
+
+   /** Subscribe to the job's events; must happen before "start" is sent. */
+   listen() {
+      this.sub = this.peer.subscribeInternal(`${JOB_SUBJECT}/${this.id}`, msg => this.#onEvent(msg));
+      return this;
+   }
+
+   #onEvent(msg) {
+      if (msg?.event === 'rejected') {
+         this.emit('rejected', msg.error, msg.verb);
+         return;
+      }
+      if (!msg?.job || FINAL_STATES.has(this.state)) return;
+      this.job = msg.job;
+      if (msg.event) this.emit(msg.event, msg.data, msg.job);
+      this.emit('state', msg.job);
+      if (FINAL_STATES.has(msg.job.state)) {
+         this.close();
+         for (const resolve of this.waiters) resolve(msg.job);
+         this.waiters.clear();
+      }
+   }
+
+   /**
+    * Ask the owner for the current record (e.g. for a handle attached late).
+    * @returns {Promise<object>}
+    */
+   async refresh() {
+      const owner = this.url.split('/').slice(0, 2).join('/');
+      const { data } = await this.peer.send('get', `${owner}/_peer/job/${this.id}`, {}, {
+         rich: true,
+         instance: this.#owner(),
+      });
+      if (!this.job || data.updatedAt >= this.job.updatedAt) this.#onEvent({ job: data });
+      return this.job;
+   }
+
+   /**
+    * Resolve with the record once the job is finished, failed or cancelled.
+    * Rejects with a 504 PeerError after `timeout` ms; the job keeps running.
+    *
+    * @param {{ timeout?: number }} [opts]  Infinity waits forever
+    * @returns {Promise<object>}
+    */
+   wait({ timeout = this.peer.defaultTimeout } = {}) {
+      if (FINAL_STATES.has(this.state)) return Promise.resolve(this.job);
+      return new Promise((resolve, reject) => {
+         let timer = null;
+         const done = (job) => { clearTimeout(timer); resolve(job); };
+         this.waiters.add(done);
+         if (Number.isFinite(timeout)) {
+            timer = setTimeout(() => {
+               this.waiters.delete(done);
+               reject(new PeerError(504, `Job ${this.id} still ${this.state} after ${timeout} ms`, { code: 'TIMEOUT' }));
+            }, timeout);
+         }
+      });
+   }
+
+   step(progress, opts) {
+      return this.#send('step', progress, opts);
+   }
+
+   finish(result, opts) {
+      return this.#send('finish', result, opts);
+   }
+
+   fail(err, opts) {
+      return this.#send('fail', errorBody(err), opts);
+   }
+
+   cancel(reason, opts) {
+      return this.#send('cancel', typeof reason === 'string' ? { reason } : reason ?? {}, opts);
+   }
+
+   /** Lifecycle verb to the owning replica (any of them until it is known). */
+   #send(verb, payload, opts) {
+      return this.peer.send(verb, this.url, payload, { instance: this.#owner(), ...opts, jobId: this.id });
+   }
+
+   #owner() {
+      return this.job?.instanceId ?? this.instanceId ?? undefined;
+   }
+
+   /** Stop following the job (pending wait() calls time out). */
+   close() {
+      this.sub?.unsubscribe?.();
+      this.sub = null;
+   }
+}
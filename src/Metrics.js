@@ -0,0 +1,163 @@
+// Request metrics of one node
+// ───────────────────────────
+// Fed by the spans PeerNode produces for every message it sends or handles
+// (see utils/trace.js), so sends, handlers, retries and rejections before
+// the handler are all counted the same way.
+//
+//    side="send"    one series per verb and destination ("n1/gc")
+//    side="handle"  one series per verb and route pattern ("/unit/:id")
+//
+// Exposed as a snapshot object, as Prometheus text (version 0.0.4) and,
+// optionally, on the built-in route "get /_peer/metrics".
+
+/** Latency buckets in seconds (upper bounds) */
+export const DEFAULT_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+const SIDES = { client: 'send', producer: 'send', server: 'handle', consumer: 'handle' };
+
+const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labels(map) {
+   const pairs = Object.entries(map).map(([k, v]) => `${k}="${escape(v)}"`);
+   return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+export class Metrics {
+   /**
+    * @param {import('./PeerNode.js').PeerNode} peer
+    * @param {object} [opts]
+    * @param {number[]} [opts.buckets]  latency histogram bounds (seconds)
+    * @param {boolean}  [opts.route=false]  serve "get /_peer/metrics"
+    * @param {() => object[]} [opts.queues]  state of the routes' concurrency limiters
+    */
+   constructor(peer, { buckets = DEFAULT_BUCKETS, route = false, queues = () => [] } = {}) {
+      this.peer = peer;
+      this.buckets = [...buckets].sort((a, b) => a - b);
+      this.route = route;
+      this.queues = queues;
+      /** @type {Map<string, object>} series by side|verb|route */
+      this.series = new Map();
+   }
+
+   #series(span) {
+      const side = SIDES[span.kind];
+      const { verb = span.name.split(' ')[0], route = '' } = span.attributes;
+      const key = `${side}|${verb}|${route}`;
+      let series = this.series.get(key);
+      if (!series) {
+         series = {
+            side,
+            verb,
+            route,
+            inFlight: 0,
+            requests: 0,
+            statuses: {},
+            timeouts: 0,
+            latency: { count: 0, sum: 0, buckets: this.buckets.map(() => 0) },
+         };
+         this.series.set(key, series);
+      }
+      return series;
+   }
+
+   /** A send or handled message started. */
+   begin(span) {
+      this.#series(span).inFlight++;
+   }
+
+   /** It ended: `span` carries status and duration (see endSpan()). */
+   end(span) {
+      const series = this.#series(span);
+      series.inFlight = Math.max(0, series.inFlight - 1);
+      series.requests++;
+      // async sends and ignored messages have no status
+      const status = span.status ?? 'none';
+      series.statuses[status] = (series.statuses[status] ?? 0) + 1;
+      if (span.status === 504) series.timeouts++;
+
+      const seconds = (span.duration ?? 0) / 1000;
+      series.latency.count++;
+      series.latency.sum += seconds;
+      const index = this.buckets.findIndex(le => seconds <= le);
+      if (index !== -1) series.latency.buckets[index]++;
+   }
+
+   /**
+    * @returns {{ node: string, instanceId: string, uptime: number, series: object[],
+    *             queues: { verb: string, route: string, active: number, queued: number }[] }}
+    *          latency buckets are cumulative [upperBound, count] pairs, "+Inf" last
+    */
+   snapshot() {
+      const series = [...this.series.values()].map(s => {
+         let total = 0;
+         const buckets = this.buckets.map((le, i) => [le, total += s.latency.buckets[i]]);
+         buckets.push(['+Inf', s.latency.count]);
+         const errors = Object.entries(s.statuses)
+            .filter(([status]) => Number(status) >= 400)
+            .reduce((sum, [, n]) => sum + n, 0);
+         return {
+            side: s.side,
+            verb: s.verb,
+            route: s.route,
+            inFlight: s.inFlight,
+            requests: s.requests,
+            errors,
+            timeouts: s.timeouts,
+            statuses: { ...s.statuses },
+            latency: { count: s.latency.count, sum: s.latency.sum, buckets },
+         };
+      });
+      return {
+         node: `${this.peer.nodeId}/${this.peer.service}`,
+         instanceId: this.peer.instanceId,
+         uptime: Date.now() - this.peer.startedAt,
+         series,
+         queues: this.queues(),
+      };
+   }
+
+   /** @returns {string} Prometheus text exposition */
+   prometheus() {
+      const snap = this.snapshot();
+      const node = snap.node;
+      const out = [];
+      const family = (name, type, help) => out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+      family('peer_requests_total', 'counter', 'Messages sent and handled, by final status');
+      for (const s of snap.series) {
+         for (const [status, n] of Object.entries(s.statuses)) {
+            out.push(`peer_requests_total${labels({ node, side: s.side, verb: s.verb, route: s.route, status })} ${n}`);
+         }
+      }
+      family('peer_errors_total', 'counter', 'Messages that ended with a status >= 400');
+      for (const s of snap.series) {
+         out.push(`peer_errors_total${labels({ node, side: s.side, verb: s.verb, route: s.route })} ${s.errors}`);
+      }
+      family('peer_timeouts_total', 'counter', 'Messages that ended with 504 (timeout or deadline)');
+      for (const s of snap.series) {
+         out.push(`peer_timeouts_total${labels({ node, side: s.side, verb: s.verb, route: s.route })} ${s.timeouts}`);
+      }
+      family('peer_in_flight', 'gauge', 'Messages being sent or handled now');
+      for (const s of snap.series) {
+         out.push(`peer_in_flight${labels({ node, side: s.side, verb: s.verb, route: s.route })} ${s.inFlight}`);
+      }
+      family('peer_request_duration_seconds', 'histogram', 'Time from send to reply, or spent handling');
+      for (const s of snap.series) {
+         const base = { node, side: s.side, verb: s.verb, route: s.route };
+         for (const [le, n] of s.latency.buckets) {
+            out.push(`peer_request_duration_seconds_bucket${labels({ ...base, le })} ${n}`);
+         }
+         out.push(`peer_request_duration_seconds_sum${labels(base)} ${s.latency.sum}`);
+         out.push(`peer_request_duration_seconds_count${labels(base)} ${s.latency.count}`);
+      }
+      family('peer_route_active', 'gauge', 'Messages holding a slot of a route with a concurrency limit');
+      for (const q of snap.queues) {
+         out.push(`peer_route_active${labels({ node, verb: q.verb, route: q.route })} ${q.active}`);
+      }
+      family('peer_route_queued', 'gauge', 'Messages waiting for a slot of a route with a concurrency limit');
+      for (const q of snap.queues) {
+         out.push(`peer_route_queued${labels({ node, verb: q.verb, route: q.route })} ${q.queued}`);
+      }
+      return `${out.join('\n')}\n`;
+   }
+}
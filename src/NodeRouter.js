@@ -1,5 +1,9 @@
 // A tiny declarative router for PeerNode
 // ───────────────────────────────────────
+import { normalizePattern } from './utils/routePattern.js';
+import { createMiddleware, runMiddleware } from './utils/middleware.js';
+import { withSchemas } from './utils/schema.js';
+
 export class NodeRouter {
    /**
     * A NodeRouter keeps a 2-level lookup table:
@@ -8,19 +12,33 @@ export class NodeRouter {
    constructor() {
       /** @type {Record<string, Record<string, Function>>} */
       this.routes = Object.create(null);
+      /** Route options (schemas, …) in the same { [url]: { [method]: opts } } layout */
+      this.options = Object.create(null);
+      /** Middleware wrapped around this router's handlers only */
+      this.middleware = [];
    }
 
    /**
     * Register a handler for a (method, url) pair.
     *
+    * With fewer arguments registers middleware instead, scoped to the
+    * routes of this router (same forms as `PeerNode.use()`):
+    *    use(mw) · use('/unit', mw) · use('post', mw) · use({ method, path }, mw)
+    *
     * @param {string} method  – case-insensitive
-    * @param {string} url     – must start with "/", relative to the peer prefix
+    * @param {string} url     – must start with "/", relative to the peer prefix;
+    *                            may contain ":param" and a trailing "*rest" segment
     * @param {(ctx:object)=>any|Promise<any>} handler
+    * @param {object} [opts]  – route options passed to `peer.on()` (schema, responseSchema)
     * @return {NodeRouter}    – for chaining
     */
-   use(method, url, handler) {
+   use(method, url, handler, opts) {
+      if (arguments.length < 3) {
+         this.middleware.push(createMiddleware(null, [...arguments]));
+         return this;
+      }
       method = String(method).toLowerCase();
-      url = String(url).toLowerCase();
+      url = normalizePattern(url);
       if (typeof handler !== 'function') {
          throw new TypeError('Handler must be a function');
       }
@@ -29,9 +47,11 @@ export class NodeRouter {
       }
       if (!this.routes[url]) {
          this.routes[url] = Object.create(null);
+         this.options[url] = Object.create(null);
       }
 
       this.routes[url][method] = handler;
+      if (opts) this.options[url][method] = opts;
       return this;
    }
 
@@ -40,17 +60,35 @@ export class NodeRouter {
     *
     * For each (method, url) pair, it calls `peer.on(...)`
     * so that the node starts listening to appropriate subjects.
+    * Router middleware runs inside the peer's own middleware.
+    *
+    * The returned handle removes every route mounted by this call, e.g. to
+    * swap a feature module at runtime:
+    *    const mounted = router.apply(peer);
+    *    …
+    *    mounted.unmount();
     *
     * @param {import('./PeerNode.js').PeerNode} peer - The target PeerNode instance
+    * @returns {{ routes: { method: string, url: string }[], unmount: () => void }}
     */
    apply(peer) {
+      const mounted = [];
       for (const url of Object.keys(this.routes)) {
          const table = this.routes[url];
          for (const method of Object.keys(table)) {
-            const handler = table[method];
-            peer.on(method, url, handler);
+            // schemas are checked inside the router middleware, not around it
+            const { schema, responseSchema, ...opts } = this.options[url][method] ?? {};
+            const handler = withSchemas(table[method], { schema, responseSchema });
+            peer.on(method, url, ctx => runMiddleware(this.middleware, handler, ctx), opts);
+            mounted.push({ method, url });
          }
       }
+      return {
+         routes: mounted,
+         unmount: () => {
+            for (const { method, url } of mounted.splice(0)) peer.off(method, url);
+         },
+      };
    }
    
 }
\ No newline at end of file
@@ -0,0 +1,256 @@
+// At-least-once delivery for async verbs
+// ──────────────────────────────────────
+//
+//    sender ── store entry in the outbox ───────────────────────┐
+//    sender ── request <url>--<verb> (messageId header) ───▶ receiver   runs the handler once
+//    sender ◀── reply: 2xx ack | 5xx / timeout nack ──────── receiver   (duplicates acked unseen)
+//    sender ── ack: drop entry · nack: redeliver with backoff · rejected (4xx) or
+//              out of attempts: dead letter on "_peer/dlq/<nodeId>/<service>"
+//
+// Delivery is durable as far as the outbox store is (see FileOutboxStore).
+// Messages are delivered independently: no ordering between them.
+//
+// The handler runs at least once, and once per replica: receivers remember
+// message ids in memory, and redeliveries go to the replica that answered an
+// earlier attempt. It can run again on another replica when no attempt was
+// answered yet, or when that replica has left. Each attempt gets a deadline
+// of its own (ackTimeout), so a redelivery is not refused as late.
+import crypto from 'node:crypto';
+import { PeerError } from './errors.js';
+import { MemoryOutboxStore } from './stores/MemoryOutboxStore.js';
+import { backoffDelay } from './utils/retry.js';
+import { INSTANCE_SUBJECT, VERB_SEPARATOR } from './utils/routePattern.js';
+
+export const DEAD_LETTER_SUBJECT = '_peer/dlq';
+
+/** Client errors worth another attempt (everything else 4xx is final) */
+const TRANSIENT_4XX = new Set([408, 429]);
+
+/**
+ * Sender side: keeps every durable message until it is acknowledged.
+ */
+export class Outbox {
+   /**
+    * @param {import('./PeerNode.js').PeerNode} peer
+    * @param {object} [opts]
+    * @param {import('./stores/OutboxStore.js').OutboxStore} [opts.store]  default: in memory
+    * @param {boolean} [opts.durable=false]      make every async send durable
+    * @param {number}  [opts.ackTimeout=5000]    ms to wait for the handler's ack
+    * @param {number}  [opts.maxAttempts=8]      deliveries before dead-lettering
+    * @param {number}  [opts.baseDelay=500]      backoff before the first redelivery (ms)
+    * @param {number}  [opts.maxDelay=60000]     cap of a single backoff (ms)
+    * @param {number}  [opts.dedupTtl=600000]    receiver: ms a handled message id is remembered
+    * @param {number}  [opts.dedupMax=10000]     receiver: max remembered ids
+    * @param {function} [opts.onError]          receives delivery failures and dead letters
+    */
+   constructor(peer, {
+      store = new MemoryOutboxStore(), durable = false, ackTimeout = 5_000, maxAttempts = 8,
+      baseDelay = 500, maxDelay = 60_000, dedupTtl = 600_000, dedupMax = 10_000, onError = () => {},
+   } = {}) {
+      this.peer = peer;
+      this.onError = onError;
+      this.store = store;
+      this.durable = durable;
+      this.ackTimeout = ackTimeout;
+      this.maxAttempts = maxAttempts;
+      this.backoff = { baseDelay, maxDelay, factor: 2, jitter: 0.5 };
+      this.dedup = new DedupCache({ ttl: dedupTtl, max: dedupMax });
+      this.deadLetterSubject = `${DEAD_LETTER_SUBJECT}/${peer.nodeId}/${peer.service}`;
+      /** @type {Map<string, NodeJS.Timeout>} scheduled deliveries */
+      this.timers = new Map();
+      this.running = false;
+   }
+
+   /* ──────────────── lifecycle ──────────────── */
+   /** Resume the deliveries left pending by a previous run. */
+   async start() {
+      this.running = true;
+      for (const entry of await this.store.list()) {
+         if (entry.state === 'pending') this.#schedule(entry, Math.max(0, entry.nextAttemptAt - Date.now()));
+      }
+   }
+
+   /** Stop delivering; pending entries stay in the store. */
+   stop() {
+      this.running = false;
+      for (const timer of this.timers.values()) clearTimeout(timer);
+      this.timers.clear();
+   }
+
+   /* ──────────────── sending ──────────────── */
+   /**
+    * Store a message and deliver it in the background.
+    *
+    * @param {string} method
+    * @param {string} url
+    * @param {any} payload
+    * @param {object} headers  headers of the send (trace context, …)
+    * @param {{ codec?: string, compression?: any }} [encoding]
+    * @returns {Promise<string>} message id
+    */
+   async enqueue(method, url, payload, headers, encoding = {}) {
+      const now = Date.now();
+      const entry = {
+         id: crypto.randomUUID(),
+         method,
+         url,
+         payload,
+         headers,
+         encoding,
+         state: 'pending',
+         attempts: 0,
+         // replica that answered an attempt: it gets the redeliveries
+         instance: null,
+         createdAt: now,
+         nextAttemptAt: now,
+         lastError: null,
+      };
+      await this.store.put(entry);
+      this.#schedule(entry, 0);
+      return entry.id;
+   }
+
+   #schedule(entry, delay) {
+      if (!this.running) return;
+      clearTimeout(this.timers.get(entry.id));
+      this.timers.set(entry.id, setTimeout(() => {
+         this.timers.delete(entry.id);
+         this.#deliver(entry).catch(this.onError);
+      }, delay));
+   }
+
+   async #deliver(entry) {
+      entry.attempts++;
+      const subject = `${entry.url}${VERB_SEPARATOR}${entry.method}`;
+      let status, error;
+      try {
+         const rep = await this.peer.bus.request(entry.instance ? `${INSTANCE_SUBJECT}/${entry.instance}/${subject}` : subject, entry.payload, {
+            headers: {
+               ...entry.headers,
+               messageId: entry.id,
+               attempt: entry.attempts,
+               expectReply: '1',
+               deadline: String(Date.now() + this.ackTimeout),
+            },
+            timeout: this.ackTimeout,
+            withHeaders: true,
+            ...entry.encoding,
+         });
+         status = Number(rep.headers?.status ?? 200);
+         if (status >= 400) error = rep.data?.error ?? `Status ${status}`;
+         entry.instance ??= rep.headers?.instance ?? null;
+      } catch (err) {
+         const peerError = PeerError.fromBusError(err);
+         ({ status, message: error } = peerError);
+         // no responders: the replica has left, any other one takes over
+         if (peerError.code === '503') entry.instance = null;
+      }
+
+      if (status < 400) {
+         await this.store.delete(entry.id);
+         return;
+      }
+      entry.lastError = { status, error };
+      const final = status < 500 && !TRANSIENT_4XX.has(status);
+      if (final || entry.attempts >= this.maxAttempts) {
+         await this.#deadLetter(entry);
+         return;
+      }
+      const delay = backoffDelay(this.backoff, entry.attempts);
+      entry.nextAttemptAt = Date.now() + delay;
+      await this.store.put(entry);
+      this.#schedule(entry, delay);
+   }
+
+   async #deadLetter(entry) {
+      entry.state = 'dead';
+      await this.store.put(entry);
+      await this.peer.bus.publish(this.deadLetterSubject, entry);
+      const { status, error } = entry.lastError;
+      this.onError(new PeerError(status, `Dead letter ${entry.id} (${entry.method} ${entry.url}): ${error}`, {
+         code: 'DEAD_LETTER', data: entry,
+      }));
+   }
+
+   /* ──────────────── inspection ──────────────── */
+   /** @returns {Promise<object[]>} messages still being delivered */
+   async pending() {
+      return (await this.store.list()).filter(e => e.state === 'pending');
+   }
+
+   /** @returns {Promise<object[]>} messages that gave up */
+   async deadLetters() {
+      return (await this.store.list()).filter(e => e.state === 'dead');
+   }
+
+   /**
+    * Deliver a dead letter again, with a fresh attempt budget.
+    * Accepts an id of this outbox or an entry read from the dead-letter subject.
+    *
+    * @param {string|object} idOrEntry
+    * @returns {Promise<string>} message id (unchanged: receivers still deduplicate)
+    */
+   async replay(idOrEntry) {
+      const entry = typeof idOrEntry === 'string' ? await this.store.get(idOrEntry) : structuredClone(idOrEntry);
+      if (!entry) throw new PeerError(404, `Unknown message ${idOrEntry}`);
+      Object.assign(entry, { state: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+      await this.store.put(entry);
+      this.#schedule(entry, 0);
+      return entry.id;
+   }
+
+   /**
+    * Forget a message (pending or dead).
+    * @param {string} id
+    */
+   async discard(id) {
+      clearTimeout(this.timers.get(id));
+      this.timers.delete(id);
+      await this.store.delete(id);
+   }
+}
+
+/**
+ * Receiver side: message ids being handled or handled recently, so a
+ * redelivered message runs its handler only once.
+ */
+export class DedupCache {
+   /**
+    * @param {{ ttl: number, max: number }} opts
+    */
+   constructor({ ttl, max }) {
+      this.ttl = ttl;
+      this.max = max;
+      /** @type {Map<string, { state: "running"|"done", expires: number }>} oldest first */
+      this.ids = new Map();
+   }
+
+   /**
+    * @param {string} id
+    * @returns {"running"|"done"|null}
+    */
+   state(id) {
+      const hit = this.ids.get(id);
+      if (!hit) return null;
+      if (hit.expires < Date.now()) {
+         this.ids.delete(id);
+         return null;
+      }
+      return hit.state;
+   }
+
+   /**
+    * @param {string} id
+    * @param {"running"|"done"} state
+    */
+   mark(id, state) {
+      this.ids.delete(id);
+      this.ids.set(id, { state, expires: Date.now() + this.ttl });
+      while (this.ids.size > this.max) this.ids.delete(this.ids.keys().next().value);
+   }
+
+   /** Handling failed: a redelivery should run it again. */
+   forget(id) {
+      this.ids.delete(id);
+   }
+}
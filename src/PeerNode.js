@@ -1,15 +1,36 @@
 import crypto from 'node:crypto';
-import { BusAdapter } from './adapters/BusAdapter.js';
+import { BusReply } from './adapters/BusAdapter.js';
 import { NatsAdapter } from './adapters/NatsAdapter.js';
 import { logError } from './utils/logger.js';
+import {
+   INSTANCE_SUBJECT, compileRoute, compareRoutes, matchRoute, normalizePattern, parseSubject, routeSubject,
+   subjectMatches,
+} from './utils/routePattern.js';
+import { createMiddleware, runMiddleware } from './utils/middleware.js';
+import { ALL_ASYNC_METHODS, ALL_SYNC_METHODS } from './utils/verbs.js';
+import { compileSchema, withSchemas } from './utils/schema.js';
+import { PeerError, ValidationError, replyMessage } from './errors.js';
+import { replyCodec } from './codecs.js';
+import { Discovery } from './Discovery.js';
+import { StreamReader, StreamWriter, CANCELLED } from './streams.js';
+import { JobHandle, JobManager, JOB_VERBS, assertJobId } from './Jobs.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { Outbox } from './Outbox.js';
+import { Metrics } from './Metrics.js';
+import { createClient } from './client.js';
+import { Idempotency, resolveIdempotencyKey } from './Idempotency.js';
+import { INVALIDATING_METHODS, ResponseCache, resolveCachePolicy } from './ResponseCache.js';
+import { MessageAuth, checkAccess } from './auth.js';
+import { Limiter, resolveConcurrency } from './utils/concurrency.js';
+import { backoffDelay, canRetry, resolveRetryPolicy } from './utils/retry.js';
+import {
+   abortable, abortedError, anySignal, deadlineError, deadlineSignal, earliest, sleep,
+} from './utils/deadline.js';
+import { endSpan, formatTraceparent, parseTraceHeaders, startSpan, traceStorage } from './utils/trace.js';
 
 // ───────────── constants ─────────────
-const ALL_SYNC_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
-const ALL_ASYNC_METHODS = [
-   'start', 'step', 'finish', 'fail', 'cancel', // like state machine
-   'call', 'emit', 'stream'
-];
-
+// "_peer/cancel/<nodeId>/<service>" { id }: the caller of request `id` gave up
+const CANCEL_SUBJECT = '_peer/cancel';
 const ALLOWED_SYNC_METHODS = new Set(ALL_SYNC_METHODS);
 const ALLOWED_ASYNC_METHODS = new Set(ALL_ASYNC_METHODS);
 const ALLOWED_METHODS = new Set([...ALL_SYNC_METHODS, ...ALL_ASYNC_METHODS, '*']);
@@ -24,25 +45,208 @@ export class PeerNode {
     * @param {object}  opts
     * @param {string}  opts.nodeId        logical node identifier, e.g. "n1"
     * @param {string}  opts.service       service alias, e.g. "ag" | "gc" | "ds"
-    * @param {BusAdapter} [opts.bus]      custom bus adapter (defaults to NATS)
+    * @param {import('./adapters/BusAdapter.js').BusAdapter} [opts.bus]  custom bus adapter (defaults to NATS)
     * @param {number}  [opts.defaultTimeout=1000]   request timeout (ms)
     * @param {function} [opts.errorHandler]         global async error callback
+    * @param {boolean} [opts.richResponses=false]   default for `send(…, { rich })`
+    * @param {string|false} [opts.queueGroup]       queue group shared by replicas of this
+    *                                               node (default "<nodeId>/<service>");
+    *                                               `false` makes every route fan-out
+    * @param {string}  [opts.version]               service version, announced to the cluster
+    * @param {boolean|object} [opts.discovery=false] announce + heartbeats, see Discovery
+    *                                               (object: { heartbeatInterval, ttl })
+    * @param {function} [opts.spanExporter]         receives every finished span (sent and handled
+    *                                               requests) – see utils/trace.js for the shape
+    * @param {import('./stores/JobStore.js').JobStore} [opts.jobStore]  records of the jobs this node
+    *                                               owns (default: in memory), see Jobs.js
+    * @param {number|object|false} [opts.retry]      default retry policy of sync sends, see
+    *                                               utils/retry.js (default: no retries)
+    * @param {boolean|object} [opts.circuitBreaker=false]  one breaker per destination
+    *                                               (object: { threshold, resetTimeout, statuses })
+    * @param {string} [opts.codec]                   codec of outgoing messages, e.g. "msgpack"
+    *                                               (default: the adapter's, JSON) – see codecs.js
+    * @param {string|object|false} [opts.compression]  "gzip" | "deflate" | { encoding, threshold }
+    *                                               for sends and replies (default: the adapter's)
+    * @param {object} [opts.delivery]               durable async sends: outbox store, ack timeout,
+    *                                               attempts, backoff, dedup window – see Outbox.js
+    * @param {object} [opts.auth]                   sign outgoing messages and verify incoming ones:
+    *                                               { keyId, key, keys, required, replayWindow } – see auth.js
+    * @param {string|number|object} [opts.concurrency]  default of the routes' `concurrency` option
+    *                                               (default: "serial"), see utils/concurrency.js
+    * @param {boolean|object} [opts.metrics=false]  count sent and handled messages (object: { buckets,
+    *                                               route }, `route: true` serves "get /_peer/metrics"),
+    *                                               see Metrics.js
+    * @param {object|false} [opts.idempotency]       replies kept for idempotency keys: { store, ttl,
+    *                                               max } (default: 24 h, LRU of 10000), see Idempotency.js
+    * @param {boolean|object} [opts.cache=false]   reply caching, needed by the routes' `cache` option:
+    *                                               true or { client, max } – `client: true` caches the
+    *                                               replies of "get" sends; see ResponseCache.js
     */
-   constructor({ nodeId, service, bus = new NatsAdapter(), defaultTimeout = 10_000, errorHandler = null }) {
+   constructor({
+      nodeId, service, bus = new NatsAdapter(), defaultTimeout = 10_000, errorHandler = null,
+      richResponses = false, queueGroup, version = null, discovery = false, spanExporter = null,
+      jobStore, retry, circuitBreaker = false, codec, compression, delivery = {}, auth = null,
+      concurrency, metrics = false, idempotency = {}, cache = false,
+   }) {
       if (!nodeId || !service) throw new Error('nodeId and service are required');
       this.nodeId = String(nodeId).toLowerCase();
       this.service = String(service).toLowerCase();
-      Object.assign(this, { bus, defaultTimeout });
+      Object.assign(this, { bus, defaultTimeout, richResponses });
+      this.queueGroup = queueGroup === false ? null : String(queueGroup ?? `${this.nodeId}/${this.service}`);
+
+      // Identity of this process among the replicas of nodeId/service
+      this.instanceId = crypto.randomUUID();
+      this.version = version;
+      this.startedAt = Date.now();
+      this.discovery = discovery ? new Discovery(this, discovery === true ? {} : discovery) : null;
       this.errorHandler = typeof errorHandler === 'function' ? errorHandler : null;
+      this.spanExporter = typeof spanExporter === 'function' ? spanExporter : null;
+      this.jobs = new JobManager(this, jobStore);
+      this.retry = resolveRetryPolicy(retry);
+      this.circuitBreaker = circuitBreaker === true ? {} : circuitBreaker || null;
+      this.codec = codec;
+      this.compression = compression;
+      this.outbox = new Outbox(this, { ...delivery, onError: err => this.#handleError(err) });
+      this.concurrency = resolveConcurrency(concurrency);
+      this.idempotency = idempotency ? new Idempotency(idempotency) : null;
+      this.cache = cache
+         ? new ResponseCache(this, { ...(cache === true ? {} : cache), onError: err => this.#handleError(err) })
+         : null;
+      this.auth = auth ? new MessageAuth({ ...auth, identity: `${this.nodeId}/${this.service}` }) : null;
+      this.metrics = metrics
+         ? new Metrics(this, { ...(metrics === true ? {} : metrics), queues: () => this.#routeQueues() })
+         : null;
+      if (this.auth) this.bus.signer = (subject, data, headers) => this.auth.sign(subject, data, headers);
 
       // Track registered method+path combinations
       this.routeSet = new Set();
       this.routeBaseSet = new Set();
    }
 
+   /**
+    * Compiled routes, most specific first:
+    * { method, route, handler, subject, subKey, fanout, allow, limiter, cache, internal, auto }
+    */
+   #routes = [];
+   /** Bus subscriptions by subject + queue group; several routes may share one */
+   #subs = new Map();
+   /** Node-level middleware, see use() */
+   #middleware = [];
+   /** Circuit breakers by destination "<nodeId>/<service>" */
+   #breakers = new Map();
+   /** Messages addressed to this replica only, see send({ instance }) */
+   #direct = null;
+   /** Cancellations of requests by their callers, see #handle() */
+   #cancelSub = null;
+   /** Controllers of the handlers a caller can cancel, by `cancelId` header */
+   #cancels = new Map();
+   /** Settled-promises of the messages being handled now, see close() */
+   #inflight = new Set();
+   /** Aborts the handlers still running when close()'s grace period is over */
+   #shutdown = new AbortController();
+
    /* ──────────────── lifecycle ──────────────── */
-   async connect() { if (typeof this.bus.connect === 'function') await this.bus.connect(); }
-   async close() { if (typeof this.bus.close === 'function') await this.bus.close(); }
+   async connect() {
+      if (typeof this.bus.connect === 'function') await this.bus.connect();
+      this.#subscribeDirect();
+      this.#cancelSub = this.subscribeInternal(`${CANCEL_SUBJECT}/${this.nodeId}/${this.service}`, (data) => {
+         this.#cancels.get(data?.id)?.abort(new PeerError(CANCELLED, 'Request cancelled by the caller', { code: 'ABORTED' }));
+      });
+      this.cache?.start();
+      // built-in introspection: "get n<id>/<service>/_peer/info"
+      this.on('get', '/_peer/info', () => this.describe(), { internal: true });
+      this.on('get', '/_peer/job/:jobId', ctx => this.jobs.get(ctx.params.jobId), { internal: true });
+      // verbs of a path, asked by callers whose request found no subscriber
+      this.on('get', '/_peer/allow', ctx => ({ allowed: this.#allowedMethods(String(ctx.payload.path ?? '')) }), { internal: true });
+      // snapshot, or Prometheus text with { format: "prometheus" }
+      if (this.metrics?.route) {
+         this.on('get', '/_peer/metrics', ctx => (ctx.payload.format === 'prometheus'
+            ? this.metrics.prometheus()
+            : this.metrics.snapshot()), { internal: true });
+      }
+      await this.outbox.start();
+      await this.discovery?.start();
+   }
+
+   /**
+    * Leave the cluster and stop taking new messages, then wait for the
+    * handlers still running. After `gracePeriod` ms their `ctx.signal`
+    * aborts with 503 (code SHUTDOWN); handlers ignoring it still delay the
+    * bus' own drain.
+    *
+    * @param {{ gracePeriod?: number }} [opts]  default: the request timeout
+    */
+   async close({ gracePeriod = this.defaultTimeout } = {}) {
+      await this.discovery?.stop();
+      await this.#drain(gracePeriod);
+      this.#cancelSub?.unsubscribe?.();
+      this.#cancelSub = null;
+      this.cache?.stop();
+      this.outbox.stop();
+      if (typeof this.bus.close === 'function') await this.bus.close();
+   }
+
+   async #drain(gracePeriod) {
+      const subs = [...this.#subs.values(), this.#direct];
+      this.#subs.clear();
+      this.#direct = null;
+      const idle = (async () => {
+         await Promise.all(subs.map(sub => (sub?.drain ? sub.drain() : sub?.unsubscribe?.())));
+         while (this.#inflight.size) await Promise.all(this.#inflight);
+      })();
+
+      let timer;
+      const expired = new Promise(resolve => { timer = setTimeout(resolve, gracePeriod, true); });
+      const timedOut = await Promise.race([idle.then(() => false), expired]);
+      clearTimeout(timer);
+      if (timedOut) this.#shutdown.abort(new PeerError(503, 'Node shutting down', { code: 'SHUTDOWN' }));
+   }
+
+   /** Count `work` (a value or promise) as in-flight until it settles. */
+   #track(work) {
+      const promise = Promise.resolve(work);
+      const settled = promise.then(() => {}, () => {});
+      this.#inflight.add(settled);
+      settled.then(() => this.#inflight.delete(settled));
+      return promise;
+   }
+
+   /* ──────────────── discovery ──────────────── */
+   /**
+    * What this instance announces to the cluster.
+    * @returns {{ instanceId: string, nodeId: string, service: string, version: string|null,
+    *             routes: { method: string, path: string }[], startedAt: number }}
+    */
+   describe() {
+      return {
+         instanceId: this.instanceId,
+         nodeId: this.nodeId,
+         service: this.service,
+         version: this.version,
+         routes: this.#routes
+            .filter(r => !r.internal)
+            .map(r => ({ method: r.method, path: r.route.pattern })),
+         startedAt: this.startedAt,
+      };
+   }
+
+   /**
+    * Live cluster map grouped by "<nodeId>/<service>", one entry per instance.
+    * Join/leave/timeout events are emitted by `peer.discovery`.
+    *
+    * @param {object} [opts]
+    * @param {boolean} [opts.refresh=false]  ask every node to announce itself first
+    * @param {number}  [opts.wait=200]       ms to collect the answers when refreshing
+    * @returns {Promise<Record<string, object[]>>}
+    */
+   async discover({ refresh = false, wait = 200 } = {}) {
+      if (!this.discovery) throw new Error('Discovery is disabled for this node');
+      if (refresh) {
+         await this.discovery.announce({ hello: true });
+         await new Promise(r => setTimeout(r, wait));
+      }
+      return this.discovery.snapshot();
+   }
 
 
    /* ───────────── unified verb ───────────── */
@@ -51,13 +255,57 @@ export class PeerNode {
     * @param {string} url n<id>/<service>/<path>
     * @param {any} [payload]
     * @param {object} [opts]
+    * @param {object} [opts.schema]  validate `payload` before sending, throws ValidationError
+    * @param {{ traceId: string, spanId: string }} [opts.trace]  parent span (set by `ctx.send`)
+    * @param {boolean} [opts.rich]   sync verbs resolve to `{ status, data, headers }`
+    *                                and reject with PeerError on status >= 400 or
+    *                                transport failure (503 no responders, 504 timeout)
+    * @param {string} [opts.jobId]   job addressed by step/finish/fail/cancel (see start())
+    * @param {string} [opts.instance]  instanceId of the replica that has to handle the message
+    *                                instead of any of its queue group (never durable)
+    * @param {number|object|false} [opts.retry]  retry policy of this call, merged over the
+    *                                node's one (see utils/retry.js)
+    * @param {boolean} [opts.idempotent]  allow retries of a non-idempotent verb
+    * @param {string|true} [opts.idempotencyKey]  handlers run once per key and answer
+    *                                repeats with the first reply (`true`: generate one);
+    *                                makes the call retryable, see Idempotency.js
+    * @param {AbortSignal} [opts.signal]  give up early: sync verbs settle with status 499
+    *                                (code ABORTED) and the handler's `ctx.signal` aborts too;
+    *                                async verbs are not sent once aborted
+    * @param {number} [opts.deadline]  absolute deadline (epoch ms) of the whole call, retries
+    *                                included; each attempt waits at most `timeout` within it
+    * @param {string} [opts.codec]   codec of this message; the reply comes back in the
+    *                                same one unless `headers.accept` names another
+    * @param {string|object|false} [opts.compression]  see codecs.js
+    * @param {boolean} [opts.durable]  async verbs: deliver at least once through the outbox
+    *                                (resolves to the message id once stored), see Outbox.js
+    * @param {boolean} [opts.cache]  "get": use the caller-side reply cache for this call
+    *                                (default: the node's `cache.client`), see ResponseCache.js
     */
    send(method, url, payload = {}, opts = {}) {
       method = String(method).toLowerCase();
       url = String(url).toLowerCase();
+      if (opts.schema) {
+         const errors = compileSchema(opts.schema)(payload);
+         if (errors.length) throw new ValidationError(`Invalid payload for ${method} ${url}`, errors);
+      }
+      if (opts.idempotencyKey) {
+         // every attempt carries the same key: retrying is safe
+         const idempotencyKey = resolveIdempotencyKey(opts.idempotencyKey);
+         opts = { ...opts, idempotent: opts.idempotent ?? true, headers: { ...opts.headers, idempotencyKey } };
+      }
+      if (method === 'start') {
+         return this.start(url, payload, opts);
+      }
+      if (opts.jobId !== undefined) {
+         opts = { ...opts, headers: { ...opts.headers, jobId: assertJobId(opts.jobId) } };
+      }
       // if (ALLOWED_METHODS.has(method)) {
       //    return this.#async(method, url, payload, opts);
       // }
+      if (method === 'stream') {
+         return this.stream(url, payload, opts);
+      }
       if (ALLOWED_SYNC_METHODS.has(method)) {
          return this.#sync(method, url, payload, opts);
       }
@@ -67,69 +315,594 @@ export class PeerNode {
       throw new Error(`Unknown verb "${method}"`);
    }
 
+   /**
+    * Open a stream on a "stream" route and iterate over its chunks:
+    *
+    *    for await (const chunk of peer.stream('n1/gc/snapshot', { from: 0 })) { … }
+    *
+    * Breaking out of the loop (or `reader.cancel()`) cancels the handler.
+    * An error frame from the handler, an idle stream or a rejected open
+    * request rejects the iteration with a PeerError.
+    *
+    * @param {string} url n<id>/<service>/<path>
+    * @param {any} [payload]
+    * @param {object} [opts]  same as send(), plus:
+    * @param {number} [opts.window=16]  chunks the handler may send ahead of consumption
+    * @param {number} [opts.timeout]    max idle time between frames (ms)
+    * @returns {StreamReader} async iterator over the chunks
+    */
+   stream(url, payload = {}, opts = {}) {
+      url = String(url).toLowerCase();
+      const streamId = crypto.randomUUID();
+      const window = opts.window ?? 16;
+      const timeout = opts.timeout ?? this.defaultTimeout;
+
+      const reader = new StreamReader(this.bus, {
+         streamId, window, idleTimeout: timeout, subscribe: (subject, handler) => this.subscribeInternal(subject, handler),
+      });
+      reader.listen();
+      reader.ready = this.#sync('stream', url, payload, {
+         ...opts,
+         rich: true,
+         headers: { ...opts.headers, streamId, streamWindow: window, streamTimeout: timeout },
+      }).then(() => {}, err => reader.fail(err));
+      return reader;
+   }
+
+   /**
+    * Start a job on a "start" route and follow it:
+    *
+    *    const job = await peer.start('n1/gc/import', { file });
+    *    job.on('step', progress => …);
+    *    const { state, result, error } = await job.wait({ timeout: 60_000 });
+    *
+    * The handling node owns the job (see Jobs.js); `job.cancel()`,
+    * `job.step()` etc. send the other lifecycle verbs to the same url.
+    *
+    * @param {string} url n<id>/<service>/<path>
+    * @param {any} [payload]
+    * @param {object} [opts]  same as send(), plus:
+    * @param {string} [opts.jobId]  own job id (default: random UUID)
+    * @returns {Promise<JobHandle>}
+    */
+   async start(url, payload = {}, opts = {}) {
+      url = String(url).toLowerCase();
+      const jobId = assertJobId(opts.jobId ?? crypto.randomUUID());
+      const job = new JobHandle(this, { id: jobId, url }).listen();
+      try {
+         await this.#async('start', url, payload, { ...opts, headers: { ...opts.headers, jobId } });
+      } catch (err) {
+         job.close();
+         throw err;
+      }
+      return job;
+   }
+
+   /**
+    * Follow a job started elsewhere; its current state is fetched from the owner.
+    *
+    * @param {string} jobId
+    * @param {string} url  url the job was started on
+    * @param {{ instanceId?: string }} [opts]  owning replica (the record's `instanceId`);
+    *        without it the status request goes to any replica of the url's node
+    * @returns {JobHandle}
+    */
+   job(jobId, url, { instanceId } = {}) {
+      const job = new JobHandle(this, { id: assertJobId(jobId), url: String(url).toLowerCase(), instanceId }).listen();
+      job.refresh().catch(() => {});
+      return job;
+   }
+
+   /* ───────────── proxy client ───────────── */
+   /**
+    * Send to `target` through property access instead of url strings:
+    *
+    *    const gc = peer.client('n1/gc', { routes: 'discovery' });
+    *    await gc.unit.exp.add.post({ id: 'e1' });        // post n1/gc/unit/exp/add
+    *    await gc.unit('u42').get({}, { rich: true });    // get n1/gc/unit/u42
+    *
+    * Verbs take send()'s `payload` and `opts`. With `routes`, paths the target
+    * does not serve throw a PeerError (404 / 405, code UNKNOWN_ROUTE) instead
+    * of being sent. See client.js, and clientTypes.js for typings.
+    *
+    * @param {string} target  "<nodeId>/<service>"
+    * @param {{ routes?: "discovery"|{ method: string, path: string }[] }} [opts]
+    * @returns {any}
+    */
+   client(target, opts) {
+      return createClient(this, target, opts);
+   }
+
+   /* ───────────── scatter-gather ───────────── */
+   /**
+    * Ask several nodes the same question and collect their answers, e.g.
+    * which gc node holds unit u42: `gather('get', pattern, {}, { maxReplies: 1 })`
+    * with the pattern "*" + "/gc/unit/u42".
+    *
+    * The node id of the pattern is a concrete "n<id>" or "*" for every node
+    * of the service known to discovery; `opts.nodes` lists them explicitly.
+    * Each node gets one request (its replicas share it as usual). Collecting
+    * stops after `maxReplies` successful answers or at `timeout`; requests
+    * still open then are abandoned and their nodes reported as missing.
+    *
+    * @param {"get"|"post"|"put"|"patch"|"delete"} method
+    * @param {string} pattern  <nodeId|*>/<service>/<path>
+    * @param {any} [payload]
+    * @param {object} [opts]  same as send(), plus:
+    * @param {number} [opts.timeout]         ms for the whole gather (default: request timeout)
+    * @param {number} [opts.minReplies=0]    fewer successful answers reject with 504
+    *                                        (code INCOMPLETE, the partial result in `err.data`)
+    * @param {number} [opts.maxReplies=Infinity]
+    * @param {string[]} [opts.nodes]         node ids to ask, e.g. ["n1", "n2"]
+    * @returns {Promise<{ replies: { node: string, status: number, data: any, headers: object }[],
+    *                     errors: { node: string, status: number, error: string, data: any }[],
+    *                     missing: string[] }>}
+    *          replies: status < 400 · errors: error replies · missing: no answer
+    */
+   async gather(method, pattern, payload = {}, opts = {}) {
+      method = String(method).toLowerCase();
+      if (!ALLOWED_SYNC_METHODS.has(method)) throw new Error(`gather() needs a request/reply verb, got "${method}"`);
+      const parts = /^(n\d+|\*)\/([a-z0-9_-]+)\/(.+)$/.exec(String(pattern).toLowerCase());
+      if (!parts) throw new Error(`Pattern must be <nodeId|*>/<service>/path, got "${pattern}"`);
+      const [, nodeId, service, path] = parts;
+      const { timeout = this.defaultTimeout, minReplies = 0, maxReplies = Infinity, nodes, ...sendOpts } = opts;
+
+      let targets;
+      if (nodes) targets = nodes.map(n => `${String(n).toLowerCase()}/${service}`);
+      else if (nodeId !== '*') targets = [`${nodeId}/${service}`];
+      else if (!this.discovery) throw new Error('gather() to "*" needs discovery (or opts.nodes)');
+      else targets = Object.keys(this.discovery.snapshot()).filter(k => k.toLowerCase().endsWith(`/${service}`)).sort();
+
+      const result = { replies: [], errors: [], missing: [] };
+      const waiting = new Set(targets);
+      const controller = new AbortController();
+      const callOpts = {
+         ...sendOpts,
+         rich: true,
+         timeout,
+         deadline: earliest(Date.now() + timeout, opts.deadline),
+         signal: anySignal(controller.signal, opts.signal),
+         // nodes that do not answer are reported in the result
+         onError: () => {},
+      };
+
+      await new Promise((resolve) => {
+         let open = targets.length;
+         if (!open || maxReplies <= 0) return resolve();
+         for (const node of targets) {
+            this.send(method, `${node}/${path}`, payload, callOpts).then(
+               ({ status, data, headers }) => {
+                  if (controller.signal.aborted) return;
+                  waiting.delete(node);
+                  result.replies.push({ node, status, data, headers });
+               },
+               (err) => {
+                  // transport failures (timeout, no responders, …) carry a code
+                  if (controller.signal.aborted || err.code) return;
+                  waiting.delete(node);
+                  result.errors.push({ node, status: err.status, error: err.message, data: err.data });
+               },
+            ).then(() => {
+               if (--open === 0 || result.replies.length >= maxReplies) resolve();
+            });
+         }
+      });
+      controller.abort();
+      result.missing = [...waiting];
+
+      if (result.replies.length < minReplies) {
+         throw new PeerError(504, `${result.replies.length} of ${targets.length} nodes answered ${method} ${pattern}`
+            + ` (${minReplies} needed)`, { code: 'INCOMPLETE', data: result });
+      }
+      return result;
+   }
+
    /**
     * Internal handler for incoming messages.
     * Builds a context (`ctx`) from raw data and invokes the registered route handler.
     *
     * Handles:
-    * - Reply expectation
-    * - Route existence check
+    * - Reply envelope: body + `status` header (200, 204 for an undefined result,
+    *   `ctx.status` if set, 4xx/5xx from a thrown PeerError, 500 otherwise)
+    * - Route resolution (patterns, most specific route wins; a verb's own
+    *   routes before "*" routes)
+    * - 404 for unknown paths and 405 (with the allowed verbs) for unsupported
+    *   verbs reaching a wildcard subscription; a subject nobody subscribed to
+    *   is resolved by the caller instead (see #unrouted())
     * - Centralized error handling
     *
+    * Error replies carry `{ error, status, ...details }` as body.
+    *
+    * "stream" routes answer the open request right away and keep producing
+    * chunks in the background – see #runStream().
+    *
+    * Lifecycle verbs carrying a `jobId` header go through the JobManager,
+    * which rejects illegal transitions with 409 before the handler runs.
+    *
+    * With `auth`, messages are verified before routing (401 for a missing,
+    * invalid, stale or replayed signature) and `ctx.caller` is the sender;
+    * a route's `allow` option is enforced next (401/403).
+    *
+    * Deadlines: `ctx.deadline` is the caller's `deadline` header and
+    * `ctx.signal` aborts when it passes, when the caller's own signal aborts
+    * (a message on "_peer/cancel/<nodeId>/<service>") or when close() runs
+    * out of grace period; a message arriving after its deadline is answered
+    * with 504 without running the handler.
+    *
+    * Durable messages (`messageId` header) are acknowledged by the reply,
+    * which names this replica (`instance`) for the redeliveries; a
+    * redelivery of a message already handled is acked without running the
+    * handler again, one still being handled gets no reply.
+    *
+    * Every handled message gets a server span continuing the caller's trace
+    * (`traceparent` header). `ctx.send()` – and any `send()` made while the
+    * handler runs – propagates it downstream.
+    *
     * @param {any} data - Parsed message payload
-    * @param {any} rawMsg - Original NATS message object
+    * @param {any} rawMsg - Original bus message object
     * @param {string} prefix - Subject prefix (e.g., "n1/gc")
-    * @param {Function} handler - Registered handler for the route
-    * @param {object} params - skipRouteCheck
+    * @param {object|null} target - { handler, params } for external subscriptions, null for routes
+    * @param {object} options - skipRouteCheck, via (key of the receiving subscription), direct, subject
+    * @returns {Promise<BusReply|undefined>} reply for the adapter to send, if any
     */
-   async #onMsg(data, rawMsg, prefix, handler, params = {}) {
+   async #onMsg(data, rawMsg, prefix, target, options = {}) {
       const headers = {};
-      const skipRouteCheck = params?.skipRouteCheck
+      const skipRouteCheck = options?.skipRouteCheck
 
       if (rawMsg?.headers) {
          for (const key of rawMsg.headers.keys()) {
             headers[key] = rawMsg.headers.get(key);
          }
       }
-      const subject = rawMsg.subject
+      // direct messages carry the route subject after the instance prefix
+      const subject = options.subject ?? rawMsg.subject
+      const { path, method } = parseSubject(subject, prefix);
+
+      let match = target;
+      if (!skipRouteCheck) {
+         match = this.#findRoute(path, method);
+         // Overlapping patterns deliver the same message to several subscriptions
+         // of this node: only the one owning the best match answers, or – when
+         // no route handles it – the one of the first route whose subject matches.
+         if (!options.direct && (match ? match.subKey !== options.via : !this.#answersUnrouted(subject, options.via))) return;
+      }
+
+      // Server span: continues the caller's trace, parent of downstream sends
+      const span = startSpan({
+         name: `${method ?? headers.method} ${path}`,
+         kind: rawMsg.reply ? 'server' : 'consumer',
+         parent: parseTraceHeaders(headers),
+         attributes: {
+            node: `${this.nodeId}/${this.service}`,
+            instanceId: this.instanceId,
+            subject,
+            verb: method ?? headers.method,
+            // metrics are per route pattern, not per concrete path
+            route: match?.pattern ?? (match ? '(external)' : '(none)'),
+         },
+      });
+      this.metrics?.begin(span);
+
+      const deadline = Number(headers.deadline) || null;
 
       // Build context object
       const ctx = {
          // url: headers.url.replace(prefix, ''),
          url: subject.replace(prefix, ''),
          subject: subject,
-         method: headers.method,
+         path,
+         method: headers.method ?? method,
+         params: match?.params ?? {},
          headers: headers,
          expectReply: headers.expectReply,
-         traceId: headers.traceId,
+         traceId: span.traceId,
+         spanId: span.spanId,
+         // absolute deadline set by the caller (epoch ms), null if none
+         deadline,
+         signal: null,
+         // verified sender when the node has `auth` (see auth.js), null if unsigned
+         caller: null,
+         // durable delivery: id of the message and delivery attempt
+         messageId: headers.messageId ?? null,
+         // caller's idempotency key (see Idempotency.js), null if none
+         idempotencyKey: headers.idempotencyKey ?? null,
+         attempt: Number(headers.attempt ?? 1),
          payload: this.parsePayload(data),
          raw: rawMsg,
-         reply: (response, hdr = {}) =>
-            rawMsg.reply && this.bus.publish(rawMsg.reply, response, { headers: hdr }),
+         // reply status and extra reply headers, settable by handlers
+         status: 200,
+         replyHeaders: {},
+         replied: false,
+         reply: (response, hdr = {}) => {
+            if (!rawMsg.reply) return;
+            ctx.replied = true;
+            return this.bus.publish(rawMsg.reply, response, {
+               headers: this.#replyHeaders(ctx, ctx.status, hdr),
+               codec: replyCodec(rawMsg.headers, this.codec ?? 'json'),
+               compression: headers['content-type'] ? this.compression : null,
+            });
+         },
+         // downstream calls continue the trace and share the remaining budget
+         send: (method, url, payload, opts = {}) => this.send(method, url, payload, {
+            ...opts,
+            trace: span,
+            deadline: earliest(opts.deadline, deadline),
+            signal: anySignal(opts.signal, ctx.signal),
+         }),
       };
 
-      const routeKey = subject;
+      // Signature first: nothing about the routes is revealed to unknown senders
+      if (this.auth) {
+         try {
+            ctx.caller = this.auth.verify(rawMsg.subject, rawMsg.data, headers);
+         } catch (err) {
+            await logError(err.message);
+            this.#exportSpan(endSpan(span, { status: err.status, error: err }));
+            return rawMsg.reply ? this.#errorReply(ctx, err) : undefined;
+         }
+      }
+
+      // Unknown path – 404; known path, other verbs – 405 listing them
+      if (!match) {
+         const err = this.#routeError(subject, method, this.#allowedMethods(path));
+         await logError(err.message);
+         this.#exportSpan(endSpan(span, { status: err.status, error: err }));
+         return rawMsg.reply ? this.#errorReply(ctx, err) : undefined;
+      }
+
+      // Route concurrency: the place in the route's queue is taken on arrival
+      const slot = match.limiter && method !== 'stream' ? this.#admit(match, ctx) : null;
+      slot?.catch(() => {}); // awaited below, possibly after it settled
 
-      // If this route is not registered at all - 405
-      if (!skipRouteCheck && !this.routeSet.has(routeKey)) {
-         let errMsg = '';
-         if (rawMsg.reply && headers?.expectReply === '1') {
-            const headers = this.#makeHeaders('error', false, { res: 405 });
-            await this.bus.publish(rawMsg.reply, { error: errMsg }, { headers });
+      // Route access policy: 401 unsigned, 403 not allowed
+      let release = null;
+      try {
+         await checkAccess(match.allow, ctx.caller, ctx);
+         release = await slot;
+      } catch (err) {
+         slot?.then(free => free(), () => {});
+         // a throwing `allow` predicate is a failure, not a refusal
+         if (err instanceof PeerError) await logError(err.message);
+         else await this.#handleError(err);
+         this.#exportSpan(endSpan(span, { status: err.status, error: err }));
+         return rawMsg.reply ? this.#errorReply(ctx, err) : undefined;
+      }
+
+      try {
+         return await this.#handle(ctx, match, span, method);
+      } finally {
+         release?.();
+      }
+   }
+
+   /**
+    * Wait for a slot of the route's limiter (see utils/concurrency.js);
+    * messages still queued when close() gives up are rejected with its reason.
+    */
+   #admit(match, ctx) {
+      try {
+         return match.limiter.acquire(match.limiter.keyOf(ctx), this.#shutdown.signal);
+      } catch (err) {
+         return Promise.reject(err);
+      }
+   }
+
+   /** Run a message admitted by #onMsg: deadline, dedup, handler, reply. */
+   async #handle(ctx, match, span, method) {
+      const { raw: rawMsg, headers, deadline } = ctx;
+
+      // The caller has given up already: don't start the work at all
+      if (deadline && Date.now() >= deadline) {
+         const err = deadlineError('Deadline exceeded before handling');
+         this.#exportSpan(endSpan(span, { status: err.status, error: err }));
+         return rawMsg.reply ? this.#errorReply(ctx, err) : undefined;
+      }
+
+      if (method === 'stream' && headers.streamId) {
+         return this.#openStream(ctx, match, span);
+      }
+
+      const { messageId } = ctx;
+      if (messageId) {
+         const seen = this.outbox.dedup.state(messageId);
+         if (seen === 'running') {
+            this.#exportSpan(endSpan(span));
+            return;
+         }
+         if (seen === 'done') {
+            this.#exportSpan(endSpan(span, { status: 200 }));
+            return rawMsg.reply ? this.#busReply(ctx, null, 200, { duplicate: '1' }) : undefined;
          }
-         return logError(errMsg);
+         this.outbox.dedup.mark(messageId, 'running');
+      }
+
+      const expiry = deadlineSignal(deadline);
+      // the caller can give up before the deadline, see #sync()
+      const cancel = headers.cancelId ? new AbortController() : null;
+      if (cancel) this.#cancels.set(headers.cancelId, cancel);
+      ctx.signal = anySignal(expiry.signal, this.#shutdown.signal, cancel?.signal);
+
+      let handler = JOB_VERBS.includes(method) && headers.jobId
+         ? c => this.jobs.run(method, c, match.handler)
+         : match.handler;
+      if (this.idempotency && ctx.idempotencyKey) {
+         const run = handler;
+         handler = c => this.idempotency.run(c, run);
+      }
+      if (this.cache && match.cache && method === 'get') {
+         const run = handler;
+         handler = c => this.cache.serve(c, match.cache, run);
       }
 
       // One matching method should process the request
+      const outcome = {};
+      try {
+         const result = await traceStorage.run(span, () => runMiddleware(this.#middleware, handler, ctx));
+         outcome.status = result === undefined && !ctx.replied ? 204 : ctx.status;
+         if (outcome.status < 400 && INVALIDATING_METHODS.has(method) && this.#findRoute(ctx.path, 'get')?.cache) {
+            await this.cache?.invalidate(ctx.path).catch(err => this.#handleError(err));
+         }
+         if (!rawMsg.reply || ctx.replied) return;
+         return this.#busReply(ctx, result ?? null, outcome.status);
+      } catch (err) {
+         Object.assign(outcome, { status: err instanceof PeerError ? err.status : 500, error: err });
+         // deliberate client errors (4xx) are replies, not failures – unless
+         // there is nobody to reply to, e.g. a rejected job transition.
+         // A handler giving up at the caller's deadline (or at shutdown) is
+         // no failure either.
+         const expired = ctx.signal?.aborted && err === ctx.signal.reason;
+         const failure = !(err instanceof PeerError) || err.status >= 500 || !rawMsg.reply;
+         if (failure && !expired) await this.#handleError(err);
+         if (rawMsg.reply && !ctx.replied) return this.#errorReply(ctx, err);
+      } finally {
+         expiry.clear();
+         if (cancel) this.#cancels.delete(headers.cancelId);
+         // failures leave the message to its redelivery (or dead-letter replay)
+         if (messageId && outcome.status < 400) this.outbox.dedup.mark(messageId, 'done');
+         else if (messageId) this.outbox.dedup.forget(messageId);
+         this.#exportSpan(endSpan(span, outcome));
+      }
+   }
+
+   /**
+    * Accept a stream: set up the writer, expose it on `ctx` and acknowledge
+    * the open request. The handler runs detached, so a long stream does not
+    * hold up the route's subscription.
+    *
+    * Handler API: return/yield chunks (async generator, iterable or single
+    * value), or use `ctx.write(chunk)` / `ctx.end()` / `ctx.cancel()`;
+    * `ctx.signal` aborts when the caller cancels (or at shutdown, see close()).
+    */
+   #openStream(ctx, match, span) {
+      const { headers } = ctx;
+      const writer = new StreamWriter(this.bus, {
+         streamId: headers.streamId,
+         window: Number(headers.streamWindow) || 16,
+         idleTimeout: Number(headers.streamTimeout) || this.defaultTimeout,
+         subscribe: (subject, handler) => this.subscribeInternal(subject, handler),
+      });
+      writer.open();
+      Object.assign(ctx, {
+         write: chunk => writer.write(chunk),
+         end: () => writer.end(),
+         cancel: () => writer.cancel(),
+         signal: anySignal(writer.signal, this.#shutdown.signal),
+      });
+
+      this.#track(this.#runStream(ctx, match, span, writer));
+      return ctx.raw.reply ? this.#busReply(ctx, null, 200) : undefined;
+   }
+
+   async #runStream(ctx, match, span, writer) {
+      const outcome = {};
       try {
-         return await handler(ctx);
+         await traceStorage.run(span, async () => {
+            const result = await runMiddleware(this.#middleware, match.handler, ctx);
+            const iterable = result != null && typeof result !== 'string'
+               && (typeof result[Symbol.asyncIterator] === 'function' || typeof result[Symbol.iterator] === 'function');
+            if (iterable) {
+               for await (const chunk of result) await writer.write(chunk);
+            } else if (result !== undefined && !writer.closed) {
+               await writer.write(result);
+            }
+         });
+         await writer.end();
+         outcome.status = writer.signal.aborted ? CANCELLED : 200;
       } catch (err) {
-         await this.#handleError(err);
-         if (rawMsg.reply && rawMsg.headers?.get('expectReply') === '1') {
-            const headers = this.#makeHeaders('error', false, { res: 500 });
-            return { error: err.message ?? 'Internal server error' };
+         const status = err instanceof PeerError ? err.status : 500;
+         Object.assign(outcome, { status, error: err });
+         if (status >= 500) await this.#handleError(err);
+         await writer.error(err);
+      } finally {
+         this.#exportSpan(endSpan(span, outcome));
+      }
+   }
+
+   /**
+    * Headers of a reply: handler-provided ones, then status and origin.
+    */
+   #replyHeaders(ctx, status, extra = {}) {
+      const headers = { ...ctx.replyHeaders, ...extra, status: String(status), from: `${this.nodeId}/${this.service}` };
+      if (ctx.traceId) headers.traceId = ctx.traceId;
+      // the outbox redelivers to the replica whose dedup knows the message
+      if (ctx.messageId) headers.instance = this.instanceId;
+      return headers;
+   }
+
+   /**
+    * Error reply envelope: `{ error, status, ...details }` with the status header;
+    * only a PeerError's message is sent, see replyMessage().
+    */
+   #errorReply(ctx, err) {
+      const status = err instanceof PeerError ? err.status : 500;
+      const body = {
+         error: replyMessage(err),
+         status,
+         ...(err instanceof PeerError ? err.data : {}),
+      };
+      const extra = err instanceof PeerError ? err.headers : {};
+      return this.#busReply(ctx, body, status, extra);
+   }
+
+   /** Reply for the adapter to send; its codec follows the request (see codecs.js). */
+   #busReply(ctx, data, status, extra) {
+      return new BusReply(data, this.#replyHeaders(ctx, status, extra), { compression: this.compression });
+   }
+
+   /**
+    * Resolve an incoming path + verb to the most specific registered route.
+    *
+    * @param {string} path    e.g. "/unit/u42/exp"
+    * @param {string} method  e.g. "post"
+    * @returns {{ handler: Function, params: object, pattern: string, subKey: string, allow: any,
+    *             limiter: Limiter|null, cache: object|null }|null}
+    */
+   #findRoute(path, method) {
+      for (const verb of [method, '*']) {
+         for (const entry of this.#routes) {
+            if (entry.method !== verb) continue;
+            const params = matchRoute(entry.route, path);
+            if (params) {
+               const { handler, subKey, allow, limiter, cache } = entry;
+               return { handler, params, pattern: entry.route.pattern, subKey, allow, limiter, cache };
+            }
          }
       }
+      return null;
+   }
+
+   /**
+    * Verbs with a route for `path` (for 405 replies).
+    * @param {string} path
+    * @returns {string[]}
+    */
+   #allowedMethods(path) {
+      const verbs = new Set();
+      for (const entry of this.#routes) {
+         if (!entry.auto && matchRoute(entry.route, path)) verbs.add(entry.method);
+      }
+      return [...verbs].sort();
+   }
+
+   /** 405 listing the `allowed` verbs of the path of `subject`, 404 if there are none. */
+   #routeError(subject, method, allowed) {
+      return allowed.length
+         ? new PeerError(405, `Method "${method}" not allowed on ${subject}`, {
+            data: { allowed },
+            headers: { allow: allowed.join(', ') },
+         })
+         : new PeerError(404, `No route for ${subject}`);
+   }
+
+   /**
+    * Limiters of the routes with a concurrency limit (for metrics), internal
+    * routes aside.
+    * @returns {{ verb: string, route: string, active: number, queued: number }[]}
+    */
+   #routeQueues() {
+      return this.#routes
+         .filter(r => r.limiter && !r.internal)
+         .map(r => ({ verb: r.method, route: r.route.pattern, active: r.limiter.active, queued: r.limiter.queue.length }));
    }
 
    /**
@@ -167,26 +940,63 @@ export class PeerNode {
     * Subscribe to a subject.
     *
     * Overloads:
-    *    on(pattern, handler)                       – legacy, matches every verb
-    *    on(method, pattern, handler)               – verb-aware
+    *    on(pattern, handler, [opts])               – every verb, same as on('*', …)
+    *    on(method, pattern, handler, [opts])       – verb-aware
+    *
+    * A "*" route catches every verb of its pattern that has no route of its
+    * own; `ctx.method` holds the actual verb.
     *
     * Both forms accept *relative* patterns that start with "/".
     * A relative pattern is automatically expanded to:  n<id>/<service>/<pattern>.
+    * Patterns may capture segments, exposed to the handler as `ctx.params`:
+    *    /unit/:unitId/exp    – one segment   → ctx.params.unitId
+    *    /files/*rest         – the remainder → ctx.params.rest ("a/b/c")
+    * Captured values are lower-case, like the rest of the URL.
+    * When several patterns match, static segments beat ":param" beat "*rest".
     * If a caller tries to subscribe to a foreign subject unintentionally
     * (absolute path that does **not** start with this node’s prefix) the
     * process terminates – this is almost certainly a configuration error.
     *
+    * Route options:
+    *    schema          – JSON-Schema-style schema for `ctx.payload`; invalid
+    *                      requests get a 400 reply listing the field errors
+    *                      and never reach the handler
+    *    responseSchema  – schema for the handler result; a mismatch is a 500
+    *    fanout          – every replica of this node gets the message; by default
+    *                      routes join the node's queue group and exactly one
+    *                      replica handles each message
+    *    allow           – callers allowed, checked against the verified
+    *                      `ctx.caller` before the handler runs: services ("ag"),
+    *                      identities ("n1/ag") or `(caller, ctx) => boolean`;
+    *                      unsigned calls get 401, others 403 (see auth.js)
+    *    concurrency     – "serial", "unbounded", a limit of messages in flight,
+    *                      or { limit, maxQueue, overflow, key }: a bounded
+    *                      queue, 429/503 or "drop-oldest" when it is full,
+    *                      and one-at-a-time per key (see utils/concurrency.js);
+    *                      default: the node's `concurrency` option
+    *    cache           – "get" routes: ttl (ms) or { ttl, staleWhileRevalidate,
+    *                      key }; replies come from the cache while fresh, a
+    *                      successful write to the same path drops them
+    *                      (see ResponseCache.js)
+    *
+    * A "start" route also accepts step/finish/fail/cancel for its jobs on the
+    * same pattern; registering one of these verbs explicitly replaces the
+    * implicit route (see Jobs.js).
+    *
     * @param {string} methodOrPattern   – verb or pattern depending on overload
     * @param {string|function} [patternOrHandler]
-    * @param {function} [maybeHandler]
+    * @param {function|object} [maybeHandler]
+    * @param {{ schema?: object, responseSchema?: object, fanout?: boolean, allow?: any, concurrency?: any,
+    *          cache?: number|object }} [maybeOpts]
     * @returns {any}  adapter-specific subscription object
     */
-   on(methodOrPattern, patternOrHandler, maybeHandler) {
+   on(methodOrPattern, patternOrHandler, maybeHandler, maybeOpts) {
       // Overload resolution: (pattern, handler) or (method, pattern, handler)
-      let verb = '*', pattern, handler;
+      let verb = '*', pattern, handler, opts = maybeOpts ?? {};
       if (typeof patternOrHandler === 'function') {
          pattern = methodOrPattern;
          handler = patternOrHandler;
+         opts = maybeHandler ?? {};
       } else {
          verb = String(methodOrPattern).toLowerCase();
          if (!ALLOWED_METHODS.has(verb)) {
@@ -198,30 +1008,167 @@ export class PeerNode {
             throw new Error('Handler function is required');
          }
       }
-      pattern = pattern.toLowerCase();
+      pattern = normalizePattern(pattern);
+      if (opts.cache != null && verb !== 'get') {
+         throw new Error(`Only "get" routes can be cached, not "${verb}" ${pattern}`);
+      }
+      if (opts.cache != null && !this.cache) {
+         throw new Error(`Route ${pattern} is cached but the node has no cache (PeerNode option "cache")`);
+      }
 
       // Normalize to absolute subject
       const { prefix, prefix_url, prefix_url_method } = this.#getRouteURLs(verb, pattern);
 
-      let subject;
-      if (verb === '*') {
-         // Subscribe with wildcard to match all verbs
-         // subject = `${prefix_url}-->`;                 // real NATS subject to listen
-         // this.routeSet.add(`${prefix_url}--all`);      // register route key
+      const route = compileRoute(prefix_url.slice(prefix.length));
+      const existing = this.#routes.findIndex(r => r.method === verb && r.route.signature === route.signature);
+      if (existing !== -1) {
+         if (!this.#routes[existing].auto) {
+            throw new Error(`Route "${pattern}" (${verb}) conflicts with an already registered pattern`);
+         }
+         this.#routes.splice(existing, 1);
+      }
+      this.#addRoute(verb, route, prefix, withSchemas(handler, opts), opts);
+      // internal routes (e.g. introspection) are neither listed nor announced
+      if (!opts.internal) this.routeSet.add(prefix_url_method);
 
-         throw new Error(
-            `Wildcard method "*" is not supported in peer.on(). Use peer.onExternal("${prefix_url}-->", handler) instead.`
-         );
-      } else {
-         subject = prefix_url_method;
-         this.routeSet.add(subject);
+      if (verb === 'start') {
+         for (const next of JOB_VERBS.slice(1)) {
+            if (this.#routes.some(r => r.method === next && r.route.signature === route.signature)) continue;
+            this.#addRoute(next, route, prefix, () => undefined, { fanout: opts.fanout, internal: true, auto: true });
+         }
+      }
+      if (!opts.internal) this.discovery?.scheduleAnnounce();
+
+      return this;
+   }
+
+   /**
+    * Remove a route registered with on(). Its subscription goes away with the
+    * last route using it; handlers already running finish normally.
+    *
+    * Overloads (as on()):
+    *    off(pattern)            – the "*" route of the pattern
+    *    off(method, pattern)
+    *
+    * Removing a "start" route also removes the implicit job routes next to
+    * it; removing an explicit step/finish/fail/cancel route of a "start"
+    * pattern restores the implicit one.
+    *
+    * @param {string} methodOrPattern
+    * @param {string} [maybePattern]
+    * @returns {boolean} whether a route was removed
+    */
+   off(methodOrPattern, maybePattern) {
+      let verb = '*', pattern = methodOrPattern;
+      if (maybePattern !== undefined) {
+         verb = String(methodOrPattern).toLowerCase();
+         pattern = maybePattern;
       }
+      pattern = normalizePattern(pattern);
+      const prefix = `${this.nodeId}/${this.service}`.toLowerCase();
+      const prefix_url = pattern.startsWith('/') ? `${prefix}${pattern}` : pattern;
+      if (!prefix_url.startsWith(prefix)) return false;
 
-      // Subscribe and wrap data+msg into a single ctx
-      this.bus.subscribe(subject, async (data, rawMsg) => {
-         return this.#onMsg(data, rawMsg, prefix, handler);
+      const { signature } = compileRoute(prefix_url.slice(prefix.length));
+      const same = r => r.route.signature === signature;
+      const entry = this.#routes.find(r => r.method === verb && same(r) && !r.auto);
+      if (!entry) return false;
+
+      const removed = [entry];
+      if (verb === 'start') removed.push(...this.#routes.filter(r => same(r) && r.auto));
+      this.#routes = this.#routes.filter(r => !removed.includes(r));
+      this.routeSet.delete(`${prefix}${entry.route.pattern}--${verb === '*' ? 'all' : verb}`);
+
+      const start = this.#routes.find(r => r.method === 'start' && same(r));
+      if (start && JOB_VERBS.includes(verb)) {
+         this.#addRoute(verb, start.route, prefix, () => undefined, { fanout: start.fanout, internal: true, auto: true });
+      }
+      for (const { subKey } of removed) {
+         if (this.#routes.some(r => r.subKey === subKey)) continue;
+         this.#subs.get(subKey)?.unsubscribe?.();
+         this.#subs.delete(subKey);
+      }
+      if (!entry.internal) this.discovery?.scheduleAnnounce();
+      return true;
+   }
+
+   #addRoute(method, route, prefix, handler, opts) {
+      const subject = routeSubject(prefix, route, method);
+      const subKey = this.#subscribeRoute(subject, prefix, opts.fanout);
+      const limiter = new Limiter(resolveConcurrency(opts.concurrency, this.concurrency));
+      this.#routes.push({
+         method, route, handler, subject, subKey, fanout: !!opts.fanout, allow: opts.allow ?? null,
+         limiter: limiter.unbounded ? null : limiter, cache: opts.cache != null ? resolveCachePolicy(opts.cache) : null,
+         internal: !!opts.internal, auto: !!opts.auto,
       });
+      this.#routes.sort((a, b) => compareRoutes(a.route, b.route));
+   }
+
+   /**
+    * Whether the subscription `subKey` answers 404/405 for `subject`, which
+    * no route handles: only the one of the first route whose subject matches,
+    * so that one reply goes out per replica.
+    */
+   #answersUnrouted(subject, subKey) {
+      return this.#routes.find(r => subjectMatches(r.subject, subject))?.subKey === subKey;
+   }
 
+   /**
+    * Messages sent to this very replica ("_peer/instance/<instanceId>/<url>--<verb>"),
+    * dispatched like the ones of the route subscriptions.
+    */
+   #subscribeDirect() {
+      if (this.#direct) return;
+      const prefix = `${this.nodeId}/${this.service}`;
+      const base = `${INSTANCE_SUBJECT}/${this.instanceId}/`;
+      this.#direct = this.bus.subscribe(`${base}>`, async (data, rawMsg) => {
+         const subject = rawMsg.subject.slice(base.length);
+         if (!subject.startsWith(`${prefix}/`)) return;
+         return this.#track(this.#onMsg(data, rawMsg, prefix, null, { direct: true, subject }));
+      }, { concurrent: true });
+   }
+
+   /**
+    * One bus subscription per distinct subject (and queue), dispatching by
+    * route table. Queue names are unique per subject: overlapping wildcard
+    * subscriptions must each get a copy, the route table picks the handler.
+    *
+    * @returns {string} subscription key
+    */
+   #subscribeRoute(subject, prefix, fanout = false) {
+      const queue = fanout || !this.queueGroup
+         ? null
+         : `${this.queueGroup}:${crypto.createHash('sha1').update(subject).digest('hex').slice(0, 10)}`;
+      const subKey = queue ? `${subject}|${queue}` : subject;
+
+      if (!this.#subs.has(subKey)) {
+         // concurrency is up to each route's limiter, not to the subscription
+         this.#subs.set(subKey, this.bus.subscribe(subject, async (data, rawMsg) => {
+            return this.#track(this.#onMsg(data, rawMsg, prefix, null, { via: subKey }));
+         }, { ...(queue ? { queue } : {}), concurrent: true }));
+      }
+      return subKey;
+   }
+
+   /**
+    * Register Koa-style middleware `async (ctx, next) => …` that runs around
+    * every handler of this node, in registration order.
+    *
+    * Overloads:
+    *    use(mw)                                  – every request
+    *    use('/unit', mw)                         – paths under a prefix
+    *    use('post', mw)                          – one verb
+    *    use({ method: 'post', path: '/unit' }, mw)
+    *
+    * `await next()` resolves to the downstream result. Returning a value
+    * without calling `next()` short-circuits with that reply; returning a
+    * value after it replaces the result (undefined keeps it).
+    *
+    * @param {...any} args  optional scope, then the middleware function
+    * @returns {PeerNode}
+    */
+   use(...args) {
+      this.#middleware.push(createMiddleware(ALLOWED_METHODS, args));
       return this;
    }
 
@@ -240,25 +1187,47 @@ export class PeerNode {
       return data != null && typeof data === 'object' ? data : { raw: (data !== undefined ? data : null) }
    }
 
+   /**
+    * Subscribe to the node's own "_peer/*" traffic (discovery, job events,
+    * stream frames, cache invalidations). With `auth` its messages are
+    * verified like routed ones; those failing are dropped and reported to
+    * the error handler.
+    *
+    * @param {string} subject
+    * @param {(data: any, rawMsg: any) => any} handler
+    * @param {object} [opts]  bus subscription options
+    */
+   subscribeInternal(subject, handler, opts) {
+      const verified = this.auth ? this.auth.guard(handler, err => this.#handleError(err)) : handler;
+      return this.bus.subscribe(subject, verified, opts);
+   }
+
    /**
     * Explicitly subscribe to a *foreign* subject.  Use with care.
     *
-    * @param {string} pattern   absolute NATS subject, wildcards allowed
+    * @param {string} pattern   absolute subject ("/"-separated), wildcards "*" and ">" allowed
     * @param {function} handler
+    * @param {{ queue?: string }} [opts]  optional queue group (default: every subscriber gets it)
     */
-   onExternal(pattern, handler) {
+   onExternal(pattern, handler, opts = {}) {
       pattern = String(pattern).toLowerCase();
 
       // Subscribe and wrap into ctx via #onMsg skip route-set validation.
       this.bus.subscribe(pattern, async (data, rawMsg) => {
-         return this.#onMsg(data, rawMsg, '', handler, {
+         return this.#onMsg(data, rawMsg, '', { handler, params: {} }, {
             skipRouteCheck: true
          });
-      });
+      }, opts.queue ? { queue: opts.queue } : {});
 
       return this;
    }
 
+   /** Bus subject of a send: the route's, or the one of a single replica. */
+   #subjectOf(method, url, instance) {
+      const subject = `${this.#assertAbsolute(url)}--${method}`;
+      return instance ? `${INSTANCE_SUBJECT}/${instance}/${subject}` : subject;
+   }
+
    #assertAbsolute(url) {
       if (!/^n\d+\/[A-Za-z0-9_-]+\/.+/.test(url)) {
          throw new Error(`URL must be absolute (format n<id>/<service>/path), got "${url}"`);
@@ -266,44 +1235,233 @@ export class PeerNode {
       return url;
    }
 
-   #makeHeaders(method, expectReply, url, extra = {}) {
+   #makeHeaders(method, expectReply, url, extra = {}, span = null) {
       if (extra?.method) {
          console.warn('⚠️ Overriding method in headers:', extra.method);
       }
+      span ??= startSpan({ name: `${method} ${url}`, kind: 'client' });
       return {
          method,
          url,
          expectReply: expectReply ? '1' : '0',
          from: `${this.nodeId}/${this.service}`,
-         traceId: crypto.randomUUID?.() || `${Date.now()}`,
+         traceId: span.traceId,
+         traceparent: formatTraceparent(span),
          ...extra
       };
    }
 
+   /**
+    * Client-side span of a send(); parent is `opts.trace` (set by ctx.send)
+    * or the handler span active in the current async context.
+    */
+   #clientSpan(kind, method, url, opts) {
+      const span = startSpan({
+         name: `${method} ${url}`,
+         kind,
+         parent: opts.trace,
+         attributes: {
+            node: `${this.nodeId}/${this.service}`,
+            instanceId: this.instanceId,
+            url,
+            verb: method,
+            // destination "<nodeId>/<service>"
+            route: url.split('/', 2).join('/'),
+         },
+      });
+      this.metrics?.begin(span);
+      return span;
+   }
+
+   /** Count a finished span and hand it to the exporter without delaying the caller. */
+   #exportSpan(span) {
+      this.metrics?.end(span);
+      if (!this.spanExporter) return;
+      Promise.resolve()
+         .then(() => this.spanExporter(span))
+         .catch(err => this.#handleError(err));
+   }
+
    /**
     * Internal sync method to perform a request-reply interaction over the bus.
     * 
     * Constructs headers and invokes `bus.request()` on a derived subject.
     * Automatically calls error handler if request fails.
     *
+    * Default mode resolves to the reply body (error replies included) and to
+    * `{ res: <status> }` on transport failure. Rich mode (`opts.rich`) resolves
+    * to `{ status, data, headers }` and rejects with a PeerError instead.
+    *
+    * Failed attempts with a retryable status are repeated with backoff when
+    * the retry policy allows it (retries carry an `attempt` header). With
+    * circuit breakers on, an open circuit fails fast with 503 CIRCUIT_OPEN;
+    * with discovery on, so does a destination whose instances have all left
+    * or timed out, with 503 SERVICE_DOWN.
+    *
+    * Every attempt sends its absolute `deadline` header: now + timeout, capped
+    * by `opts.deadline`. `opts.signal` aborts the call with 499 ABORTED.
+    *
     * @param {string} method - HTTP-like method (e.g., "get", "patch")
     * @param {string} url - Fully qualified subject (e.g., "n1/gc/unit")
     * @param {any} payload - Message body
-    * @param {object} opts - Optional settings like timeout, headers, onError
+    * @param {object} opts - Optional settings like timeout, headers, onError, rich, retry
     * @returns {Promise<any>} Response or error wrapper
     */
    async #sync(method, url, payload, opts) {
-      const headers = this.#makeHeaders(method, /*expectReply=*/true, url, opts.headers);
+      // bad arguments throw before a span (and the in-flight gauge) is started
+      const fullUrl = this.#subjectOf(method, url, opts.instance);
+      const policy = resolveRetryPolicy(opts.retry, this.retry);
+
+      // replies kept by the caller-side cache are used without a request
+      const cacheKey = method === 'get' && this.cache?.wants(opts) ? this.cache.keyOf(url, payload) : null;
+      const generation = cacheKey ? this.cache.generation(url) : null;
+      if (cacheKey && opts.cache !== 'refresh') {
+         const hit = this.cache.lookup(cacheKey);
+         if (hit?.state === 'stale') {
+            this.cache.revalidate(cacheKey, () => this.#sync(method, url, payload, { ...opts, cache: 'refresh', rich: false }));
+         }
+         if (hit) return this.cache.reply(hit, opts.rich ?? this.richResponses);
+      }
+
+      const span = this.#clientSpan('client', method, url, opts);
+      const headers = this.#makeHeaders(method, /*expectReply=*/true, url, opts.headers, span);
       const timeout = opts.timeout ?? this.defaultTimeout;
-      const fullUrl = `${this.#assertAbsolute(url)}--${method}`;
+      const rich = opts.rich ?? this.richResponses;
+      const retryable = canRetry(policy, method, opts.idempotent);
+      const breaker = this.#breaker(url);
+      const destination = url.split('/').slice(0, 2).join('/');
+
+      const { signal } = opts;
+      // lets an abort reach the handler, see #handle()
+      if (signal) headers.cancelId = crypto.randomUUID();
+      // no subscriber: a path or verb the node lacks, unless the node is down
+      const unrouted = opts.instance ? null : () => this.#unrouted(method, url, span, timeout);
+
+      let rep, error, cause, resolved;
+      for (let attempt = 1; ; attempt++) {
+         if (attempt > 1) headers.attempt = String(attempt);
+         const budget = Math.min(timeout, (opts.deadline ?? Infinity) - Date.now());
+         headers.deadline = String(Date.now() + budget);
+         ({ rep, error, cause, resolved } = budget <= 0
+            ? { error: deadlineError() }
+            : this.discovery?.isDown(destination)
+               ? { error: new PeerError(503, `${destination} is down`, { code: 'SERVICE_DOWN' }) }
+               : await this.#attempt(breaker, fullUrl, payload, { headers, timeout: budget, ...this.#encoding(opts) }, signal, unrouted));
+         const status = error ? error.status : Number(rep.headers?.status ?? 200);
+         if (resolved || !retryable || attempt >= policy.attempts || ['CIRCUIT_OPEN', 'SERVICE_DOWN', 'ABORTED'].includes(error?.code)
+            || !policy.statuses.includes(status)) break;
+         try {
+            await sleep(backoffDelay(policy, attempt), signal);
+         } catch (err) {
+            ({ error, cause } = { error: err, cause: err });
+            break;
+         }
+      }
+      span.attributes.attempts = Number(headers.attempt ?? 1);
+
+      if (error?.code === 'ABORTED' && headers.cancelId) {
+         Promise.resolve(this.bus.publish(`${CANCEL_SUBJECT}/${destination}`, { id: headers.cancelId }))
+            .catch(err => this.#handleError(err));
+      }
+
+      if (error) {
+         // an abort is the caller's own decision, not a failure to report
+         if (error.code !== 'ABORTED') await this.#handleError(cause ?? error, opts.onError);
+         this.#exportSpan(endSpan(span, { status: error.status, error }));
+         if (rich) throw error;
+         return { res: error.status };
+      }
+
+      const status = Number(rep.headers?.status ?? 200);
+      this.#exportSpan(endSpan(span, { status }));
+      if (cacheKey) this.cache.store(cacheKey, rep, url, generation);
+      else if (status < 400 && INVALIDATING_METHODS.has(method)) this.cache?.forget(url);
+      if (!rich) return rep.data;
+      if (status >= 400) {
+         throw new PeerError(status, rep.data?.error, { data: rep.data, headers: rep.headers });
+      }
+      return { status, data: rep.data, headers: rep.headers };
+   }
+
+   /**
+    * Reply for a request no subscription received: 405 listing the verbs of
+    * the path, 404 if it has none. Any replica of the destination knows (see
+    * "get /_peer/allow"); null when none answers either, i.e. the node is down.
+    *
+    * @returns {Promise<{ data: object, headers: object }|null>}
+    */
+   async #unrouted(method, url, span, timeout) {
+      const prefix = url.split('/').slice(0, 2).join('/');
+      const allowUrl = `${prefix}/_peer/allow`;
+      let allowed;
       try {
-         return await this.bus.request(fullUrl, payload, { headers, timeout });
+         const headers = this.#makeHeaders('get', /*expectReply=*/true, allowUrl, {}, span);
+         ({ allowed } = await this.bus.request(this.#subjectOf('get', allowUrl), { path: url.slice(prefix.length) }, { headers, timeout }));
+      } catch {
+         return null;
+      }
+      if (!Array.isArray(allowed)) return null;
+      const err = this.#routeError(this.#subjectOf(method, url), method, allowed);
+      return {
+         data: { error: err.message, status: err.status, ...err.data },
+         headers: { ...err.headers, status: String(err.status) },
+      };
+   }
+
+   /**
+    * One request through the destination's circuit breaker (if any).
+    * "No responders" is first put to `unrouted()`: a 404/405 it resolves
+    * (`resolved`) is the caller's mistake, not a failure of the destination.
+    * @returns {Promise<{ rep?: object, error?: PeerError, cause?: Error, resolved?: boolean }>}
+    */
+   async #attempt(breaker, fullUrl, payload, options, signal, unrouted) {
+      if (signal?.aborted) return { error: abortedError(signal) };
+      const ticket = breaker ? breaker.acquire() : null;
+      if (breaker && !ticket) {
+         const error = new PeerError(503, `Circuit open for ${breaker.destination}`, { code: 'CIRCUIT_OPEN' });
+         return { error, cause: error };
+      }
+      try {
+         const request = this.bus.request(fullUrl, payload, { ...options, withHeaders: true });
+         const rep = await abortable(request, signal);
+         if (ticket) breaker.record(ticket, Number(rep.headers?.status ?? 200));
+         return { rep };
       } catch (err) {
-         await this.#handleError(err, opts.onError);
-         return { res: parseInt(err.code || 500, 10) };
+         const error = PeerError.fromBusError(err);
+         const rep = error.code === '503' && !signal?.aborted && unrouted ? await unrouted() : null;
+         if (rep) {
+            if (ticket) breaker.release(ticket);
+            return { rep, resolved: true };
+         }
+         if (ticket && signal?.aborted) breaker.release(ticket);
+         else if (ticket) breaker.record(ticket, error.status);
+         return { error, cause: err };
       }
    }
 
+   /**
+    * Circuit breaker of the destination of `url`, created on first use.
+    * State changes are reported to the error handler (code CIRCUIT_STATE).
+    *
+    * @param {string} url n<id>/<service>/<path>
+    * @returns {CircuitBreaker|null}
+    */
+   #breaker(url) {
+      if (!this.circuitBreaker) return null;
+      const destination = url.split('/').slice(0, 2).join('/');
+      let breaker = this.#breakers.get(destination);
+      if (!breaker) {
+         breaker = new CircuitBreaker(destination, this.circuitBreaker);
+         breaker.on('state', (state, from) => {
+            const err = new Error(`Circuit for ${destination}: ${from} → ${state}`);
+            Object.assign(err, { code: 'CIRCUIT_STATE', destination, state, previous: from });
+            this.#handleError(err);
+         });
+         this.#breakers.set(destination, breaker);
+      }
+      return breaker;
+   }
+
    /**
     *  Asynchronous fire-and-forget publish.
     *  Returns `undefined` (or whatever the bus adapter returns).
@@ -315,15 +1473,32 @@ export class PeerNode {
     * @returns {any}
     */
    #async(method, url, payload, opts) {
-      const headers = this.#makeHeaders(method, /*expectReply=*/false, url, opts.headers);
-      const fullUrl = `${this.#assertAbsolute(url)}--${method}`;
+      if (opts.signal?.aborted) return;
+      const fullUrl = this.#subjectOf(method, url, opts.instance);
+      const span = this.#clientSpan('producer', method, url, opts);
+      const headers = this.#makeHeaders(method, /*expectReply=*/false, url, opts.headers, span);
+      if (opts.deadline) headers.deadline = String(opts.deadline);
+      if (!opts.instance && (opts.durable ?? this.outbox.durable)) {
+         this.#exportSpan(endSpan(span));
+         return this.outbox.enqueue(method, url, payload, headers, this.#encoding(opts));
+      }
       try {
-         return this.bus.publish(fullUrl, payload, { headers });
+         return this.bus.publish(fullUrl, payload, { headers, ...this.#encoding(opts) });
       } catch (err) {
          this.#handleError(err, opts.onError);
+      } finally {
+         this.#exportSpan(endSpan(span));
       }
    }
 
+   /** Codec options of one send: per call, else node-wide, else the adapter's. */
+   #encoding(opts) {
+      return {
+         codec: opts.codec ?? this.codec,
+         compression: opts.compression !== undefined ? opts.compression : this.compression,
+      };
+   }
+
    /**
     * Centralised error handler.
     * Priority order:
@@ -0,0 +1,310 @@
+// Response caching for "get" routes
+// ─────────────────────────────────
+//
+//    caller ── get <url> ─────────────────────────────────▶ handler   route option cache: { ttl, staleWhileRevalidate }
+//    caller ◀── reply, cache-control: max-age=…, ────────── handler   fresh: stored reply, handler not run (cache: hit)
+//               stale-while-revalidate=…, age, cache                 stale: stored reply, refreshed behind it (cache: stale)
+//    caller     keeps the reply as long as cache-control allows (opt-in, see PeerNode `cache`)
+//
+//    writer ── put|patch|delete|post <same path> ─────────▶ handler   success (< 400):
+//    every node ◀── "_peer/cache/<nodeId>/<service>" { path } ─────   drop that path's entries
+//
+// Keys are the url plus a digest of the payload (or the route's `key`), so
+// only cache routes whose reply depends on nothing else – not on the caller.
+// Header times are in seconds.
+import { fingerprint } from './Idempotency.js';
+
+export const CACHE_SUBJECT = '_peer/cache';
+
+/** Verbs whose success invalidates the cached "get" replies of their path */
+export const INVALIDATING_METHODS = new Set(['put', 'patch', 'delete', 'post']);
+
+/**
+ * Normalize a route's `cache` option.
+ *
+ * @param {number|{ ttl: number, staleWhileRevalidate?: number, key?: (ctx: object) => string }} spec
+ *        ttl in ms, or the policy
+ * @returns {{ ttl: number, staleWhileRevalidate: number, key: Function|null }}
+ */
+export function resolveCachePolicy(spec) {
+   const policy = typeof spec === 'number' ? { ttl: spec } : { ...spec };
+   if (!(policy.ttl > 0)) throw new TypeError('cache.ttl must be a number of ms > 0');
+   policy.staleWhileRevalidate ??= 0;
+   if (!(policy.staleWhileRevalidate >= 0)) throw new TypeError('cache.staleWhileRevalidate must be >= 0');
+   if (policy.key != null && typeof policy.key !== 'function') throw new TypeError('cache.key must be a function');
+   return { ttl: policy.ttl, staleWhileRevalidate: policy.staleWhileRevalidate, key: policy.key ?? null };
+}
+
+/** "max-age=30, stale-while-revalidate=60" → { maxAge: 30000, staleWhileRevalidate: 60000 } */
+function parseCacheControl(value) {
+   const directives = {};
+   for (const part of String(value ?? '').split(',')) {
+      const [name, arg] = part.trim().toLowerCase().split('=');
+      if (name) directives[name] = arg === undefined ? true : Number(arg);
+   }
+   return {
+      maxAge: (directives['max-age'] || 0) * 1000,
+      staleWhileRevalidate: (directives['stale-while-revalidate'] || 0) * 1000,
+      noStore: !!directives['no-store'],
+   };
+}
+
+const seconds = ms => String(Math.max(0, ms) / 1000);
+
+/**
+ * Caches of one node: replies of its own cached routes, and (opt-in) the
+ * replies it received.
+ */
+export class ResponseCache {
+   /**
+    * @param {import('./PeerNode.js').PeerNode} peer
+    * @param {object} [opts]
+    * @param {boolean} [opts.client=false]  keep the replies of "get" sends (per call: `cache` option)
+    * @param {number}  [opts.max=1000]      entries kept per side, least recently used dropped
+    * @param {function} [opts.onError]     receives failed background refreshes and
+    *                                      keys that could not be computed
+    */
+   constructor(peer, { client = false, max = 1_000, onError = () => {} } = {}) {
+      this.peer = peer;
+      this.client = client;
+      this.max = max;
+      this.onError = onError;
+      /** @type {Map<string, object>} handled routes: "<path>|<variant>" → entry */
+      this.handled = new Map();
+      /** @type {Map<string, object>} sends: "<url>|<payload digest>" → entry */
+      this.responses = new Map();
+      /** keys being refreshed in the background */
+      this.refreshing = new Set();
+      /**
+       * "<nodeId>/<service><path>" → clock of its last invalidation, oldest
+       * first: a reply computed before one on its own path is not stored
+       */
+      this.invalidated = new Map();
+      this.clock = 0;
+      /** clock of the newest invalidation forgotten to keep `invalidated` small */
+      this.floor = 0;
+      this.subject = `${CACHE_SUBJECT}/${peer.nodeId}/${peer.service}`;
+      this.sub = null;
+   }
+
+   /* ──────────────── lifecycle ──────────────── */
+   start() {
+      this.sub = this.peer.subscribeInternal(`${CACHE_SUBJECT}/>`, (data, rawMsg) => {
+         const target = rawMsg.subject.slice(CACHE_SUBJECT.length + 1);
+         if (typeof data?.path === 'string') this.#drop(target, data.path);
+      });
+   }
+
+   stop() {
+      this.sub?.unsubscribe?.();
+      this.sub = null;
+   }
+
+   /* ──────────────── handler side ──────────────── */
+   /**
+    * Answer a message of a cached route, from the cache when possible.
+    *
+    * @param {object} ctx
+    * @param {ReturnType<typeof resolveCachePolicy>} policy
+    * @param {(ctx: object) => any} handler
+    * @returns {Promise<any>}
+    */
+   async serve(ctx, policy, handler) {
+      let key;
+      try {
+         key = `${ctx.path}|${policy.key ? String(policy.key(ctx)) : fingerprint(ctx.payload)}`;
+      } catch (err) {
+         // no key, no cache: the request itself goes on
+         this.onError(err);
+         return handler(ctx);
+      }
+      const entry = this.#get(this.handled, key);
+      if (entry) {
+         const age = Date.now() - entry.storedAt;
+         if (age < policy.ttl) return this.#replay(ctx, policy, entry, 'hit');
+         if (age < policy.ttl + policy.staleWhileRevalidate) {
+            this.#refresh(key, () => this.#run(key, { ...ctx, status: 200, replyHeaders: {}, replied: false }, policy, handler));
+            return this.#replay(ctx, policy, entry, 'stale');
+         }
+      }
+      const result = await this.#run(key, ctx, policy, handler);
+      if (!ctx.replied && ctx.status < 300) Object.assign(ctx.replyHeaders, this.#headers(policy, 0, 'miss'));
+      return result;
+   }
+
+   async #run(key, ctx, policy, handler) {
+      const url = `${this.peer.nodeId}/${this.peer.service}${ctx.path}`;
+      const generation = this.generation(url);
+      const result = await handler(ctx);
+      // replies sent by the handler itself can't be replayed
+      if (!ctx.replied && ctx.status < 300 && generation === this.generation(url)) {
+         this.#set(this.handled, key, {
+            status: result === undefined ? 204 : ctx.status,
+            data: result ?? null,
+            headers: { ...ctx.replyHeaders },
+            storedAt: Date.now(),
+         });
+      }
+      return result;
+   }
+
+   #replay(ctx, policy, entry, state) {
+      ctx.status = entry.status;
+      Object.assign(ctx.replyHeaders, entry.headers, this.#headers(policy, Date.now() - entry.storedAt, state));
+      return entry.status === 204 ? undefined : structuredClone(entry.data);
+   }
+
+   #headers(policy, age, state) {
+      let control = `max-age=${seconds(policy.ttl)}`;
+      if (policy.staleWhileRevalidate) control += `, stale-while-revalidate=${seconds(policy.staleWhileRevalidate)}`;
+      return { 'cache-control': control, age: seconds(age), cache: state };
+   }
+
+   /**
+    * A write to `path` succeeded: drop its entries here and on every other node.
+    * @param {string} path
+    */
+   async invalidate(path) {
+      this.#drop(`${this.peer.nodeId}/${this.peer.service}`, path);
+      await this.peer.bus.publish(this.subject, { path });
+   }
+
+   /* ──────────────── caller side ──────────────── */
+   /**
+    * @param {{ cache?: boolean }} opts  options of the send
+    * @returns {boolean} whether the send uses the cache
+    */
+   wants(opts) {
+      return !!(opts.cache ?? this.client);
+   }
+
+   /** @returns {string|null}  null when the payload has no key: the send skips the cache */
+   keyOf(url, payload) {
+      try {
+         return `${url}|${fingerprint(payload)}`;
+      } catch (err) {
+         this.onError(err);
+         return null;
+      }
+   }
+
+   /**
+    * @param {string} key  see keyOf()
+    * @returns {{ entry: object, state: "hit"|"stale" }|null}  null: nothing usable
+    */
+   lookup(key) {
+      const entry = this.#get(this.responses, key);
+      if (!entry) return null;
+      const age = Date.now() - entry.storedAt;
+      if (age < entry.maxAge) return { entry, state: 'hit' };
+      if (age < entry.maxAge + entry.staleWhileRevalidate) return { entry, state: 'stale' };
+      return null;
+   }
+
+   /**
+    * Keep a reply the handler allows to cache.
+    *
+    * @param {string} key
+    * @param {{ data: any, headers: object }} rep
+    * @param {string} url  n<id>/<service>/<path> of the send
+    * @param {number} generation  generation(url) when the request was sent
+    */
+   store(key, rep, url, generation) {
+      const status = Number(rep.headers?.status ?? 200);
+      const control = parseCacheControl(rep.headers?.['cache-control']);
+      if (status >= 300 || control.noStore || !control.maxAge || generation !== this.generation(url)) return;
+      this.#set(this.responses, key, {
+         status,
+         data: rep.data,
+         headers: { ...rep.headers },
+         // the handler's cache entry may be older than this reply
+         storedAt: Date.now() - Number(rep.headers?.age ?? 0) * 1000,
+         ...control,
+      });
+   }
+
+   /**
+    * A cached reply in the shape send() resolves to.
+    * @param {{ entry: object, state: string }} hit  see lookup()
+    * @param {boolean} rich
+    */
+   reply({ entry, state }, rich) {
+      const data = structuredClone(entry.data);
+      if (!rich) return data;
+      const headers = { ...entry.headers, age: seconds(Date.now() - entry.storedAt), cache: state };
+      return { status: entry.status, data, headers };
+   }
+
+   /**
+    * Run `refresh` unless the same key is being refreshed already.
+    * @param {string} key
+    * @param {() => Promise<any>} refresh
+    */
+   revalidate(key, refresh) {
+      this.#refresh(`send:${key}`, refresh);
+   }
+
+   /**
+    * This node's own write to `url` succeeded: drop its entries right away
+    * instead of waiting for the invalidation event.
+    * @param {string} url  n<id>/<service>/<path>
+    */
+   forget(url) {
+      const [nodeId, service, ...rest] = url.split('/');
+      this.#drop(`${nodeId}/${service}`, `/${rest.join('/')}`);
+   }
+
+   /**
+    * Changes whenever `url` is invalidated; compare the values from before
+    * and after computing a reply to know whether it may be stored. Other
+    * paths' invalidations leave it alone (short of `invalidated` being
+    * trimmed, which only ever refuses more).
+    * @param {string} url  n<id>/<service>/<path>
+    * @returns {number}
+    */
+   generation(url) {
+      return this.invalidated.get(url) ?? this.floor;
+   }
+
+   /* ──────────────── internals ──────────────── */
+   #refresh(key, refresh) {
+      if (this.refreshing.has(key)) return;
+      this.refreshing.add(key);
+      Promise.resolve()
+         .then(refresh)
+         .catch(this.onError)
+         .finally(() => this.refreshing.delete(key));
+   }
+
+   #drop(target, path) {
+      this.invalidated.delete(`${target}${path}`);
+      this.invalidated.set(`${target}${path}`, ++this.clock);
+      while (this.invalidated.size > this.max) {
+         const [url, clock] = this.invalidated.entries().next().value;
+         this.invalidated.delete(url);
+         this.floor = clock;
+      }
+      if (target === `${this.peer.nodeId}/${this.peer.service}`) {
+         for (const key of this.handled.keys()) {
+            if (key.startsWith(`${path}|`)) this.handled.delete(key);
+         }
+      }
+      for (const key of this.responses.keys()) {
+         if (key.startsWith(`${target}${path}|`)) this.responses.delete(key);
+      }
+   }
+
+   #get(map, key) {
+      const entry = map.get(key);
+      if (!entry) return null;
+      map.delete(key);
+      map.set(key, entry);
+      return entry;
+   }
+
+   #set(map, key, entry) {
+      map.delete(key);
+      map.set(key, entry);
+      while (map.size > this.max) map.delete(map.keys().next().value);
+   }
+}
@@ -1,4 +1,52 @@
+import { replyMessage } from '../errors.js';
+
+/**
+ * Reply with headers. A subscription handler may return one instead of a
+ * plain value; the adapter's auto-reply then sends `data` with `headers`.
+ */
+export class BusReply {
+   /**
+    * @param {any} data
+    * @param {Record<string, string|number>} [headers]
+    * @param {{ codec?: string, compression?: any }} [options]  encoding of this reply
+    *        (default: negotiated from the request, see codecs.js)
+    */
+   constructor(data, headers = {}, options = {}) {
+      this.data = data;
+      this.headers = headers;
+      this.options = options;
+   }
+
+   /**
+    * Error envelope for failures of the adapter itself (e.g. a body that
+    * cannot be decoded): `{ error, status }` plus the status header. Only a
+    * PeerError's message is sent, see replyMessage().
+    * @param {Error & { status?: number }} err
+    */
+   static fromError(err) {
+      const status = err?.status ?? 500;
+      return new BusReply({ error: replyMessage(err), status }, { status: String(status) });
+   }
+}
+
+/**
+ * Transport contract used by PeerNode.
+ *
+ * Subjects are "/"-separated tokens, e.g. "n1/gc/unit--get". In patterns
+ * passed to `subscribe()`, "*" matches exactly one token and ">" (last token
+ * only) matches one or more trailing tokens. Adapters translate this notation
+ * to their transport and expose it back as `rawMsg.subject`.
+ */
 export class BusAdapter {
+   /**
+    * Optional `(subject, data, headers) => headers` called for every outgoing
+    * message (replies included) with its encoded body and headers; the
+    * headers it returns are added to the message. PeerNode sets it from its
+    * `auth` option (see auth.js).
+    * @type {((subject: string, data: Uint8Array, headers: object) => object)|null}
+    */
+   signer = null;
+
    /**
     * Establish a connection with the underlying message bus.
     */
@@ -8,6 +56,8 @@ export class BusAdapter {
 
    /**
     * Fire‑and‑forget publish.
+    * Options: `headers`, and `codec` / `compression` overriding the adapter's
+    * defaults for this message (see codecs.js); `request()` takes them too.
     */
    async publish(_subject, _message, _options = {}) {
       throw new Error('publish() must be implemented by adapter');
@@ -15,18 +65,34 @@ export class BusAdapter {
 
    /**
     * Request‑reply call.
+    * Resolves to the reply data, or to `{ data, headers }` (headers as a
+    * plain object) when called with `{ withHeaders: true }`.
     */
    async request(_subject, _message, _options = {}) {
       throw new Error('request() must be implemented by adapter');
    }
 
    /**
-    * Subscribe to a subject (wildcards are adapter‑specific).
+    * Subscribe to a subject ("*" and ">" wildcards).
+    * `rawMsg` exposes at least `subject`, `reply` and `headers` (`keys()`/`get()`).
+    * A non-undefined return value is sent back to `rawMsg.reply`; return a
+    * `BusReply` to attach headers. Bodies that cannot be decoded never reach
+    * the handler: the adapter answers them with a 400 (415 for an unknown
+    * content-type) itself.
+    *
+    * Subscriptions sharing a `queue` name form a queue group: each message
+    * goes to exactly one member of the group (load balancing), while every
+    * subscription without a queue gets its own copy.
+    *
+    * Handlers are called in arrival order. By default the next message waits
+    * until the handler of the previous one settled; with `concurrent: true`
+    * it does not (PeerNode then limits concurrency per route itself).
     *
     * @param {string} _subject
     * @param {(data: any, rawMsg: any) => any|Promise<any>} _handler
+    * @param {{ queue?: string, concurrent?: boolean }} [_options]
     */
-   subscribe(_subject, _handler) {
+   subscribe(_subject, _handler, _options = {}) {
       throw new Error('subscribe() must be implemented by adapter');
    }
 
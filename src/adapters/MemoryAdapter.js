@@ -0,0 +1,287 @@
+//////////////////// src/adapters/MemoryAdapter.js ////////////////////
+import crypto from 'node:crypto';
+import { logError } from '../utils/logger.js';
+import {
+   DEFAULT_MAX_DECODED_SIZE, decodePayload, encodePayload, replyCodec, resolveCompression,
+} from '../codecs.js';
+import { PeerError } from '../errors.js';
+import { BusAdapter, BusReply } from './BusAdapter.js';
+import { subjectMatches } from '../utils/routePattern.js';
+
+/**
+ * Error shaped like the ones thrown by the NATS client, so callers can
+ * branch on `err.code` the same way for both adapters.
+ */
+function busError(code, message) {
+   const err = new Error(message);
+   err.name = 'BusError';
+   err.code = code;
+   return err;
+}
+
+/**
+ * In-process message hub shared by every MemoryAdapter attached to it.
+ * Plays the role of the NATS server.
+ */
+export class MemoryBroker {
+   constructor() {
+      /** @type {Set<MemorySubscription>} */
+      this.subscriptions = new Set();
+   }
+
+   /**
+    * Deliver a message to every matching subscription, and to one random
+    * member of each matching queue group.
+    * @returns {number} number of subscriptions the message was queued for
+    */
+   dispatch(msg) {
+      let delivered = 0;
+      const groups = new Map();
+      for (const sub of this.subscriptions) {
+         if (!subjectMatches(sub.subject, msg.subject)) continue;
+         if (sub.queue) {
+            if (!groups.has(sub.queue)) groups.set(sub.queue, []);
+            groups.get(sub.queue).push(sub);
+            continue;
+         }
+         sub.push(msg);
+         delivered++;
+      }
+      for (const members of groups.values()) {
+         members[Math.floor(Math.random() * members.length)].push(msg);
+         delivered++;
+      }
+      return delivered;
+   }
+}
+
+/**
+ * A single subscription. Messages are processed one at a time, in order,
+ * exactly like the `for await` loop over a NATS subscription.
+ */
+class MemorySubscription {
+   constructor(broker, subject, onMessage, queue = null, concurrent = false) {
+      this.broker = broker;
+      this.subject = subject;
+      this.queue = queue;
+      this.onMessage = onMessage;
+      this.concurrent = concurrent;
+      this.pending = [];
+      /** @type {Set<Promise>} handlers still running (concurrent subscriptions) */
+      this.running = new Set();
+      this.closed = false;
+      this.idle = Promise.resolve();
+   }
+
+   getSubject() { return this.subject; }
+
+   push(msg) {
+      if (this.closed) return;
+      const wasEmpty = this.pending.length === 0;
+      this.pending.push(msg);
+      if (wasEmpty) this.idle = this.#run();
+   }
+
+   async #run() {
+      // Always yield first: delivery is never synchronous with publish().
+      await null;
+      while (this.pending.length) {
+         const msg = this.pending[0];
+         const handled = this.#handle(msg);
+         if (!this.concurrent) await handled;
+         this.pending.shift();
+      }
+   }
+
+   async #handle(msg) {
+      const handled = (async () => this.onMessage(msg))().catch(err => console.error(err));
+      this.running.add(handled);
+      await handled;
+      this.running.delete(handled);
+   }
+
+   unsubscribe() {
+      this.closed = true;
+      this.pending.length = 0;
+      this.broker.subscriptions.delete(this);
+   }
+
+   /** Stop receiving new messages and wait for the queued ones. */
+   async drain() {
+      this.broker.subscriptions.delete(this);
+      await this.idle;
+      await Promise.all(this.running);
+      this.closed = true;
+   }
+}
+
+const defaultBroker = new MemoryBroker();
+
+/**
+ * In-memory implementation of BusAdapter.
+ * No network involved: every adapter attached to the same `MemoryBroker`
+ * (the process-wide default one unless told otherwise) sees the messages
+ * of the others, so several PeerNode instances can talk inside one process.
+ *
+ * Mirrors NatsAdapter semantics: encoded payloads (see codecs.js), string
+ * headers, subject wildcards, "503" when nobody listens and "TIMEOUT" on
+ * slow replies. PeerNode answers a "503" of a node that is up with 404/405.
+ */
+export class MemoryAdapter extends BusAdapter {
+   /**
+    * @param {object} [opts]
+    * @param {MemoryBroker} [opts.broker]  hub to attach to (default: shared process-wide)
+    * @param {string} [opts.codec="json"]  default codec of outgoing messages
+    * @param {string|object} [opts.compression]  e.g. "gzip" or { encoding, threshold }
+    * @param {number} [opts.maxDecodedSize]  bytes a compressed incoming body may inflate
+    *                                       to (default 4 MiB), larger ones fail with 413
+    */
+   constructor({ broker = defaultBroker, codec = 'json', compression = null, maxDecodedSize = DEFAULT_MAX_DECODED_SIZE } = {}) {
+      super();
+      this.broker = broker;
+      this.codec = codec;
+      this.compression = resolveCompression(compression);
+      this.maxDecodedSize = maxDecodedSize;
+      this.connected = false;
+      /** @type {Set<MemorySubscription>} */
+      this.subs = new Set();
+   }
+
+   async connect() {
+      this.connected = true;
+   }
+
+   /* ---------- helpers ---------- */
+
+   /** @returns {{ data: Uint8Array, headers: object }} */
+   encode(obj, { codec, compression } = {}) {
+      return encodePayload(obj, {
+         codec: codec ?? this.codec,
+         compression: compression !== undefined ? compression : this.compression,
+      });
+   }
+
+   decode(data, headers) {
+      return decodePayload(data, headers, { maxDecodedSize: this.maxDecodedSize });
+   }
+
+   buildHeaders(map = {}) {
+      const h = new Map();
+      for (const [k, v] of Object.entries(map ?? {})) {
+         h.set(k, String(v));
+      }
+      return h;
+   }
+
+   #assertConnected() {
+      if (!this.connected) throw busError('CONNECTION_CLOSED', 'MemoryAdapter is not connected');
+   }
+
+   #send(subject, message, headers, reply, options) {
+      const body = this.encode(message, options);
+      const all = { ...headers, ...body.headers };
+      return this.broker.dispatch({
+         subject,
+         reply,
+         headers: this.buildHeaders({ ...all, ...this.signer?.(subject, body.data, all) }),
+         data: body.data,
+      });
+   }
+
+   /** Auto-reply, encoded as negotiated with the request (see codecs.js). */
+   #reply(msg, reply) {
+      const options = {
+         codec: reply.options?.codec ?? replyCodec(msg.headers, this.codec),
+         // callers predating codecs send no content-type and cannot inflate
+         compression: msg.headers?.get('content-type') ? reply.options?.compression : null,
+      };
+      try {
+         this.#send(msg.reply, reply.data, reply.headers, undefined, options);
+      } catch (err) {
+         logError(err);
+         const failed = BusReply.fromError(err);
+         this.#send(msg.reply, failed.data, failed.headers, undefined, { codec: 'json', compression: null });
+      }
+   }
+
+   /* ---------- adapter contract ---------- */
+
+   async publish(subject, message, { headers, codec, compression } = {}) {
+      try {
+         this.#assertConnected();
+         this.#send(subject, message, headers, undefined, { codec, compression });
+      } catch (err) {
+         return logError(err);
+      }
+   }
+
+   /**
+    * Failures are thrown, not logged: no responders and timeouts are routine,
+    * and the caller decides what to report.
+    */
+   async request(subject, message, { timeout = 1_000, headers, withHeaders = false, codec, compression } = {}) {
+      this.#assertConnected();
+      const inbox = `_INBOX.${crypto.randomUUID()}`;
+      let timer, sub;
+      const reply = new Promise((resolve, reject) => {
+         sub = new MemorySubscription(this.broker, inbox, (msg) => {
+            let data;
+            try {
+               data = this.decode(msg.data, msg.headers);
+            } catch (err) {
+               return reject(new PeerError(502, `Malformed reply: ${err.message}`, { code: 'BAD_PAYLOAD', cause: err }));
+            }
+            resolve(withHeaders ? { data, headers: Object.fromEntries(msg.headers) } : data);
+         });
+         this.broker.subscriptions.add(sub);
+         timer = setTimeout(() => reject(busError('TIMEOUT', 'TIMEOUT')), timeout);
+      });
+      try {
+         if (this.#send(subject, message, headers, inbox, { codec, compression }) === 0) {
+            throw busError('503', '503');
+         }
+         return await reply;
+      } finally {
+         clearTimeout(timer);
+         sub.unsubscribe();
+      }
+   }
+
+   /**
+    * Subscribe to a subject and forward messages to the handler.
+    * Automatically decodes payloads and sends a reply if applicable.
+    *
+    * @param {string} subject - Subject, "*" / ">" wildcards allowed
+    * @param {(data: any, rawMsg: any) => any|Promise<any>} handler - Handler function
+    * @param {{ queue?: string, concurrent?: boolean }} [options] - queue group name; whether
+    *        the next message may start before the handler of the previous one settled
+    * @returns {MemorySubscription}
+    */
+   subscribe(subject, handler, { queue, concurrent = false } = {}) {
+      this.#assertConnected();
+      const sub = new MemorySubscription(this.broker, subject, async (msg) => {
+         let data;
+         try {
+            data = this.decode(msg.data, msg.headers);
+         } catch (err) {
+            await logError(err);
+            if (msg.reply) this.#reply(msg, BusReply.fromError(err));
+            return;
+         }
+         const res = await handler(data, msg);
+         if (msg.reply && res !== undefined) {
+            this.#reply(msg, res instanceof BusReply ? res : new BusReply(res));
+         }
+      }, queue, concurrent);
+      this.broker.subscriptions.add(sub);
+      this.subs.add(sub);
+      return sub;
+   }
+
+   async close() {
+      const subs = [...this.subs];
+      this.subs.clear();
+      await Promise.all(subs.map(sub => sub.drain()));
+      this.connected = false;
+   }
+}
@@ -1,17 +1,33 @@
 //////////////////// src/adapters/NatsAdapter.js ////////////////////
-import { connect, StringCodec, headers as natsHeaders } from 'nats';
+import { connect, headers as natsHeaders } from 'nats';
 import { logError } from '../utils/logger.js';
-import { BusAdapter } from './BusAdapter.js';
+import {
+   DEFAULT_MAX_DECODED_SIZE, decodePayload, encodePayload, replyCodec, resolveCompression,
+} from '../codecs.js';
+import { PeerError } from '../errors.js';
+import { BusAdapter, BusReply } from './BusAdapter.js';
 
 /**
  * NATS implementation of BusAdapter.
- * Uses JSON payloads and NATS headers for metadata.
+ * Payloads go through the codecs of codecs.js (JSON by default), metadata
+ * through NATS headers.
+ * Bus subjects map to NATS subjects by using "." as token separator.
  */
 export class NatsAdapter extends BusAdapter {
-   constructor(connectionOptions = {}) {
+   /**
+    * @param {object} [connectionOptions]  passed to `connect()` of the nats client
+    * @param {object} [opts]
+    * @param {string} [opts.codec="json"]  default codec of outgoing messages
+    * @param {string|object} [opts.compression]  e.g. "gzip" or { encoding, threshold }
+    * @param {number} [opts.maxDecodedSize]  bytes a compressed incoming body may inflate
+    *                                       to (default 4 MiB), larger ones fail with 413
+    */
+   constructor(connectionOptions = {}, { codec = 'json', compression = null, maxDecodedSize = DEFAULT_MAX_DECODED_SIZE } = {}) {
       super();
       this.connectionOptions = connectionOptions;
-      this.sc = StringCodec();
+      this.codec = codec;
+      this.compression = resolveCompression(compression);
+      this.maxDecodedSize = maxDecodedSize;
    }
 
    async connect() {
@@ -20,12 +36,24 @@ export class NatsAdapter extends BusAdapter {
 
    /* ---------- helpers ---------- */
 
-   encode(obj) {
-      return this.sc.encode(JSON.stringify(obj));
+   /** @returns {{ data: Uint8Array, headers: object }} */
+   encode(obj, { codec, compression } = {}) {
+      return encodePayload(obj, {
+         codec: codec ?? this.codec,
+         compression: compression !== undefined ? compression : this.compression,
+      });
+   }
+
+   decode(bin, headers) {
+      return decodePayload(bin, headers, { maxDecodedSize: this.maxDecodedSize });
    }
 
-   decode(bin) {
-      return JSON.parse(this.sc.decode(bin));
+   toNatsSubject(subject) {
+      return String(subject).replaceAll('/', '.');
+   }
+
+   fromNatsSubject(subject) {
+      return subject.startsWith('_INBOX.') ? subject : subject.replaceAll('.', '/');
    }
 
    buildHeaders(map = {}) {
@@ -36,53 +64,104 @@ export class NatsAdapter extends BusAdapter {
       return h;
    }
 
+   readHeaders(h) {
+      const map = {};
+      for (const key of h?.keys() ?? []) map[key] = h.get(key);
+      return map;
+   }
+
    /* ---------- adapter contract ---------- */
 
-   async publish(subject, message, { headers } = {}) {
+   #publish(natsSubject, message, headers, options) {
+      const body = this.encode(message, options);
+      const all = { ...headers, ...body.headers };
+      const signed = this.signer?.(this.fromNatsSubject(natsSubject), body.data, all);
+      this.nc.publish(natsSubject, body.data, { headers: this.buildHeaders({ ...all, ...signed }) });
+   }
+
+   /** Auto-reply, encoded as negotiated with the request (see codecs.js). */
+   #reply(msg, reply) {
+      const options = {
+         codec: reply.options?.codec ?? replyCodec(msg.headers, this.codec),
+         // callers predating codecs send no content-type and cannot inflate
+         compression: msg.headers?.get('content-type') ? reply.options?.compression : null,
+      };
       try {
-         this.nc.publish(subject, this.encode(message), {
-            headers: this.buildHeaders(headers)
-         });
+         this.#publish(msg.reply, reply.data, reply.headers, options);
+      } catch (err) {
+         logError(err);
+         const failed = BusReply.fromError(err);
+         this.#publish(msg.reply, failed.data, failed.headers, { codec: 'json', compression: null });
+      }
+   }
+
+   async publish(subject, message, { headers, codec, compression } = {}) {
+      try {
+         this.#publish(this.toNatsSubject(subject), message, headers, { codec, compression });
       } catch (err) {
          return logError(err);
       }
    }
 
-   async request(subject, message, { timeout = 1_000, headers } = {}) {
+   /**
+    * Failures are thrown, not logged: no responders and timeouts are routine,
+    * and the caller decides what to report.
+    */
+   async request(subject, message, { timeout = 1_000, headers, withHeaders = false, codec, compression } = {}) {
+      const body = this.encode(message, { codec, compression });
+      const all = { ...headers, ...body.headers };
+      const rep = await this.nc.request(this.toNatsSubject(subject), body.data, {
+         timeout,
+         headers: this.buildHeaders({ ...all, ...this.signer?.(subject, body.data, all) }),
+      });
+      let data;
       try {
-         const rep = await this.nc.request(subject, this.encode(message), {
-            timeout,
-            headers: this.buildHeaders(headers)
-         });
-         return this.decode(rep.data);
+         data = this.decode(rep.data, rep.headers);
       } catch (err) {
-         await logError(err);
-         throw err;
+         throw new PeerError(502, `Malformed reply: ${err.message}`, { code: 'BAD_PAYLOAD', cause: err });
       }
+      return withHeaders ? { data, headers: this.readHeaders(rep.headers) } : data;
    }
 
    /**
     * Subscribe to a NATS subject and forward messages to the handler.
     * Automatically decodes payloads and sends a reply if applicable.
     *
-    * @param {string} subject - Full NATS subject
+    * @param {string} subject - Full bus subject, "*" / ">" wildcards allowed
     * @param {(data: any, rawMsg: any) => any|Promise<any>} handler - Handler function
+    * @param {{ queue?: string, concurrent?: boolean }} [options] - queue group name; whether
+    *        the next message may start before the handler of the previous one settled
     * @returns {Subscription} NATS subscription object
     */
-   subscribe(subject, handler) {
-      const sub = this.nc.subscribe(subject);
+   subscribe(subject, handler, { queue, concurrent = false } = {}) {
+      const sub = this.nc.subscribe(this.toNatsSubject(subject), queue ? { queue } : {});
       (async () => {
          for await (const msg of sub) {
-            const data = this.decode(msg.data);
-            const res = await handler(data, msg);
-            if (msg.reply && res !== undefined) {
-               this.nc.publish(msg.reply, this.encode(res));
-            }
+            // one bad message must not end the loop (and the subscription)
+            const handled = this.#dispatch(msg, handler).catch(err => console.error(err));
+            if (!concurrent) await handled;
          }
       })().catch(console.error);
       return sub;
    }
 
+   async #dispatch(msg, handler) {
+      let data;
+      try {
+         data = this.decode(msg.data, msg.headers);
+      } catch (err) {
+         await logError(err);
+         if (msg.reply) this.#reply(msg, BusReply.fromError(err));
+         return;
+      }
+      // NATS message with the subject shown in bus notation
+      const view = Object.create(msg, { subject: { value: this.fromNatsSubject(msg.subject) } });
+      const res = await handler(data, view);
+      if (msg.reply && res !== undefined) {
+         this.#reply(msg, res instanceof BusReply ? res : new BusReply(res));
+      }
+   }
+
    async close() {
       await this.nc.drain();
    }
@@ -0,0 +1,143 @@
+//////////////////// src/adapters/RecordingAdapter.js ////////////////////
+import { once } from 'node:events';
+import { createWriteStream } from 'node:fs';
+import { BusAdapter, BusReply } from './BusAdapter.js';
+import { logError } from '../utils/logger.js';
+import { RECORDING_VERSION, headersOf, redact, serializeEvent } from '../utils/recording.js';
+
+/**
+ * BusAdapter wrapper recording the traffic of one node: publishes,
+ * requests and their outcome, subscriptions, the messages they receive and
+ * the replies sent back, each with headers, payload and timing (format in
+ * utils/recording.js). Feed the file to ReplayAdapter to run it again.
+ *
+ *    const bus = new RecordingAdapter(new NatsAdapter(), { file: 'gc.ndjson', redact: ['password'] });
+ *    const peer = new PeerNode({ nodeId: 'n1', service: 'gc', bus });
+ *
+ * Payloads are recorded decoded, as JSON: binary bodies come back as
+ * `{ type: 'Buffer', data }`, BigInts as strings (see serializeEvent()).
+ * An event that cannot be recorded is logged and skipped; the message
+ * itself goes through either way. A file that cannot be opened fails
+ * connect(); one that fails later is logged and recording goes on in `events`.
+ */
+export class RecordingAdapter extends BusAdapter {
+   /**
+    * @param {BusAdapter} inner  adapter doing the actual work
+    * @param {object} [opts]
+    * @param {string} [opts.file]      NDJSON file, truncated on connect(); without one the
+    *                                  events are only kept in `events`
+    * @param {string[]} [opts.redact]  field and header names (any depth, case-insensitive)
+    *                                  recorded as "[REDACTED]"
+    */
+   constructor(inner, { file = null, redact: fields = [] } = {}) {
+      super();
+      this.inner = inner;
+      this.file = file;
+      this.redact = new Set(fields.map(f => String(f).toLowerCase()));
+      /** @type {object[]} events so far (without a file, or once writing it failed) */
+      this.events = [];
+      this.out = null;
+      this.seq = 0;
+      this.sid = 0;
+      this.startedAt = Date.now();
+      // the signer belongs to the adapter that encodes the messages
+      Object.defineProperty(this, 'signer', {
+         get: () => inner.signer,
+         set: signer => { inner.signer = signer; },
+      });
+   }
+
+   #record(type, fields) {
+      const event = { seq: ++this.seq, t: Date.now() - this.startedAt, type, ...fields };
+      try {
+         if (event.headers) event.headers = redact(event.headers, this.redact);
+         if ('data' in event) event.data = redact(event.data, this.redact);
+         if (this.out) this.out.write(`${serializeEvent(event)}\n`);
+         else this.events.push(event);
+      } catch (err) {
+         logError(`RecordingAdapter: ${type} event ${event.seq} not recorded (${err.message})`);
+      }
+      return event.seq;
+   }
+
+   async connect() {
+      this.startedAt = Date.now();
+      if (this.file) {
+         const out = createWriteStream(this.file, { flags: 'w' });
+         await once(out, 'open');
+         out.on('error', (err) => {
+            if (this.out !== out) return;
+            this.out = null;
+            logError(`RecordingAdapter: writing ${this.file} failed (${err.message}), recording to events from here`);
+         });
+         this.out = out;
+         this.out.write(`${JSON.stringify({ type: 'recording', version: RECORDING_VERSION, startedAt: this.startedAt })}\n`);
+      }
+      await this.inner.connect();
+   }
+
+   async publish(subject, message, options = {}) {
+      this.#record('publish', { subject, headers: { ...options.headers }, data: message });
+      return this.inner.publish(subject, message, options);
+   }
+
+   async request(subject, message, options = {}) {
+      const of = this.#record('request', {
+         subject, headers: { ...options.headers }, data: message, timeout: options.timeout,
+      });
+      const started = Date.now();
+      try {
+         const rep = await this.inner.request(subject, message, options);
+         const { data, headers } = options.withHeaders ? rep : { data: rep, headers: undefined };
+         this.#record('response', { of, duration: Date.now() - started, headers, data });
+         return rep;
+      } catch (err) {
+         this.#record('error', {
+            of, duration: Date.now() - started, code: err.code ?? null, status: err.status ?? null, message: err.message,
+         });
+         throw err;
+      }
+   }
+
+   subscribe(subject, handler, options = {}) {
+      const sid = ++this.sid;
+      this.#record('subscribe', { sid, subject, queue: options.queue ?? null });
+      const sub = this.inner.subscribe(subject, async (data, rawMsg) => {
+         const of = this.#record('message', {
+            sid, subject: rawMsg.subject, reply: rawMsg.reply ?? null, headers: headersOf(rawMsg.headers), data,
+         });
+         const started = Date.now();
+         const res = await handler(data, rawMsg);
+         if (rawMsg.reply && res !== undefined) {
+            const reply = res instanceof BusReply ? res : new BusReply(res);
+            this.#record('reply', { of, duration: Date.now() - started, headers: { ...reply.headers }, data: reply.data });
+         }
+         return res;
+      }, options);
+
+      // subscription of the inner adapter, with its unsubscribes recorded
+      const record = () => this.#record('unsubscribe', { sid });
+      return new Proxy(sub, {
+         get(target, prop) {
+            const value = Reflect.get(target, prop);
+            if (typeof value !== 'function') return value;
+            if (prop === 'unsubscribe' || prop === 'drain') {
+               return (...args) => {
+                  record();
+                  return value.apply(target, args);
+               };
+            }
+            return value.bind(target);
+         },
+      });
+   }
+
+   async close() {
+      await this.inner.close();
+      if (this.out) {
+         const out = this.out;
+         this.out = null;
+         await new Promise(resolve => out.end(resolve));
+      }
+   }
+}
@@ -0,0 +1,228 @@
+//////////////////// src/adapters/ReplayAdapter.js ////////////////////
+import { BusAdapter, BusReply } from './BusAdapter.js';
+import { diffValues, readRecording } from '../utils/recording.js';
+import { subjectMatches } from '../utils/routePattern.js';
+
+const INBOX = '_INBOX.replay';
+
+function busError(code, message) {
+   const err = new Error(message);
+   err.name = 'BusError';
+   err.code = code;
+   return err;
+}
+
+/**
+ * BusAdapter playing a RecordingAdapter recording back into a PeerNode:
+ * the recorded messages go to the node's subscriptions again, and its
+ * requests are answered with the recorded replies of the remote services.
+ * No transport is involved.
+ *
+ *    const bus = await ReplayAdapter.fromFile('gc.ndjson', { ignore: ['updatedAt'] });
+ *    const peer = new PeerNode({ nodeId: 'n1', service: 'gc', bus, discovery: false });
+ *    await peer.connect();
+ *    registerRoutes(peer);                  // same code as when recording
+ *    const report = await bus.replay();     // report.differences: [] when nothing changed
+ *
+ * Subscriptions are matched to the recorded ones by subject and queue,
+ * requests and publishes to the recorded ones by subject, in order. Messages
+ * are delivered one after the other, each once its handler settled.
+ * Replies are compared by body and status header. Redacted fields reach
+ * the handlers as "[REDACTED]" and are not compared.
+ */
+export class ReplayAdapter extends BusAdapter {
+   /**
+    * @param {{ startedAt: number, events: object[] }} recording  see readRecording(),
+    *        or a RecordingAdapter without file
+    * @param {object} [opts]
+    * @param {string[]} [opts.ignore]  field names left out of the comparison (timestamps, ids, …)
+    * @param {string[]} [opts.quiet=["_peer/>"]]  subjects whose publishes are not compared
+    */
+   constructor({ startedAt, events }, { ignore = [], quiet = ['_peer/>'] } = {}) {
+      super();
+      this.startedAt = startedAt;
+      this.events = events;
+      this.ignore = new Set(ignore);
+      this.quiet = quiet;
+      /** recorded sid → { handler, closed } */
+      this.subs = new Map();
+      /** recorded events matched by the replay so far (by seq) */
+      this.used = new Set();
+      /** outcome of requests by request seq */
+      this.outcomes = new Map(events.filter(e => e.of !== undefined).map(e => [e.of, e]));
+      /** replies sent with publish() to a replay inbox */
+      this.published = new Map();
+      this.differences = [];
+      this.connected = false;
+   }
+
+   /**
+    * @param {string} file  NDJSON written by RecordingAdapter
+    * @param {ConstructorParameters<typeof ReplayAdapter>[1]} [opts]
+    * @returns {Promise<ReplayAdapter>}
+    */
+   static async fromFile(file, opts) {
+      return new ReplayAdapter(await readRecording(file), opts);
+   }
+
+   async connect() {
+      this.connected = true;
+   }
+
+   /** Next recorded event of `type` on `subject` not matched yet. */
+   #claim(type, subject, extra = () => true) {
+      const event = this.events.find(e => e.type === type && e.subject === subject && !this.used.has(e.seq) && extra(e));
+      if (event) this.used.add(event.seq);
+      return event ?? null;
+   }
+
+   #differ(kind, fields) {
+      this.differences.push({ kind, ...fields });
+   }
+
+   /* ---------- adapter contract ---------- */
+
+   async publish(subject, message, { headers = {} } = {}) {
+      if (subject.startsWith(`${INBOX}.`)) {
+         this.published.set(subject, { data: message, headers });
+         return;
+      }
+      if (this.quiet.some(pattern => subjectMatches(pattern, subject))) return;
+      const recorded = this.#claim('publish', subject);
+      if (!recorded) return this.#differ('unexpected-publish', { subject, actual: message });
+      const diffs = diffValues(recorded.data, message, this.ignore);
+      if (diffs.length) this.#differ('publish', { seq: recorded.seq, subject, diffs });
+   }
+
+   async request(subject, message, { withHeaders = false } = {}) {
+      const recorded = this.#claim('request', subject);
+      if (!recorded) {
+         this.#differ('unexpected-request', { subject, actual: message });
+         throw busError('503', '503');
+      }
+      const diffs = diffValues(recorded.data, message, this.ignore);
+      if (diffs.length) this.#differ('request', { seq: recorded.seq, subject, diffs });
+
+      const outcome = this.outcomes.get(recorded.seq);
+      if (!outcome) throw busError('TIMEOUT', 'TIMEOUT');
+      if (outcome.type === 'error') {
+         const err = busError(outcome.code, outcome.message);
+         if (outcome.status != null) err.status = outcome.status;
+         throw err;
+      }
+      const data = structuredClone(outcome.data);
+      return withHeaders ? { data, headers: { ...outcome.headers } } : data;
+   }
+
+   subscribe(subject, handler, { queue = null } = {}) {
+      const recorded = this.#claim('subscribe', subject, e => (e.queue ?? null) === (queue ?? null));
+      const sub = {
+         subject,
+         handler,
+         closed: false,
+         getSubject: () => subject,
+         unsubscribe: () => { sub.closed = true; },
+         drain: async () => { sub.closed = true; },
+      };
+      if (recorded) this.subs.set(recorded.sid, sub);
+      return sub;
+   }
+
+   async close() {
+      this.connected = false;
+   }
+
+   /* ---------- replay ---------- */
+
+   /**
+    * Deliver the recorded messages and compare what the node does with them.
+    *
+    * @param {object} [opts]
+    * @param {boolean} [opts.timing=false]  keep the recorded delays between messages
+    * @returns {Promise<{ messages: number, replies: number, differences: object[], ok: boolean }>}
+    *          differences: { kind, seq?, subject, diffs?: { path, expected, actual }[], … }
+    */
+   async replay({ timing = false } = {}) {
+      if (!this.connected) throw busError('CONNECTION_CLOSED', 'ReplayAdapter is not connected');
+      const started = Date.now();
+      let messages = 0;
+      // a request reaches every matching subscription: replies are compared
+      // per request (recorded reply subject), whichever copy answered
+      /** @type {Map<string, { message: object, actual: object|null }>} */
+      const requests = new Map();
+
+      for (const event of this.events) {
+         if (event.type !== 'message') continue;
+         const sub = this.subs.get(event.sid);
+         if (!sub || sub.closed) {
+            this.#differ('unhandled', { seq: event.seq, subject: event.subject });
+            continue;
+         }
+         if (timing) {
+            const wait = event.t - (Date.now() - started);
+            if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+         }
+
+         messages++;
+         const inbox = event.reply ? `${INBOX}.${event.seq}` : undefined;
+         const rawMsg = {
+            subject: event.subject,
+            reply: inbox,
+            headers: new Map(Object.entries(this.#rebase(event))),
+            data: undefined,
+         };
+         const res = await sub.handler(structuredClone(event.data), rawMsg);
+         if (!inbox) continue;
+
+         let actual = this.published.get(inbox) ?? null;
+         if (res !== undefined) {
+            const reply = res instanceof BusReply ? res : new BusReply(res);
+            actual = { data: reply.data, headers: reply.headers };
+         }
+         this.published.delete(inbox);
+         const request = requests.get(event.reply) ?? { message: event, actual: null };
+         request.actual ??= actual;
+         requests.set(event.reply, request);
+      }
+
+      for (const [subject, { message, actual }] of requests) {
+         const copies = new Set(this.events.filter(e => e.type === 'message' && e.reply === subject).map(e => e.seq));
+         const expected = this.events.find(e => e.type === 'reply' && copies.has(e.of))
+            ?? this.events.find(e => e.type === 'publish' && e.subject === subject)
+            ?? null;
+         this.#compareReply(message, expected, actual);
+      }
+      const replies = [...requests.values()].filter(r => r.actual).length;
+
+      for (const event of this.events) {
+         if (this.used.has(event.seq)) continue;
+         if (event.type === 'request') this.#differ('missing-request', { seq: event.seq, subject: event.subject });
+         if (event.type === 'publish' && !event.subject.startsWith('_INBOX')
+            && !this.quiet.some(pattern => subjectMatches(pattern, event.subject))) {
+            this.#differ('missing-publish', { seq: event.seq, subject: event.subject });
+         }
+      }
+      return { messages, replies, differences: this.differences, ok: this.differences.length === 0 };
+   }
+
+   /** Headers of a recorded message, its deadline moved to the replay's clock. */
+   #rebase(event) {
+      const headers = { ...event.headers };
+      if (headers.deadline) {
+         const sentAt = this.startedAt + event.t;
+         headers.deadline = String(Date.now() + (Number(headers.deadline) - sentAt));
+      }
+      return headers;
+   }
+
+   #compareReply(message, expected, actual) {
+      const { seq, subject } = message;
+      if (!expected && !actual) return;
+      if (!actual) return this.#differ('missing-reply', { seq, subject, expected: expected.data });
+      if (!expected) return this.#differ('unexpected-reply', { seq, subject, actual: actual.data });
+      const diffs = diffValues(expected.data, actual.data, this.ignore, 'data');
+      const status = [expected.headers?.status ?? '200', String(actual.headers?.status ?? '200')];
+      if (status[0] !== status[1]) diffs.unshift({ path: 'status', expected: status[0], actual: status[1] });
+      if (diffs.length) this.#differ('reply', { seq, subject, diffs });
+   }
+}
@@ -0,0 +1,259 @@
+// Message signing and caller authorization
+// ───────────────────────────────────────
+//
+//    sender ── message + sig-key, sig-alg, sig-ts, sig-nonce, sig ──▶ receiver
+//              sig = HMAC-SHA256 | Ed25519 over                       key known, signature valid,
+//                    subject · headers · sha256(body)                 sig-ts within the replay
+//                                                                     window, nonce unseen
+//                                                                     → ctx.caller
+//
+// Every key id belongs to one caller identity "<nodeId>/<service>"; a key
+// shared by all nodes of a service ("*/<service>") takes the node id from the
+// signed `from` header. Routes restrict callers with their `allow` option:
+// unsigned calls get 401, callers not allowed 403.
+//
+// The node's own "_peer/*" traffic (announcements, job events, stream frames,
+// cache invalidations) is verified the same way; what fails is dropped.
+import crypto from 'node:crypto';
+import { PeerError } from './errors.js';
+
+const SIGNATURE = 'sig';
+
+/**
+ * @typedef {object} Caller
+ * @property {string} id       "<nodeId>/<service>"
+ * @property {string} nodeId
+ * @property {string} service
+ * @property {string} keyId    key the message was signed with
+ */
+
+function unauthorized(message) {
+   return new PeerError(401, message, { code: 'UNAUTHORIZED' });
+}
+
+/**
+ * HMAC secrets stay Buffers, Ed25519 keys become KeyObjects.
+ * @returns {{ alg: "hmac-sha256"|"ed25519", key: Buffer|crypto.KeyObject }}
+ */
+function importKey(key, type) {
+   if (key instanceof crypto.KeyObject) {
+      if (key.asymmetricKeyType !== 'ed25519') throw new Error(`Unsupported key type "${key.asymmetricKeyType}"`);
+      return { alg: 'ed25519', key };
+   }
+   if (typeof key === 'string' && key.includes('-----BEGIN')) {
+      const object = type === 'private' || key.includes('PRIVATE KEY')
+         ? crypto.createPrivateKey(key)
+         : crypto.createPublicKey(key);
+      return importKey(object, type);
+   }
+   if (key == null || key.length === 0) throw new Error('Empty signing key');
+   return { alg: 'hmac-sha256', key: Buffer.from(key) };
+}
+
+/**
+ * Bytes covered by the signature: subject, every header but the signature
+ * (sorted), then the hash of the encoded body.
+ */
+function canonical(subject, data, headers) {
+   const lines = Object.keys(headers)
+      .filter(k => k !== SIGNATURE)
+      .sort()
+      .map(k => `${k}:${headers[k]}`);
+   const digest = crypto.createHash('sha256').update(data ?? Buffer.alloc(0)).digest('hex');
+   return Buffer.from([subject, ...lines, digest].join('\n'));
+}
+
+/** Header values as they travel: strings (adapters String() them). */
+function stringify(headers) {
+   const out = {};
+   for (const [k, v] of Object.entries(headers ?? {})) out[k] = String(v);
+   return out;
+}
+
+/** @returns {{ nodeId: string, service: string }} */
+function parseIdentity(identity) {
+   const [nodeId, service, rest] = String(identity).toLowerCase().split('/');
+   if (!nodeId || !service || rest !== undefined) {
+      throw new Error(`Caller identity must be "<nodeId>/<service>" (nodeId may be "*"), got "${identity}"`);
+   }
+   return { nodeId, service };
+}
+
+/**
+ * Signs the messages of one node and verifies the ones it receives.
+ */
+export class MessageAuth {
+   /**
+    * @param {object} opts
+    * @param {string} opts.identity               "<nodeId>/<service>" of this node
+    * @param {string} [opts.keyId]                id of the signing key; without one nothing is signed
+    * @param {string|Buffer|crypto.KeyObject} [opts.key]  HMAC secret or Ed25519 private key (PEM or KeyObject)
+    * @param {Record<string, { key: string|Buffer|crypto.KeyObject, caller: string }>} [opts.keys]
+    *        trusted keys by id: HMAC secret or Ed25519 public key, and the identity
+    *        it stands for ("n1/ag", or "*" + "/ag" for every ag node)
+    * @param {boolean} [opts.required=true]       reject unsigned messages with 401
+    * @param {number}  [opts.replayWindow=30000]  ms a timestamp may differ from the clock
+    */
+   constructor({ identity, keyId, key, keys = {}, required = true, replayWindow = 30_000 }) {
+      this.identity = identity;
+      this.required = required;
+      this.replayWindow = replayWindow;
+      /** @type {Map<string, { alg: string, key: any, nodeId: string, service: string }>} */
+      this.keys = new Map();
+      for (const [id, entry] of Object.entries(keys)) {
+         this.keys.set(id, { ...importKey(entry.key, 'public'), ...parseIdentity(entry.caller) });
+      }
+
+      this.keyId = keyId ?? null;
+      this.signingKey = null;
+      if (this.keyId) {
+         if (key == null) throw new Error(`auth.key is required with keyId "${keyId}"`);
+         this.signingKey = importKey(key, 'private');
+         // messages to itself verify with its own key
+         if (!this.keys.has(this.keyId)) {
+            const own = this.signingKey.alg === 'ed25519'
+               ? { alg: 'ed25519', key: crypto.createPublicKey(this.signingKey.key) }
+               : this.signingKey;
+            this.keys.set(this.keyId, { ...own, ...parseIdentity(identity) });
+         }
+      }
+      /** @type {Map<string, number>} nonces seen within the window → expiry, in arrival order */
+      this.nonces = new Map();
+   }
+
+   /**
+    * Signature headers of an outgoing message (BusAdapter `signer`).
+    *
+    * @param {string} subject  bus subject
+    * @param {Uint8Array} data  encoded body
+    * @param {Record<string, string|number>} headers  every other header of the message
+    * @returns {Record<string, string>}  the signature headers, and `from` if missing
+    */
+   sign(subject, data, headers) {
+      if (!this.signingKey) return {};
+      const { alg, key } = this.signingKey;
+      const added = {
+         // service-wide keys need it, and not every message carries one
+         ...(headers.from ? {} : { from: this.identity }),
+         'sig-key': this.keyId,
+         'sig-alg': alg,
+         'sig-ts': String(Date.now()),
+         'sig-nonce': crypto.randomBytes(12).toString('base64url'),
+      };
+      const bytes = canonical(subject, data, { ...stringify(headers), ...added });
+      added[SIGNATURE] = alg === 'ed25519'
+         ? crypto.sign(null, bytes, key).toString('base64url')
+         : crypto.createHmac('sha256', key).update(bytes).digest('base64url');
+      return added;
+   }
+
+   /**
+    * Check the signature of an incoming message.
+    *
+    * @param {string} subject
+    * @param {Uint8Array} data  encoded body as received
+    * @param {Record<string, string>} headers
+    * @returns {Caller|null} null for an unsigned message that is not required to be signed
+    * @throws {PeerError} 401 (code UNAUTHORIZED)
+    */
+   verify(subject, data, headers) {
+      const keyId = headers['sig-key'];
+      if (!keyId) {
+         if (this.required) throw unauthorized('Message is not signed');
+         return null;
+      }
+      const entry = this.keys.get(keyId);
+      if (!entry) throw unauthorized(`Unknown key "${keyId}"`);
+      if (headers['sig-alg'] !== entry.alg) throw unauthorized(`Key "${keyId}" does not sign with ${headers['sig-alg']}`);
+
+      const ts = Number(headers['sig-ts']);
+      if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > this.replayWindow) {
+         throw unauthorized('Signature timestamp outside the replay window');
+      }
+
+      const bytes = canonical(subject, data, headers);
+      const signature = Buffer.from(String(headers[SIGNATURE] ?? ''), 'base64url');
+      let valid;
+      if (entry.alg === 'ed25519') {
+         valid = crypto.verify(null, bytes, entry.key, signature);
+      } else {
+         const expected = crypto.createHmac('sha256', entry.key).update(bytes).digest();
+         valid = signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+      }
+      if (!valid) throw unauthorized('Invalid signature');
+
+      this.#sweep();
+      const nonce = `${keyId}:${headers['sig-nonce']}`;
+      if (!headers['sig-nonce'] || this.nonces.has(nonce)) throw unauthorized('Replayed message');
+      this.nonces.set(nonce, ts + this.replayWindow);
+
+      // a service-wide key vouches for the node id its message claims
+      let { nodeId } = entry;
+      if (nodeId === '*') {
+         const from = parseIdentity(headers.from ?? '');
+         if (from.service !== entry.service) throw unauthorized(`Key "${keyId}" cannot sign for "${headers.from}"`);
+         nodeId = from.nodeId;
+      }
+      return { id: `${nodeId}/${entry.service}`, nodeId, service: entry.service, keyId };
+   }
+
+   /**
+    * Wrap a bus subscription handler so that messages failing verify() are
+    * dropped before it runs. For the node's own "_peer/*" traffic, which
+    * does not go through routing.
+    *
+    * @param {(data: any, rawMsg: any) => any} handler
+    * @param {(err: PeerError) => void} [onReject]  told about every dropped message
+    * @returns {(data: any, rawMsg: any) => any}
+    */
+   guard(handler, onReject) {
+      return (data, rawMsg) => {
+         const headers = {};
+         for (const key of rawMsg?.headers?.keys() ?? []) headers[key] = rawMsg.headers.get(key);
+         try {
+            this.verify(rawMsg.subject, rawMsg.data, headers);
+         } catch (err) {
+            onReject?.(err);
+            return undefined;
+         }
+         return handler(data, rawMsg);
+      };
+   }
+
+   /**
+    * Forget expired nonces, oldest first, up to the first one still live:
+    * amortized O(1) per message. Clock skew between senders can leave an
+    * expired nonce behind a live one a little longer; it is dropped when
+    * that one expires.
+    */
+   #sweep() {
+      const now = Date.now();
+      for (const [nonce, expires] of this.nonces) {
+         if (expires >= now) break;
+         this.nonces.delete(nonce);
+      }
+   }
+}
+
+/**
+ * Enforce a route's `allow` option.
+ *
+ * @param {string[]|((caller: Caller, ctx: object) => boolean)} allow
+ *        identities ("n1/ag"), services ("ag") or a predicate
+ * @param {Caller|null} caller
+ * @param {object} ctx
+ * @throws {PeerError} 401 for an unsigned caller, 403 for one not allowed
+ */
+export async function checkAccess(allow, caller, ctx) {
+   if (!allow) return;
+   if (!caller) throw unauthorized(`${ctx.method} ${ctx.path} requires a signed caller`);
+   const ok = typeof allow === 'function'
+      ? await allow(caller, ctx)
+      : [].concat(allow).some(rule => {
+         rule = String(rule).toLowerCase();
+         return rule.includes('/') ? rule === caller.id || rule === `*/${caller.service}` : rule === caller.service;
+      });
+   if (!ok) {
+      throw new PeerError(403, `${caller.id} may not ${ctx.method} ${ctx.path}`, { code: 'FORBIDDEN' });
+   }
+}
@@ -0,0 +1,88 @@
+// Proxy client of a remote node
+// ─────────────────────────────
+//
+//    const gc = peer.client('n1/gc');
+//    gc.unit.exp.add.post(payload, opts)   ──▶  peer.send('post', 'n1/gc/unit/exp/add', payload, opts)
+//    gc.unit('u42').exp.get()              ──▶  peer.send('get', 'n1/gc/unit/u42/exp')
+//
+// Property access adds a path segment, calling adds the given segments
+// (parameters, or names a property cannot carry: gc('start').get()), and a
+// verb sends. With a route list – fixed, or what the node advertises to
+// discovery – a path it does not serve fails right away with 404 / 405
+// instead of waiting for a timeout. See clientTypes.js for typings.
+import { PeerError } from './errors.js';
+import { compileRoute, matchRoute } from './utils/routePattern.js';
+import { ALL_ASYNC_METHODS, ALL_SYNC_METHODS } from './utils/verbs.js';
+
+const VERBS = new Set([...ALL_SYNC_METHODS, ...ALL_ASYNC_METHODS]);
+
+const TARGET = /^n\d+\/[a-z0-9_-]+$/;
+
+/**
+ * @param {import('./PeerNode.js').PeerNode} peer
+ * @param {string} target  "<nodeId>/<service>"
+ * @param {object} [opts]
+ * @param {"discovery"|{ method: string, path: string }[]} [opts.routes]  routes the target
+ *        serves: a list (e.g. its describe().routes) or "discovery" for the ones its live
+ *        instances advertise; none known – no check
+ * @returns {any} proxy, see the module header
+ */
+export function createClient(peer, target, { routes } = {}) {
+   target = String(target).toLowerCase();
+   if (!TARGET.test(target)) throw new Error(`Client target must be "<nodeId>/<service>", got "${target}"`);
+
+   const fixed = Array.isArray(routes) ? compileAll(routes) : null;
+   const known = () => {
+      if (fixed) return fixed;
+      if (routes !== 'discovery' || !peer.discovery) return null;
+      const instances = peer.discovery.snapshot()[target] ?? [];
+      return instances.length ? compileAll(instances.flatMap(i => i.routes ?? [])) : null;
+   };
+
+   const send = (segments, verb, payload, opts) => {
+      const path = `/${segments.join('/')}`;
+      const table = known();
+      if (table) assertServed(table, target, path, verb);
+      return peer.send(verb, `${target}${path}`, payload, opts);
+   };
+
+   const node = segments => new Proxy(() => {}, {
+      get(_, prop) {
+         // not a thenable, not a primitive: `await gc` and template strings stay sane
+         if (typeof prop === 'symbol' || prop === 'then') return undefined;
+         if (prop === 'toString') return () => `${target}/${segments.join('/')}`;
+         if (VERBS.has(prop)) return (payload = {}, opts = {}) => send(segments, prop, payload, opts);
+         return node([...segments, prop]);
+      },
+      apply(_, thisArg, args) {
+         const added = args.flatMap(arg => String(arg).split('/')).filter(Boolean);
+         return node([...segments, ...added]);
+      },
+   });
+
+   return node([]);
+}
+
+function compileAll(routes) {
+   return routes.map(r => ({ method: String(r.method).toLowerCase(), route: compileRoute(r.path) }));
+}
+
+/**
+ * @throws {PeerError} 404 (code UNKNOWN_ROUTE) for a path without routes,
+ *         405 with the allowed verbs for a path without this one
+ */
+function assertServed(table, target, path, verb) {
+   const allowed = new Set();
+   for (const { method, route } of table) {
+      if (matchRoute(route, path)) allowed.add(method);
+   }
+   if (allowed.has(verb) || allowed.has('*')) return;
+   if (!allowed.size) {
+      throw new PeerError(404, `${target} has no route for ${path}`, { code: 'UNKNOWN_ROUTE' });
+   }
+   const verbs = [...allowed].sort();
+   throw new PeerError(405, `Method "${verb}" not allowed on ${target}${path}`, {
+      code: 'UNKNOWN_ROUTE',
+      data: { allowed: verbs },
+   });
+}
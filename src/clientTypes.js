@@ -0,0 +1,198 @@
+// Typings of proxy clients
+// ────────────────────────
+//
+//    router / route list ── generateClientTypes() ──▶ gc-client.d.ts   (TypeScript)
+//                                                    gc-client.js     (JSDoc @typedef)
+//
+//    /** @type {import('./gc-client').GcClient} */
+//    const gc = peer.client('n1/gc');
+//    gc.unit('u42').exp.get()   ← autocomplete, payload types from the route schemas
+//
+// The type mirrors the proxy of client.js: a property per static segment,
+// a call signature per ":param" / "*rest" segment (and for segments named
+// like a verb), a method per verb. Route schemas become payload types,
+// response schemas the reply types.
+import { writeFile } from 'node:fs/promises';
+import { compileRoute } from './utils/routePattern.js';
+import { ALL_ASYNC_METHODS, ALL_SYNC_METHODS } from './utils/verbs.js';
+
+const SYNC = new Set(ALL_SYNC_METHODS);
+const VERBS = [...ALL_SYNC_METHODS, ...ALL_ASYNC_METHODS];
+/** Segments the proxy cannot take as a property */
+const RESERVED = new Set([...VERBS, 'then', 'toString']);
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const INDENT = '   ';
+
+const SEND_OPTIONS = [
+   ['timeout', 'number', 'ms to wait for the reply'],
+   ['rich', 'boolean', 'resolve to { status, data, headers }, reject on errors'],
+   ['retry', 'number | object | false', 'retry policy of this call'],
+   ['deadline', 'number', 'absolute deadline (epoch ms)'],
+   ['signal', 'AbortSignal', 'give up early'],
+   ['headers', 'Record<string, string | number>', 'extra message headers'],
+   ['durable', 'boolean', 'async verbs: deliver at least once'],
+];
+
+/**
+ * Routes of a NodeRouter, or a list such as `peer.describe().routes`.
+ * @returns {{ method: string, path: string, schema?: object, responseSchema?: object }[]}
+ */
+function routeList(source) {
+   if (Array.isArray(source)) return source;
+   if (source?.routes && source?.options) {
+      return Object.keys(source.routes).flatMap(path => Object.keys(source.routes[path]).map(method => ({
+         method,
+         path,
+         ...(source.options[path][method] ?? {}),
+      })));
+   }
+   throw new TypeError('Expected a NodeRouter or a list of { method, path } routes');
+}
+
+function newNode() {
+   return { verbs: new Map(), children: new Map(), param: null };
+}
+
+function buildTree(routes) {
+   const root = newNode();
+   for (const { method, path, schema, responseSchema } of routes) {
+      let node = root;
+      for (const segment of compileRoute(path).segments) {
+         if (segment.type === 'static') {
+            if (!node.children.has(segment.value)) node.children.set(segment.value, newNode());
+            node = node.children.get(segment.value);
+         } else {
+            // routes sharing the position share one call signature, named after the first
+            node.param ??= { name: segment.value, node: newNode() };
+            node = node.param.node;
+         }
+      }
+      const verb = String(method).toLowerCase();
+      // a "*" route catches the verbs without a route of their own
+      for (const v of verb === '*' ? VERBS : [verb]) {
+         if (verb === '*' && node.verbs.has(v)) continue;
+         node.verbs.set(v, { schema, responseSchema });
+      }
+   }
+   return root;
+}
+
+/**
+ * TypeScript type of a schema (the keywords utils/schema.js validates).
+ * @param {object|undefined} schema
+ * @param {string} indent
+ * @param {(s: string) => string} literal
+ */
+function schemaType(schema, indent, literal) {
+   if (!schema || typeof schema !== 'object') return 'any';
+   if ('const' in schema) return literal(schema.const);
+   if (Array.isArray(schema.enum)) return schema.enum.map(literal).join(' | ') || 'never';
+   if (schema.type === undefined) return 'any';
+
+   const types = [].concat(schema.type).map(type => {
+      switch (type) {
+         case 'integer':
+         case 'number': return 'number';
+         case 'string':
+         case 'boolean':
+         case 'null': return type;
+         case 'array': return `Array<${schemaType(schema.items, indent, literal)}>`;
+         case 'object': return objectType(schema, indent, literal);
+         default: return 'any';
+      }
+   });
+   return [...new Set(types)].join(' | ');
+}
+
+function objectType(schema, indent, literal) {
+   const inner = indent + INDENT;
+   const required = new Set(schema.required ?? []);
+   const lines = Object.entries(schema.properties ?? {}).map(([key, sub]) => (
+      `${inner}${propertyKey(key, literal)}${required.has(key) ? '' : '?'}: ${schemaType(sub, inner, literal)};`
+   ));
+   if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      lines.push(`${inner}[key: string]: ${schemaType(schema.additionalProperties, inner, literal)};`);
+   } else if (schema.additionalProperties === true || (!lines.length && schema.additionalProperties !== false)) {
+      lines.push(`${inner}[key: string]: any;`);
+   }
+   return lines.length ? `{\n${lines.join('\n')}\n${indent}}` : '{}';
+}
+
+function propertyKey(key, literal) {
+   return IDENTIFIER.test(key) ? key : literal(key);
+}
+
+function verbMember(verb, { schema, responseSchema }, indent, literal) {
+   const payload = schema ? `payload: ${schemaType(schema, indent, literal)}` : 'payload?: object';
+   const reply = schemaType(responseSchema, indent, literal);
+   let result;
+   if (verb === 'stream') result = `AsyncIterable<${reply}>`;
+   else if (SYNC.has(verb)) result = `Promise<${reply}>`;
+   else result = 'Promise<any>';
+   return `${indent}${verb}(${payload}, opts?: SendOptions): ${result};`;
+}
+
+function nodeType(node, indent, literal) {
+   const inner = indent + INDENT;
+   const lines = [];
+   for (const [verb, route] of node.verbs) lines.push(verbMember(verb, route, inner, literal));
+   for (const [name, child] of node.children) {
+      const type = nodeType(child, inner, literal);
+      if (RESERVED.has(name)) lines.push(`${inner}(segment: ${literal(name)}): ${type};`);
+      else lines.push(`${inner}${propertyKey(name, literal)}: ${type};`);
+   }
+   if (node.param) {
+      const { name, node: child } = node.param;
+      lines.push(`${inner}(${IDENTIFIER.test(name) ? name : 'param'}: string): ${nodeType(child, inner, literal)};`);
+   }
+   return lines.length ? `{\n${lines.join('\n')}\n${indent}}` : '{}';
+}
+
+/**
+ * Type declarations of a proxy client (see PeerNode.client()).
+ *
+ * @param {import('./NodeRouter.js').NodeRouter|{ method: string, path: string, schema?: object,
+ *        responseSchema?: object }[]} source  router of the target, or its route list
+ * @param {object} [opts]
+ * @param {string} [opts.name="Client"]       name of the client type
+ * @param {"dts"|"jsdoc"} [opts.format="dts"] TypeScript declarations or a JS module of @typedefs
+ * @returns {string}
+ */
+export function generateClientTypes(source, { name = 'Client', format = 'dts' } = {}) {
+   if (!IDENTIFIER.test(name)) throw new Error(`Invalid type name "${name}"`);
+   if (format !== 'dts' && format !== 'jsdoc') throw new Error(`Unknown format "${format}" (dts | jsdoc)`);
+   const jsdoc = format === 'jsdoc';
+   // string literals must not close the JSDoc comment they end up in
+   const literal = value => {
+      const text = JSON.stringify(value) ?? 'undefined';
+      return jsdoc ? text.replaceAll('*' + '/', '*\\/') : text;
+   };
+   const type = nodeType(buildTree(routeList(source)), '', literal);
+   const header = '// Generated by generateClientTypes() – do not edit.\n';
+
+   if (!jsdoc) {
+      const options = SEND_OPTIONS.map(([key, t, doc]) => `${INDENT}/** ${doc} */\n${INDENT}${key}?: ${t};`);
+      return `${header}\nexport interface SendOptions {\n${options.join('\n')}\n${INDENT}[option: string]: any;\n}\n\n`
+         + `export type ${name} = ${type};\n`;
+   }
+   const comment = text => `/**\n${text.split('\n').map(l => ` * ${l}`.trimEnd()).join('\n')}\n */`;
+   const options = [
+      '@typedef {object} SendOptions',
+      ...SEND_OPTIONS.map(([key, t, doc]) => `@property {${t}} [${key}]  ${doc}`),
+   ].join('\n');
+   return `${header}\n${comment(options)}\n\n${comment(`@typedef {${type}} ${name}`)}\n\nexport {};\n`;
+}
+
+/**
+ * Write generateClientTypes() output; ".d.ts" files get TypeScript, others JSDoc.
+ *
+ * @param {string} file
+ * @param {Parameters<typeof generateClientTypes>[0]} source
+ * @param {{ name?: string }} [opts]
+ * @returns {Promise<string>} the written text
+ */
+export async function writeClientTypes(file, source, opts = {}) {
+   const text = generateClientTypes(source, { ...opts, format: file.endsWith('.d.ts') ? 'dts' : 'jsdoc' });
+   await writeFile(file, text);
+   return text;
+}
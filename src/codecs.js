@@ -0,0 +1,180 @@
+// Payload codecs
+// ──────────────
+// Adapters encode every message body through a codec and name it in the
+// `content-type` header; compressed bodies also carry `content-encoding`.
+// A message without `content-type` is JSON, as sent by nodes predating
+// codecs, so mixed versions keep talking.
+//
+//    json     application/json           default
+//    msgpack  application/msgpack        binary, keeps Buffer, Date and BigInt
+//    raw      application/octet-stream   Buffer passthrough (Buffers sent as JSON switch to it)
+//
+// Replies are encoded like the request (or as its `accept` header asks).
+// Compressed bodies inflate to at most `maxDecodedSize` bytes (413 beyond).
+import zlib from 'node:zlib';
+import { PeerError } from './errors.js';
+import { pack, unpack } from './utils/msgpack.js';
+
+/**
+ * @typedef {object} Codec
+ * @property {string} name          short name used in options, e.g. "json"
+ * @property {string} contentType   value of the content-type header
+ * @property {(value:any) => Uint8Array} encode
+ * @property {(bytes:Uint8Array) => any} decode
+ */
+
+const isBinary = v => v instanceof Uint8Array;
+
+/** @type {Codec} */
+export const jsonCodec = {
+   name: 'json',
+   contentType: 'application/json',
+   encode: value => Buffer.from(JSON.stringify(value === undefined ? null : value)),
+   decode: bytes => (bytes.length ? JSON.parse(Buffer.from(bytes).toString('utf8')) : null),
+};
+
+/** @type {Codec} */
+export const msgpackCodec = {
+   name: 'msgpack',
+   contentType: 'application/msgpack',
+   encode: pack,
+   decode: unpack,
+};
+
+/** @type {Codec} */
+export const rawCodec = {
+   name: 'raw',
+   contentType: 'application/octet-stream',
+   encode(value) {
+      if (value == null) return Buffer.alloc(0);
+      if (isBinary(value)) return value;
+      if (typeof value === 'string') return Buffer.from(value);
+      throw new TypeError('raw codec only sends Buffers, Uint8Arrays and strings');
+   },
+   decode: bytes => Buffer.from(bytes),
+};
+
+/** Codecs by name and by content type */
+const registry = new Map();
+
+/**
+ * Make a codec available to every adapter of this process.
+ * @param {Codec} codec
+ */
+export function registerCodec(codec) {
+   if (!codec?.name || !codec.contentType || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+      throw new TypeError('A codec needs name, contentType, encode() and decode()');
+   }
+   registry.set(codec.name, codec);
+   registry.set(codec.contentType, codec);
+}
+
+[jsonCodec, msgpackCodec, rawCodec].forEach(registerCodec);
+
+/**
+ * @param {string|Codec} codec  name, content type or codec object
+ * @returns {Codec|null}
+ */
+export function findCodec(codec) {
+   if (codec && typeof codec === 'object') return codec;
+   return registry.get(String(codec ?? 'json').toLowerCase().split(';')[0].trim()) ?? null;
+}
+
+const ENCODINGS = {
+   gzip: { compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+   deflate: { compress: zlib.deflateSync, decompress: zlib.inflateSync },
+};
+
+/** Default cap of an inflated body: a few times NATS' default max_payload (1 MB) */
+export const DEFAULT_MAX_DECODED_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Normalize a compression option.
+ * @param {string|{ encoding?: string, threshold?: number }|false|null} spec
+ *        "gzip" | "deflate" | { encoding, threshold } – bodies of at least
+ *        `threshold` bytes (default 1024) are compressed
+ * @returns {{ encoding: string, threshold: number }|null}
+ */
+export function resolveCompression(spec) {
+   if (!spec) return null;
+   const { encoding = 'gzip', threshold = 1024 } = typeof spec === 'string' ? { encoding: spec } : spec;
+   if (!ENCODINGS[encoding]) throw new Error(`Unknown compression "${encoding}" (gzip or deflate)`);
+   return { encoding, threshold };
+}
+
+/**
+ * Encode a message body.
+ *
+ * @param {any} value
+ * @param {object} [opts]
+ * @param {string|Codec} [opts.codec="json"]
+ * @param {string|object} [opts.compression]  see resolveCompression()
+ * @returns {{ data: Uint8Array, headers: Record<string, string> }} body and the headers describing it
+ */
+export function encodePayload(value, { codec = 'json', compression = null } = {}) {
+   let c = findCodec(codec);
+   if (!c) throw new Error(`Unknown codec "${codec}"`);
+   if (c === jsonCodec && isBinary(value)) c = rawCodec;
+
+   let data = c.encode(value);
+   const headers = { 'content-type': c.contentType };
+   const comp = resolveCompression(compression);
+   if (comp && data.length >= comp.threshold) {
+      data = ENCODINGS[comp.encoding].compress(data);
+      headers['content-encoding'] = comp.encoding;
+   }
+   return { data, headers };
+}
+
+/**
+ * Decode a message body according to its headers.
+ *
+ * @param {Uint8Array} data
+ * @param {{ get(key:string): string|undefined }} [headers]
+ * @param {{ maxDecodedSize?: number }} [opts]  bytes a compressed body may inflate to
+ * @returns {any}
+ * @throws {PeerError} 415 for an unknown codec or encoding, 413 for a body inflating
+ *         beyond `maxDecodedSize`, 400 for a malformed body
+ */
+export function decodePayload(data, headers, { maxDecodedSize = DEFAULT_MAX_DECODED_SIZE } = {}) {
+   const type = headers?.get('content-type');
+   const encoding = headers?.get('content-encoding');
+   const codec = findCodec(type || 'json');
+   if (!codec) throw new PeerError(415, `Unsupported content-type "${type}"`, { code: 'BAD_PAYLOAD' });
+   if (encoding && !ENCODINGS[encoding]) {
+      throw new PeerError(415, `Unsupported content-encoding "${encoding}"`, { code: 'BAD_PAYLOAD' });
+   }
+   let bytes = data;
+   if (encoding) {
+      try {
+         // inflating stops at the cap instead of building a huge buffer
+         bytes = ENCODINGS[encoding].decompress(data, { maxOutputLength: maxDecodedSize });
+      } catch (err) {
+         if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new PeerError(413, `${encoding} body inflates beyond ${maxDecodedSize} bytes`, {
+               code: 'PAYLOAD_TOO_LARGE', cause: err,
+            });
+         }
+         throw new PeerError(400, `Malformed ${encoding} body: ${err.message}`, { code: 'BAD_PAYLOAD', cause: err });
+      }
+   }
+   try {
+      return codec.decode(bytes);
+   } catch (err) {
+      throw new PeerError(400, `Malformed ${codec.name} payload: ${err.message}`, { code: 'BAD_PAYLOAD', cause: err });
+   }
+}
+
+/**
+ * Codec for the reply to a message: the one its `accept` header asks for,
+ * else the request's own, else `fallback`.
+ *
+ * @param {{ get(key:string): string|undefined }} [headers]  request headers
+ * @param {string|Codec} [fallback="json"]
+ * @returns {Codec}
+ */
+export function replyCodec(headers, fallback = 'json') {
+   const accept = headers?.get('accept');
+   const type = headers?.get('content-type');
+   return (accept && findCodec(accept)) || (type && findCodec(type)) || findCodec(fallback);
+}
@@ -0,0 +1,87 @@
+// src/errors.js
+
+/** Default reason phrases for the statuses PeerNode itself produces */
+export const STATUS_TEXT = {
+   200: 'OK',
+   204: 'No Content',
+   400: 'Bad Request',
+   404: 'Not Found',
+   405: 'Method Not Allowed',
+   415: 'Unsupported Media Type',
+   500: 'Internal Server Error',
+   502: 'Bad Gateway',
+   503: 'No Responders',
+   504: 'Gateway Timeout',
+};
+
+/**
+ * Error with a reply status.
+ *
+ * Thrown by handlers to answer with a specific status
+ * (`throw new PeerError(404, 'Unit not found')`), and by `send()` in rich
+ * mode for error replies (status >= 400) and transport failures.
+ */
+export class PeerError extends Error {
+   /**
+    * @param {number} status
+    * @param {string} [message]
+    * @param {object} [details]
+    * @param {object} [details.data]     reply body (extra fields for thrown errors)
+    * @param {object} [details.headers]  reply headers
+    * @param {string} [details.code]     transport error code, e.g. "TIMEOUT"
+    * @param {Error}  [details.cause]
+    */
+   constructor(status, message, { data, headers, code, cause } = {}) {
+      super(message || STATUS_TEXT[status] || `Status ${status}`, cause ? { cause } : undefined);
+      this.name = 'PeerError';
+      this.status = status;
+      this.data = data;
+      this.headers = headers ?? {};
+      this.code = code;
+   }
+
+   /**
+    * Map a transport error (NATS-style `err.code`) to a PeerError:
+    * "503" (no responders) → 503, "TIMEOUT" → 504, anything else → 500.
+    *
+    * @param {Error & { code?: string }} err
+    * @returns {PeerError}
+    */
+   static fromBusError(err) {
+      if (err instanceof PeerError) return err;
+      const code = err?.code;
+      let status = 500;
+      if (code === 'TIMEOUT') status = 504;
+      else if (/^\d{3}$/.test(String(code))) status = Number(code);
+      return new PeerError(status, err?.message, { code, cause: err });
+   }
+}
+
+/**
+ * Thrown when a payload does not match its route schema.
+ * `errors` lists every failing field: [{ field, message }].
+ * Request payloads fail with 400, handler results with 500.
+ */
+export class ValidationError extends PeerError {
+   /**
+    * @param {string} message
+    * @param {Array<{ field: string, message: string }>} errors
+    * @param {number} [status=400]
+    */
+   constructor(message, errors = [], status = 400) {
+      super(status, message, { data: { errors } });
+      this.name = 'ValidationError';
+      this.errors = errors;
+   }
+}
+
+/**
+ * Message of `err` for an error reply: a PeerError's own, a generic one for
+ * any other exception, whose message may reveal internals (the original goes
+ * to the error handler).
+ * @param {unknown} err
+ * @returns {string}
+ */
+export function replyMessage(err) {
+   return err instanceof PeerError ? err.message : STATUS_TEXT[500];
+}
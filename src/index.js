@@ -1,3 +1,24 @@
 export { PeerNode } from './PeerNode.js';
+export { Discovery } from './Discovery.js';
+export { CircuitBreaker } from './CircuitBreaker.js';
 export { NatsAdapter } from './adapters/NatsAdapter.js';
-export { BusAdapter } from './adapters/BusAdapter.js';
\ No newline at end of file
+export { MemoryAdapter, MemoryBroker } from './adapters/MemoryAdapter.js';
+export { BusAdapter, BusReply } from './adapters/BusAdapter.js';
+export { RecordingAdapter } from './adapters/RecordingAdapter.js';
+export { ReplayAdapter } from './adapters/ReplayAdapter.js';
+export { readRecording } from './utils/recording.js';
+export { registerCodec, findCodec } from './codecs.js';
+export { PeerError, ValidationError } from './errors.js';
+export { JobHandle } from './Jobs.js';
+export { JobStore } from './stores/JobStore.js';
+export { MemoryJobStore } from './stores/MemoryJobStore.js';
+export { Outbox } from './Outbox.js';
+export { Metrics } from './Metrics.js';
+export { HttpGateway } from './HttpGateway.js';
+export { generateClientTypes, writeClientTypes } from './clientTypes.js';
+export { MessageAuth } from './auth.js';
+export { OutboxStore } from './stores/OutboxStore.js';
+export { MemoryOutboxStore } from './stores/MemoryOutboxStore.js';
+export { FileOutboxStore } from './stores/FileOutboxStore.js';
+export { IdempotencyStore } from './stores/IdempotencyStore.js';
+export { MemoryIdempotencyStore } from './stores/MemoryIdempotencyStore.js';
\ No newline at end of file
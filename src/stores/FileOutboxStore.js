@@ -0,0 +1,100 @@
+import { appendFile, mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { OutboxStore } from './OutboxStore.js';
+
+/**
+ * OutboxStore kept in an append-only NDJSON file, so pending messages
+ * survive a process restart:
+ *
+ *    {"op":"put","entry":{…}}
+ *    {"op":"del","id":"…"}
+ *
+ * The log is compacted on load and whenever it holds `compactAfter`
+ * operations more than live entries. One process per file; payloads must be
+ * JSON-serializable (Buffers come back as `{ type: 'Buffer', data }`).
+ */
+export class FileOutboxStore extends OutboxStore {
+   /**
+    * @param {string} file  path of the log file (created on first write)
+    * @param {object} [opts]
+    * @param {number} [opts.compactAfter=1000]
+    */
+   constructor(file, { compactAfter = 1_000 } = {}) {
+      super();
+      this.file = file;
+      this.compactAfter = compactAfter;
+      /** @type {Map<string, object>} */
+      this.entries = new Map();
+      this.ops = 0;
+      this.loaded = null;
+      // file writes, strictly one after another
+      this.writing = Promise.resolve();
+   }
+
+   #load() {
+      this.loaded ??= (async () => {
+         let text = '';
+         try {
+            text = await readFile(this.file, 'utf8');
+         } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            await mkdir(dirname(this.file), { recursive: true });
+         }
+         for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            let record;
+            try {
+               record = JSON.parse(line);
+            } catch {
+               continue; // torn last line of a crash
+            }
+            if (record.op === 'put') this.entries.set(record.entry.id, record.entry);
+            else if (record.op === 'del') this.entries.delete(record.id);
+         }
+         await this.#write(() => this.#compact());
+      })();
+      return this.loaded;
+   }
+
+   #write(fn) {
+      const run = this.writing.then(fn);
+      this.writing = run.catch(() => {});
+      return run;
+   }
+
+   async #append(record) {
+      await this.#write(() => appendFile(this.file, `${JSON.stringify(record)}\n`));
+      if (++this.ops > this.entries.size + this.compactAfter) await this.#write(() => this.#compact());
+   }
+
+   async #compact() {
+      const tmp = `${this.file}.tmp`;
+      const lines = [...this.entries.values()].map(entry => `${JSON.stringify({ op: 'put', entry })}\n`);
+      await writeFile(tmp, lines.join(''));
+      await rename(tmp, this.file);
+      this.ops = this.entries.size;
+   }
+
+   async put(entry) {
+      await this.#load();
+      this.entries.set(entry.id, structuredClone(entry));
+      await this.#append({ op: 'put', entry });
+   }
+
+   async get(id) {
+      await this.#load();
+      const entry = this.entries.get(id);
+      return entry ? structuredClone(entry) : null;
+   }
+
+   async delete(id) {
+      await this.#load();
+      if (!this.entries.delete(id)) return;
+      await this.#append({ op: 'del', id });
+   }
+
+   async list() {
+      await this.#load();
+      return [...this.entries.values()].map(e => structuredClone(e));
+   }
+}
@@ -0,0 +1,31 @@
+/**
+ * Storage contract for idempotency records (see Idempotency.js).
+ * Records are plain JSON-serializable objects keyed by scoped idempotency key;
+ * a store shared by the replicas of a node lets any of them answer a retry.
+ */
+export class IdempotencyStore {
+   /**
+    * @param {string} _key
+    * @returns {Promise<object|null>} null when unknown or expired
+    */
+   async get(_key) {
+      throw new Error('get() must be implemented by idempotency store');
+   }
+
+   /**
+    * Insert or replace a record.
+    * @param {string} _key
+    * @param {object} _record
+    * @param {number} _ttl  ms to keep it
+    */
+   async set(_key, _record, _ttl) {
+      throw new Error('set() must be implemented by idempotency store');
+   }
+
+   /**
+    * @param {string} _key
+    */
+   async delete(_key) {
+      throw new Error('delete() must be implemented by idempotency store');
+   }
+}
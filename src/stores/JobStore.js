@@ -0,0 +1,29 @@
+/**
+ * Storage contract for job records (see Jobs.js).
+ * Records are plain JSON-serializable objects keyed by job id.
+ */
+export class JobStore {
+   /**
+    * @param {string} _id
+    * @returns {Promise<object|null>}
+    */
+   async get(_id) {
+      throw new Error('get() must be implemented by job store');
+   }
+
+   /**
+    * Insert or replace a record.
+    * @param {string} _id
+    * @param {object} _record
+    */
+   async set(_id, _record) {
+      throw new Error('set() must be implemented by job store');
+   }
+
+   /**
+    * @param {string} _id
+    */
+   async delete(_id) {
+      throw new Error('delete() must be implemented by job store');
+   }
+}
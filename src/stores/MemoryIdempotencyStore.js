@@ -0,0 +1,37 @@
+import { IdempotencyStore } from './IdempotencyStore.js';
+
+/**
+ * In-process IdempotencyStore: least recently used records are evicted
+ * beyond `max`, expired ones on access.
+ */
+export class MemoryIdempotencyStore extends IdempotencyStore {
+   /**
+    * @param {object} [opts]
+    * @param {number} [opts.max=10000]  records kept at most
+    */
+   constructor({ max = 10_000 } = {}) {
+      super();
+      this.max = max;
+      /** @type {Map<string, { record: object, expires: number }>} least recently used first */
+      this.records = new Map();
+   }
+
+   async get(key) {
+      const hit = this.records.get(key);
+      if (!hit) return null;
+      this.records.delete(key);
+      if (hit.expires < Date.now()) return null;
+      this.records.set(key, hit);
+      return structuredClone(hit.record);
+   }
+
+   async set(key, record, ttl) {
+      this.records.delete(key);
+      this.records.set(key, { record: structuredClone(record), expires: Date.now() + ttl });
+      while (this.records.size > this.max) this.records.delete(this.records.keys().next().value);
+   }
+
+   async delete(key) {
+      this.records.delete(key);
+   }
+}
@@ -0,0 +1,44 @@
+import { JobStore } from './JobStore.js';
+
+const TERMINAL = new Set(['finished', 'failed', 'cancelled']);
+
+/**
+ * In-process JobStore. Finished jobs are forgotten after `ttl` ms.
+ * Each replica has its own: job handles address the owning one.
+ */
+export class MemoryJobStore extends JobStore {
+   /**
+    * @param {object} [opts]
+    * @param {number} [opts.ttl=3600000]  how long terminal jobs are kept (ms)
+    */
+   constructor({ ttl = 3_600_000 } = {}) {
+      super();
+      this.ttl = ttl;
+      /** @type {Map<string, object>} */
+      this.jobs = new Map();
+      this.lastSweep = Date.now();
+   }
+
+   async get(id) {
+      const record = this.jobs.get(id);
+      return record ? structuredClone(record) : null;
+   }
+
+   async set(id, record) {
+      this.jobs.set(id, structuredClone(record));
+      this.#sweep();
+   }
+
+   async delete(id) {
+      this.jobs.delete(id);
+   }
+
+   #sweep() {
+      const now = Date.now();
+      if (now - this.lastSweep < Math.min(this.ttl, 60_000)) return;
+      this.lastSweep = now;
+      for (const [id, record] of this.jobs) {
+         if (TERMINAL.has(record.state) && now - record.updatedAt > this.ttl) this.jobs.delete(id);
+      }
+   }
+}
@@ -0,0 +1,29 @@
+import { OutboxStore } from './OutboxStore.js';
+
+/**
+ * In-process OutboxStore: pending messages survive a reconnect, not a restart.
+ */
+export class MemoryOutboxStore extends OutboxStore {
+   constructor() {
+      super();
+      /** @type {Map<string, object>} */
+      this.entries = new Map();
+   }
+
+   async put(entry) {
+      this.entries.set(entry.id, structuredClone(entry));
+   }
+
+   async get(id) {
+      const entry = this.entries.get(id);
+      return entry ? structuredClone(entry) : null;
+   }
+
+   async delete(id) {
+      this.entries.delete(id);
+   }
+
+   async list() {
+      return [...this.entries.values()].map(e => structuredClone(e));
+   }
+}
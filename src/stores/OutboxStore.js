@@ -0,0 +1,36 @@
+/**
+ * Storage contract for the durable outbox (see Outbox.js).
+ * Entries are plain JSON-serializable objects keyed by message id.
+ */
+export class OutboxStore {
+   /**
+    * Insert or replace an entry.
+    * @param {object} _entry  has an `id`
+    */
+   async put(_entry) {
+      throw new Error('put() must be implemented by outbox store');
+   }
+
+   /**
+    * @param {string} _id
+    * @returns {Promise<object|null>}
+    */
+   async get(_id) {
+      throw new Error('get() must be implemented by outbox store');
+   }
+
+   /**
+    * @param {string} _id
+    */
+   async delete(_id) {
+      throw new Error('delete() must be implemented by outbox store');
+   }
+
+   /**
+    * Every entry, pending and dead.
+    * @returns {Promise<object[]>}
+    */
+   async list() {
+      throw new Error('list() must be implemented by outbox store');
+   }
+}
@@ -0,0 +1,258 @@
+// Request/response streams for the "stream" verb
+// ───────────────────────────────────────────────
+// Protocol (all subjects below "_peer/stream/<streamId>"):
+//
+//    caller ── request <url>--stream ─────────────▶ handler   open; reply = ack or error
+//    caller ◀── frames on "_peer/stream/<id>" ───── handler   data | end | error | cancel
+//    caller ── control on "_peer/stream/<id>/ctl" ▶ handler   ack (credit) | cancel
+//
+// Flow control is credit based: the caller grants `window` data frames up
+// front and tops the credit up as it consumes them; the handler's write()
+// waits while it has no credit left.
+import { PeerError, replyMessage } from './errors.js';
+
+export const STREAM_SUBJECT = '_peer/stream';
+
+/** Status used for streams cancelled by either side */
+export const CANCELLED = 499;
+
+function cancelledError(side) {
+   return new PeerError(CANCELLED, `Stream cancelled by ${side}`, { code: 'CANCELLED' });
+}
+
+/**
+ * Caller side: async iterator over the data frames of one stream.
+ */
+export class StreamReader {
+   /**
+    * @param {import('./adapters/BusAdapter.js').BusAdapter} bus
+    * @param {object} opts
+    * @param {string} opts.streamId
+    * @param {number} opts.window       initial credit granted to the handler
+    * @param {number} opts.idleTimeout  ms without any frame before failing with 504
+    * @param {Function} [opts.subscribe]  subscribes to the frames (default: bus.subscribe)
+    */
+   constructor(bus, { streamId, window, idleTimeout, subscribe }) {
+      this.bus = bus;
+      this.subscribe = subscribe ?? ((subject, handler) => bus.subscribe(subject, handler));
+      this.subject = `${STREAM_SUBJECT}/${streamId}`;
+      this.window = window;
+      this.idleTimeout = idleTimeout;
+      this.buffer = [];       // frames not yet consumed
+      this.waiting = null;    // resolver of a pending next()
+      this.consumed = 0;      // data frames consumed since the last ack
+      this.done = false;
+      this.failure = null;
+      this.sub = null;
+      this.timer = null;
+      // settles once the open request is answered, see PeerNode.stream()
+      this.ready = Promise.resolve();
+   }
+
+   /** Start listening for frames; must happen before the open request. */
+   listen() {
+      this.sub = this.subscribe(this.subject, (data, rawMsg) => {
+         this.#push({ type: rawMsg.headers?.get('frame'), data });
+      });
+      this.#armTimer();
+   }
+
+   #armTimer() {
+      clearTimeout(this.timer);
+      if (this.done) return;
+      this.timer = setTimeout(() => {
+         this.#push({ type: 'error', data: { status: 504, error: 'Stream idle timeout' } });
+         this.#control({ type: 'cancel' });
+      }, this.idleTimeout);
+      this.timer.unref?.();
+   }
+
+   #push(frame) {
+      if (this.done) return;
+      this.#armTimer();
+      if (this.waiting) {
+         const resolve = this.waiting;
+         this.waiting = null;
+         resolve(frame);
+      } else {
+         this.buffer.push(frame);
+      }
+   }
+
+   #control(msg) {
+      return this.bus.publish(`${this.subject}/ctl`, msg);
+   }
+
+   #finish() {
+      this.done = true;
+      clearTimeout(this.timer);
+      this.sub?.unsubscribe?.();
+   }
+
+   /** Fail the stream locally, e.g. when the open request was rejected. */
+   fail(err) {
+      this.#finish();
+      this.failure = err;
+   }
+
+   async next() {
+      await this.ready;
+      if (this.failure) throw this.failure;
+      if (this.done && !this.buffer.length) return { done: true, value: undefined };
+
+      const frame = this.buffer.length
+         ? this.buffer.shift()
+         : await new Promise(resolve => { this.waiting = resolve; });
+
+      switch (frame.type) {
+         case 'data':
+            if (++this.consumed >= Math.ceil(this.window / 2)) {
+               this.#control({ type: 'ack', credit: this.consumed });
+               this.consumed = 0;
+            }
+            return { done: false, value: frame.data };
+         case 'end':
+            this.#finish();
+            return { done: true, value: undefined };
+         case 'cancel':
+            this.#finish();
+            throw (this.failure = cancelledError('handler'));
+         default: {
+            this.#finish();
+            const status = frame.data?.status ?? 500;
+            throw (this.failure = new PeerError(status, frame.data?.error, { data: frame.data }));
+         }
+      }
+   }
+
+   /**
+    * Stop consuming and tell the handler to stop producing.
+    * Called automatically when a `for await` loop exits early.
+    */
+   async cancel() {
+      if (!this.done) {
+         this.#finish();
+         await this.#control({ type: 'cancel' });
+      }
+      this.waiting?.({ type: 'end' });
+      return { done: true, value: undefined };
+   }
+
+   return() {
+      return this.cancel();
+   }
+
+   [Symbol.asyncIterator]() {
+      return this;
+   }
+}
+
+/**
+ * Handler side: credit-aware writer for one stream.
+ */
+export class StreamWriter {
+   /**
+    * @param {import('./adapters/BusAdapter.js').BusAdapter} bus
+    * @param {object} opts
+    * @param {string} opts.streamId
+    * @param {number} opts.window       initial credit
+    * @param {number} opts.idleTimeout  ms to wait for credit before giving up
+    * @param {Function} [opts.subscribe]  subscribes to the control messages (default: bus.subscribe)
+    */
+   constructor(bus, { streamId, window, idleTimeout, subscribe }) {
+      this.bus = bus;
+      this.subscribe = subscribe ?? ((subject, handler) => bus.subscribe(subject, handler));
+      this.subject = `${STREAM_SUBJECT}/${streamId}`;
+      this.credit = window;
+      this.idleTimeout = idleTimeout;
+      this.seq = 0;
+      this.closed = false;
+      this.controller = new AbortController();
+      this.creditWaiter = null;
+      this.sub = null;
+   }
+
+   /** Aborted when the caller cancels or stops acknowledging. */
+   get signal() {
+      return this.controller.signal;
+   }
+
+   open() {
+      this.sub = this.subscribe(`${this.subject}/ctl`, (msg) => {
+         if (msg?.type === 'ack') {
+            this.credit += Number(msg.credit) || 0;
+            this.#wake();
+         } else if (msg?.type === 'cancel') {
+            this.#abort(cancelledError('caller'));
+         }
+      });
+   }
+
+   #wake() {
+      const waiter = this.creditWaiter;
+      this.creditWaiter = null;
+      waiter?.();
+   }
+
+   #abort(reason) {
+      if (this.signal.aborted) return;
+      this.controller.abort(reason);
+      this.#wake();
+   }
+
+   #frame(type, data) {
+      return this.bus.publish(this.subject, data, { headers: { frame: type, seq: this.seq++ } });
+   }
+
+   /**
+    * Send one chunk, waiting for credit when the caller is behind.
+    * Rejects once the stream is cancelled or closed.
+    */
+   async write(chunk) {
+      while (!this.signal.aborted && !this.closed && this.credit <= 0) {
+         const gotCredit = await new Promise((resolve) => {
+            const timer = setTimeout(() => resolve(false), this.idleTimeout);
+            this.creditWaiter = () => { clearTimeout(timer); resolve(true); };
+         });
+         if (!gotCredit) this.#abort(new PeerError(504, 'Stream consumer stopped acknowledging'));
+      }
+      if (this.signal.aborted) throw this.signal.reason;
+      if (this.closed) throw new Error('Stream already ended');
+      this.credit--;
+      await this.#frame('data', chunk);
+   }
+
+   /** Regular end of stream. */
+   async end() {
+      if (this.closed) return;
+      this.closed = true;
+      if (!this.signal.aborted) await this.#frame('end', null);
+      this.#close();
+   }
+
+   /** Error frame: `{ error, status }`, as in error replies. */
+   async error(err) {
+      if (this.closed) return;
+      this.closed = true;
+      if (!this.signal.aborted) {
+         const status = err instanceof PeerError ? err.status : 500;
+         await this.#frame('error', { error: replyMessage(err), status });
+      }
+      this.#close();
+   }
+
+   /** Handler-initiated cancellation. */
+   async cancel() {
+      if (this.closed) return;
+      this.closed = true;
+      await this.#frame('cancel', null);
+      this.#abort(cancelledError('handler'));
+      this.#close();
+   }
+
+   #close() {
+      this.closed = true;
+      this.#wake();
+      this.sub?.unsubscribe?.();
+   }
+}
@@ -0,0 +1,166 @@
+// src/utils/concurrency.js
+// Per-route concurrency.
+//
+//    concurrency: 'serial'                        – one at a time, in arrival order (default)
+//    concurrency: 'unbounded'                     – every message runs at once
+//    concurrency: 8                               – at most 8 in flight, the rest queue up
+//    concurrency: { limit: 8, maxQueue: 100, overflow: 503, key: 'unitId' }
+//
+// A full queue rejects new messages with `overflow` (429 or 503), or makes
+// room by dropping the oldest waiting one ('drop-oldest', answered with 503).
+// With a `key`, messages sharing a key run one at a time in arrival order
+// while different keys run in parallel (within `limit`; a key without a
+// limit of its own does not inherit the serial default).
+//
+// Serial is the default, as when each route had its own subscription
+// handling one message at a time: handlers that rely on that ordering keep
+// working, running them in parallel is opted into.
+import { PeerError } from '../errors.js';
+
+export const DEFAULT_CONCURRENCY = Object.freeze({
+   limit: 1,                       // messages in flight
+   maxQueue: 1_000,                // messages waiting for a slot
+   overflow: 429,                  // 429 | 503 | 'drop-oldest'
+   key: null,                      // param / payload field name, or (ctx) => key
+});
+
+/**
+ * Normalize a concurrency spec over the defaults.
+ *
+ * @param {string|number|object|null|undefined} spec
+ * @param {object} [base=DEFAULT_CONCURRENCY]
+ * @returns {typeof DEFAULT_CONCURRENCY}
+ */
+export function resolveConcurrency(spec, base = DEFAULT_CONCURRENCY) {
+   if (spec == null) return base;
+   if (spec === 'serial') spec = { limit: 1 };
+   else if (spec === 'unbounded') spec = { limit: Infinity };
+   else if (typeof spec === 'number') spec = { limit: spec };
+   if (typeof spec !== 'object') throw new TypeError('concurrency must be "serial", "unbounded", a number or an object');
+
+   const policy = { ...base, ...spec };
+   if (policy.key != null && spec.limit === undefined && policy.limit === 1) policy.limit = Infinity;
+   if (!(policy.limit === Infinity || (Number.isInteger(policy.limit) && policy.limit >= 1))) {
+      throw new TypeError('concurrency.limit must be an integer >= 1 or Infinity');
+   }
+   if (!(policy.maxQueue === Infinity || (Number.isInteger(policy.maxQueue) && policy.maxQueue >= 0))) {
+      throw new TypeError('concurrency.maxQueue must be an integer >= 0 or Infinity');
+   }
+   if (![429, 503, 'drop-oldest'].includes(policy.overflow)) {
+      throw new TypeError('concurrency.overflow must be 429, 503 or "drop-oldest"');
+   }
+   if (policy.key != null && typeof policy.key !== 'string' && typeof policy.key !== 'function') {
+      throw new TypeError('concurrency.key must be a field name or a function');
+   }
+   return policy;
+}
+
+/**
+ * Admission of the messages of one route.
+ */
+export class Limiter {
+   /**
+    * @param {typeof DEFAULT_CONCURRENCY} policy  see resolveConcurrency()
+    */
+   constructor(policy) {
+      this.policy = policy;
+      this.active = 0;
+      /** @type {{ key: string|null, grant: Function, reject: Function, forget: Function }[]} waiting, oldest first */
+      this.queue = [];
+      /** keys with a message in flight */
+      this.busy = new Set();
+   }
+
+   /** Whether the policy restricts anything at all. */
+   get unbounded() {
+      return this.policy.limit === Infinity && this.policy.key == null;
+   }
+
+   /**
+    * Key of a message: `ctx.params[key]`, else `ctx.payload[key]`, or the
+    * key function's result; null puts no per-key constraint on it.
+    * @param {object} ctx
+    * @returns {string|null}
+    */
+   keyOf(ctx) {
+      const { key } = this.policy;
+      if (key == null) return null;
+      const value = typeof key === 'function' ? key(ctx) : ctx.params?.[key] ?? ctx.payload?.[key];
+      return value == null ? null : String(value);
+   }
+
+   /**
+    * Take a slot for one message. Call synchronously on arrival: the queue
+    * keeps the order of acquire() calls.
+    *
+    * @param {string|null} key
+    * @param {AbortSignal} [signal]  gives the place in the queue up
+    * @returns {Promise<() => void>} release function, call it once the message is done
+    * @throws {PeerError} 429/503 (code OVERLOADED) when the queue is full,
+    *         503 (code DROPPED) when dropped for a newer message
+    */
+   acquire(key, signal) {
+      return new Promise((resolve, reject) => {
+         const entry = { key, grant: null, reject, forget: null };
+         entry.grant = () => {
+            entry.forget();
+            this.active++;
+            if (key !== null) this.busy.add(key);
+            let released = false;
+            resolve(() => {
+               if (released) return;
+               released = true;
+               this.active--;
+               if (key !== null) this.busy.delete(key);
+               this.#pump();
+            });
+         };
+         const onAbort = () => this.#remove(entry, signal.reason);
+         entry.forget = () => signal?.removeEventListener('abort', onAbort);
+
+         if (this.#startable(key) && !this.queue.some(e => e.key === key)) {
+            entry.grant();
+            return;
+         }
+         if (this.queue.length >= this.policy.maxQueue) {
+            const { overflow } = this.policy;
+            if (overflow !== 'drop-oldest' || !this.queue.length) {
+               const status = overflow === 'drop-oldest' ? 503 : overflow;
+               reject(new PeerError(status, 'Too many messages waiting for this route', { code: 'OVERLOADED' }));
+               return;
+            }
+            this.#remove(this.queue[0], new PeerError(503, 'Dropped for newer messages', { code: 'DROPPED' }));
+         }
+         if (signal?.aborted) return reject(signal.reason);
+         signal?.addEventListener('abort', onAbort, { once: true });
+         this.queue.push(entry);
+      });
+   }
+
+   #startable(key) {
+      return this.active < this.policy.limit && (key === null || !this.busy.has(key));
+   }
+
+   #remove(entry, reason) {
+      const index = this.queue.indexOf(entry);
+      if (index === -1) return;
+      this.queue.splice(index, 1);
+      entry.forget();
+      entry.reject(reason);
+   }
+
+   /** Start waiting messages in order; a key waits behind its earlier messages. */
+   #pump() {
+      const blocked = new Set();
+      for (let i = 0; i < this.queue.length && this.active < this.policy.limit; i++) {
+         const entry = this.queue[i];
+         if (blocked.has(entry.key)) continue;
+         if (!this.#startable(entry.key)) {
+            if (entry.key !== null) blocked.add(entry.key);
+            continue;
+         }
+         this.queue.splice(i--, 1);
+         entry.grant();
+      }
+   }
+}
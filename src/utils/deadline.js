@@ -0,0 +1,121 @@
+// src/utils/deadline.js
+// Deadlines and cancellation for sends and handlers.
+//
+// A sync send carries its absolute deadline (epoch ms) in the `deadline`
+// header; the handler sees it as `ctx.deadline` and gets `ctx.signal`,
+// aborted when it passes. Deadlines compare wall clocks of two hosts, so
+// they are only as exact as the clock sync between them.
+import { PeerError } from '../errors.js';
+import { CANCELLED } from '../streams.js';
+
+/**
+ * @param {...(number|null|undefined)} deadlines
+ * @returns {number|undefined} the earliest one, undefined if none is set
+ */
+export function earliest(...deadlines) {
+   const set = deadlines.filter(d => Number.isFinite(d));
+   return set.length ? Math.min(...set) : undefined;
+}
+
+/**
+ * Error for an aborted call: the signal's own PeerError reason (e.g. an
+ * inherited deadline), else 499 ABORTED.
+ * @param {AbortSignal} signal
+ */
+export function abortedError(signal) {
+   if (signal.reason instanceof PeerError) return signal.reason;
+   return new PeerError(CANCELLED, 'Request aborted', { code: 'ABORTED', cause: signal.reason });
+}
+
+export function deadlineError(message = 'Deadline exceeded') {
+   return new PeerError(504, message, { code: 'DEADLINE_EXCEEDED' });
+}
+
+/**
+ * Settle like `promise`, or reject with abortedError() once `signal` aborts.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<T>}
+ */
+export function abortable(promise, signal) {
+   if (!signal) return promise;
+   if (signal.aborted) return Promise.reject(abortedError(signal));
+   return new Promise((resolve, reject) => {
+      const onAbort = () => reject(abortedError(signal));
+      signal.addEventListener('abort', onAbort, { once: true });
+      promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+   });
+}
+
+/**
+ * Wait `ms`, cut short (rejecting) when `signal` aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+export function sleep(ms, signal) {
+   return abortable(new Promise(r => setTimeout(r, ms)), signal);
+}
+
+/**
+ * Signal aborted (with a 504 DEADLINE_EXCEEDED PeerError) at `deadline`.
+ * Without a deadline the signal never aborts.
+ *
+ * @param {number|null} deadline  epoch ms
+ * @returns {{ signal: AbortSignal, clear: () => void }}
+ */
+export function deadlineSignal(deadline) {
+   const controller = new AbortController();
+   if (!deadline) return { signal: controller.signal, clear: () => {} };
+   const timer = setTimeout(() => controller.abort(deadlineError()), Math.max(0, deadline - Date.now()));
+   timer.unref?.();
+   return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
+
+/**
+ * @param {...(AbortSignal|undefined)} signals
+ * @returns {AbortSignal|undefined} aborted as soon as any of them is
+ */
+export function anySignal(...signals) {
+   const set = signals.filter(Boolean);
+   if (set.length < 2) return set[0];
+   return typeof AbortSignal.any === 'function' ? AbortSignal.any(set) : combineSignals(set);
+}
+
+// Node 19 and 20.0–20.2 lack AbortSignal.any()
+const CONTROLLER = Symbol('controller');
+const cleanups = new FinalizationRegistry(cleanup => cleanup());
+
+/**
+ * AbortSignal.any() in userland. Inputs only hold the combined signal
+ * weakly: listeners on long-lived signals (e.g. the node's shutdown one)
+ * go away with the per-message signals they fed.
+ *
+ * @param {AbortSignal[]} signals
+ * @returns {AbortSignal}
+ */
+export function combineSignals(signals) {
+   const controller = new AbortController();
+   const aborted = signals.find(s => s.aborted);
+   if (aborted) {
+      controller.abort(aborted.reason);
+      return controller.signal;
+   }
+   // the signal keeps its controller alive, nothing else does
+   controller.signal[CONTROLLER] = controller;
+   const ref = new WeakRef(controller);
+   const listeners = signals.map(signal => {
+      const onAbort = () => {
+         cleanup();
+         ref.deref()?.abort(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      return { signal, onAbort };
+   });
+   const cleanup = () => {
+      for (const { signal, onAbort } of listeners) signal.removeEventListener('abort', onAbort);
+   };
+   cleanups.register(controller.signal, cleanup);
+   return controller.signal;
+}
@@ -0,0 +1,83 @@
+// src/utils/middleware.js
+// Koa-style middleware for PeerNode and NodeRouter: `async (ctx, next) => …`
+//
+// - `await next()` runs the rest of the chain and resolves to its result
+// - returning a value (without calling next) short-circuits with that reply
+// - returning a value after next() replaces the result on the way back;
+//   returning undefined keeps it (also readable/writable as `ctx.result`)
+
+/**
+ * Build a middleware entry from the arguments of `use()`:
+ *    use(fn)                              – every request
+ *    use('/unit', fn)                     – path prefix (segment-aware)
+ *    use('post', fn)                      – one verb
+ *    use({ method: 'post', path: '/unit' }, fn)
+ *
+ * @param {Set<string>|null} verbs  verbs accepted as scope (null: no check)
+ * @param {Array<any>} args
+ * @returns {{ method: string|null, path: string|null, fn: Function }}
+ */
+export function createMiddleware(verbs, args) {
+   const fn = args[args.length - 1];
+   if (typeof fn !== 'function') {
+      throw new TypeError('Middleware must be a function');
+   }
+   let scope = args.length > 1 ? args[0] : {};
+   if (typeof scope === 'string') {
+      scope = scope.startsWith('/') ? { path: scope } : { method: scope };
+   }
+
+   let method = scope?.method ? String(scope.method).toLowerCase() : null;
+   if (method === '*') method = null;
+   if (method && verbs && !verbs.has(method)) {
+      throw new Error(`Unknown verb "${method}" for use()`);
+   }
+   let path = scope?.path ? String(scope.path).toLowerCase() : null;
+   if (path && !path.startsWith('/')) {
+      throw new Error('Middleware path must start with "/" (relative form)');
+   }
+   if (path) path = path.replace(/\/+$/, '') || null;
+
+   return { method, path, fn };
+}
+
+/**
+ * @param {{ method: string|null, path: string|null }} mw
+ * @param {{ method?: string, path?: string }} ctx
+ * @returns {boolean}
+ */
+export function inScope(mw, ctx) {
+   if (mw.method && mw.method !== ctx.method) return false;
+   if (mw.path) {
+      const path = ctx.path ?? '';
+      return path === mw.path || path.startsWith(`${mw.path}/`);
+   }
+   return true;
+}
+
+/**
+ * Run the in-scope middleware of `stack` around `handler`.
+ *
+ * @param {Array<{ method: string|null, path: string|null, fn: Function }>} stack
+ * @param {(ctx:object)=>any} handler
+ * @param {object} ctx
+ * @returns {Promise<any>} final result
+ */
+export function runMiddleware(stack, handler, ctx) {
+   const chain = stack.filter(mw => inScope(mw, ctx));
+   if (!chain.length) return handler(ctx);
+
+   let index = -1;
+   const dispatch = async (i) => {
+      if (i <= index) throw new Error('next() called multiple times');
+      index = i;
+      if (i === chain.length) {
+         ctx.result = await handler(ctx);
+         return ctx.result;
+      }
+      const out = await chain[i].fn(ctx, () => dispatch(i + 1));
+      if (out !== undefined) ctx.result = out;
+      return ctx.result;
+   };
+   return dispatch(0);
+}
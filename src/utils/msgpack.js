@@ -0,0 +1,272 @@
+// src/utils/msgpack.js
+// MessagePack encoder/decoder (https://msgpack.org/), no dependencies.
+//
+// Extension types:
+//    -1  timestamp (spec)  ⇄ Date
+//     1  BigInt            ⇄ BigInt (decimal string), exact for any size
+// 64-bit integers from other encoders decode to Number when safe, BigInt
+// otherwise. Like JSON, `undefined` object values are skipped and objects
+// with `toJSON()` are packed as its result.
+
+const EXT_BIGINT = 1;
+const EXT_TIMESTAMP = -1;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+class Writer {
+   constructor() {
+      this.buf = Buffer.allocUnsafe(256);
+      this.length = 0;
+   }
+
+   #ensure(n) {
+      if (this.length + n <= this.buf.length) return;
+      const next = Buffer.allocUnsafe(Math.max(this.buf.length * 2, this.length + n));
+      this.buf.copy(next, 0, 0, this.length);
+      this.buf = next;
+   }
+
+   u8(v) { this.#ensure(1); this.buf.writeUInt8(v, this.length); this.length += 1; }
+   u16(v) { this.#ensure(2); this.buf.writeUInt16BE(v, this.length); this.length += 2; }
+   u32(v) { this.#ensure(4); this.buf.writeUInt32BE(v, this.length); this.length += 4; }
+   i8(v) { this.#ensure(1); this.buf.writeInt8(v, this.length); this.length += 1; }
+   i16(v) { this.#ensure(2); this.buf.writeInt16BE(v, this.length); this.length += 2; }
+   i32(v) { this.#ensure(4); this.buf.writeInt32BE(v, this.length); this.length += 4; }
+   i64(v) { this.#ensure(8); this.buf.writeBigInt64BE(BigInt(v), this.length); this.length += 8; }
+   u64(v) { this.#ensure(8); this.buf.writeBigUInt64BE(BigInt(v), this.length); this.length += 8; }
+   f64(v) { this.#ensure(8); this.buf.writeDoubleBE(v, this.length); this.length += 8; }
+
+   bytes(b) {
+      this.#ensure(b.length);
+      this.buf.set(b, this.length);
+      this.length += b.length;
+   }
+
+   result() {
+      return this.buf.subarray(0, this.length);
+   }
+}
+
+function writeLength(w, n, fix, fixMax, c8, c16, c32) {
+   if (fix !== null && n <= fixMax) w.u8(fix | n);
+   else if (c8 !== null && n < 0x100) { w.u8(c8); w.u8(n); }
+   else if (n < 0x10000) { w.u8(c16); w.u16(n); }
+   else { w.u8(c32); w.u32(n); }
+}
+
+function writeExt(w, type, data) {
+   const n = data.length;
+   const fixed = { 1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8 }[n];
+   if (fixed) w.u8(fixed);
+   else writeLength(w, n, null, 0, 0xc7, 0xc8, 0xc9);
+   w.i8(type);
+   w.bytes(data);
+}
+
+function writeNumber(w, v) {
+   if (!Number.isSafeInteger(v)) {
+      w.u8(0xcb);
+      w.f64(v);
+   } else if (v >= 0) {
+      if (v < 0x80) w.u8(v);
+      else if (v < 0x100) { w.u8(0xcc); w.u8(v); }
+      else if (v < 0x10000) { w.u8(0xcd); w.u16(v); }
+      else if (v < 0x100000000) { w.u8(0xce); w.u32(v); }
+      else { w.u8(0xcf); w.u64(v); }
+   } else {
+      if (v >= -32) w.u8(v & 0xff);
+      else if (v >= -0x80) { w.u8(0xd0); w.i8(v); }
+      else if (v >= -0x8000) { w.u8(0xd1); w.i16(v); }
+      else if (v >= -0x80000000) { w.u8(0xd2); w.i32(v); }
+      else { w.u8(0xd3); w.i64(v); }
+   }
+}
+
+function writeDate(w, date) {
+   const ms = date.getTime();
+   if (Number.isNaN(ms)) throw new TypeError('Cannot pack an invalid Date');
+   const sec = Math.floor(ms / 1000);
+   const data = Buffer.allocUnsafe(12);
+   data.writeUInt32BE((ms - sec * 1000) * 1e6, 0);
+   data.writeBigInt64BE(BigInt(sec), 4);
+   writeExt(w, EXT_TIMESTAMP, data);
+}
+
+function write(w, v) {
+   switch (typeof v) {
+      case 'undefined':
+         return w.u8(0xc0);
+      case 'boolean':
+         return w.u8(v ? 0xc3 : 0xc2);
+      case 'number':
+         return writeNumber(w, v);
+      case 'bigint':
+         return writeExt(w, EXT_BIGINT, textEncoder.encode(v.toString()));
+      case 'string': {
+         const bytes = textEncoder.encode(v);
+         writeLength(w, bytes.length, 0xa0, 31, 0xd9, 0xda, 0xdb);
+         return w.bytes(bytes);
+      }
+      case 'object':
+         break;
+      default:
+         throw new TypeError(`Cannot pack a ${typeof v}`);
+   }
+
+   if (v === null) return w.u8(0xc0);
+   if (v instanceof Date) return writeDate(w, v);
+   if (v instanceof Uint8Array) {
+      writeLength(w, v.length, null, 0, 0xc4, 0xc5, 0xc6);
+      return w.bytes(v);
+   }
+   if (ArrayBuffer.isView(v)) v = Array.from(v);
+   if (Array.isArray(v)) {
+      writeLength(w, v.length, 0x90, 15, null, 0xdc, 0xdd);
+      for (const item of v) write(w, item);
+      return;
+   }
+   if (typeof v.toJSON === 'function') return write(w, v.toJSON());
+
+   const entries = v instanceof Map
+      ? [...v.entries()]
+      : Object.entries(v).filter(([, val]) => val !== undefined && typeof val !== 'function');
+   writeLength(w, entries.length, 0x80, 15, null, 0xde, 0xdf);
+   for (const [key, val] of entries) {
+      write(w, key);
+      write(w, val);
+   }
+}
+
+/**
+ * @param {any} value
+ * @returns {Buffer}
+ */
+export function pack(value) {
+   const w = new Writer();
+   write(w, value);
+   return w.result();
+}
+
+class Reader {
+   constructor(bytes) {
+      this.buf = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      this.pos = 0;
+   }
+
+   #take(n) {
+      if (this.pos + n > this.buf.length) throw new RangeError('MessagePack data is truncated');
+      const at = this.pos;
+      this.pos += n;
+      return at;
+   }
+
+   u8() { return this.buf.readUInt8(this.#take(1)); }
+   u16() { return this.buf.readUInt16BE(this.#take(2)); }
+   u32() { return this.buf.readUInt32BE(this.#take(4)); }
+   i8() { return this.buf.readInt8(this.#take(1)); }
+   i16() { return this.buf.readInt16BE(this.#take(2)); }
+   i32() { return this.buf.readInt32BE(this.#take(4)); }
+   i64() { return this.buf.readBigInt64BE(this.#take(8)); }
+   u64() { return this.buf.readBigUInt64BE(this.#take(8)); }
+   f32() { return this.buf.readFloatBE(this.#take(4)); }
+   f64() { return this.buf.readDoubleBE(this.#take(8)); }
+
+   bytes(n) {
+      const at = this.#take(n);
+      return this.buf.subarray(at, at + n);
+   }
+}
+
+function int64(big) {
+   return big >= BigInt(Number.MIN_SAFE_INTEGER) && big <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(big) : big;
+}
+
+function readExt(type, data) {
+   if (type === EXT_BIGINT) return BigInt(textDecoder.decode(data));
+   if (type === EXT_TIMESTAMP) {
+      const b = Buffer.from(data);
+      if (b.length === 4) return new Date(b.readUInt32BE(0) * 1000);
+      if (b.length === 8) {
+         const hi = b.readUInt32BE(0), lo = b.readUInt32BE(4);
+         const nsec = hi >>> 2;
+         const sec = (hi & 0x3) * 0x100000000 + lo;
+         return new Date(sec * 1000 + nsec / 1e6);
+      }
+      if (b.length === 12) return new Date(Number(b.readBigInt64BE(4)) * 1000 + b.readUInt32BE(0) / 1e6);
+      throw new RangeError('Invalid MessagePack timestamp');
+   }
+   return { type, data: Buffer.from(data) };
+}
+
+function read(r) {
+   const b = r.u8();
+   if (b < 0x80) return b;
+   if (b >= 0xe0) return b - 0x100;
+   if (b >= 0xa0 && b <= 0xbf) return textDecoder.decode(r.bytes(b & 0x1f));
+   if (b >= 0x90 && b <= 0x9f) return readArray(r, b & 0x0f);
+   if (b >= 0x80 && b <= 0x8f) return readMap(r, b & 0x0f);
+
+   switch (b) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return Buffer.from(r.bytes(r.u8()));
+      case 0xc5: return Buffer.from(r.bytes(r.u16()));
+      case 0xc6: return Buffer.from(r.bytes(r.u32()));
+      case 0xc7: { const n = r.u8(); return readExt(r.i8(), r.bytes(n)); }
+      case 0xc8: { const n = r.u16(); return readExt(r.i8(), r.bytes(n)); }
+      case 0xc9: { const n = r.u32(); return readExt(r.i8(), r.bytes(n)); }
+      case 0xca: return r.f32();
+      case 0xcb: return r.f64();
+      case 0xcc: return r.u8();
+      case 0xcd: return r.u16();
+      case 0xce: return r.u32();
+      case 0xcf: return int64(r.u64());
+      case 0xd0: return r.i8();
+      case 0xd1: return r.i16();
+      case 0xd2: return r.i32();
+      case 0xd3: return int64(r.i64());
+      case 0xd4: return readExt(r.i8(), r.bytes(1));
+      case 0xd5: return readExt(r.i8(), r.bytes(2));
+      case 0xd6: return readExt(r.i8(), r.bytes(4));
+      case 0xd7: return readExt(r.i8(), r.bytes(8));
+      case 0xd8: return readExt(r.i8(), r.bytes(16));
+      case 0xd9: return textDecoder.decode(r.bytes(r.u8()));
+      case 0xda: return textDecoder.decode(r.bytes(r.u16()));
+      case 0xdb: return textDecoder.decode(r.bytes(r.u32()));
+      case 0xdc: return readArray(r, r.u16());
+      case 0xdd: return readArray(r, r.u32());
+      case 0xde: return readMap(r, r.u16());
+      case 0xdf: return readMap(r, r.u32());
+      default: throw new RangeError(`Invalid MessagePack byte 0x${b.toString(16)}`);
+   }
+}
+
+function readArray(r, n) {
+   const arr = new Array(n);
+   for (let i = 0; i < n; i++) arr[i] = read(r);
+   return arr;
+}
+
+function readMap(r, n) {
+   const obj = {};
+   for (let i = 0; i < n; i++) {
+      const key = read(r);
+      // own data property, so "__proto__" keys stay plain data
+      Object.defineProperty(obj, String(key), { value: read(r), enumerable: true, writable: true, configurable: true });
+   }
+   return obj;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {any}
+ * @throws {RangeError|TypeError} on malformed input
+ */
+export function unpack(bytes) {
+   const r = new Reader(bytes);
+   const value = read(r);
+   if (r.pos !== r.buf.length) throw new RangeError('Trailing bytes after MessagePack value');
+   return value;
+}
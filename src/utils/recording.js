@@ -0,0 +1,115 @@
+// src/utils/recording.js
+// NDJSON traffic recordings (see adapters/RecordingAdapter.js and
+// adapters/ReplayAdapter.js): one event per line, in the order they happened.
+//
+//    {"type":"recording","version":1,"startedAt":1718000000000}
+//    {"seq":1,"t":3,"type":"subscribe","sid":1,"subject":"n1/gc/unit/*","queue":"n1/gc"}
+//    {"seq":2,"t":9,"type":"message","sid":1,"subject":"n1/gc/unit/u42--get","reply":"_INBOX.…","headers":{…},"data":{…}}
+//    {"seq":3,"t":10,"type":"request","subject":"n1/ds/unit--get","headers":{…},"data":{…}}
+//    {"seq":4,"t":12,"type":"response","of":3,"duration":2,"headers":{…},"data":{…}}
+//    {"seq":5,"t":13,"type":"reply","of":2,"duration":4,"headers":{…},"data":{…}}
+//
+// Other types: "publish", "error" (a request that failed: code, status,
+// message) and "unsubscribe".
+import { readFile } from 'node:fs/promises';
+
+export const RECORDING_VERSION = 1;
+
+export const REDACTED = '[REDACTED]';
+
+/**
+ * One NDJSON line of an event. Values JSON has no form for are recorded as
+ * close as it gets: BigInts as decimal strings, typed arrays like Buffers
+ * ({ type: 'Buffer', data }).
+ *
+ * @param {object} event
+ * @returns {string}
+ * @throws {TypeError} for a circular value
+ */
+export function serializeEvent(event) {
+   return JSON.stringify(event, (key, value) => {
+      if (typeof value === 'bigint') return value.toString();
+      if (ArrayBuffer.isView(value)) {
+         return { type: 'Buffer', data: [...new Uint8Array(value.buffer, value.byteOffset, value.byteLength)] };
+      }
+      return value;
+   });
+}
+
+/**
+ * Replace the values of sensitive fields, at any depth.
+ *
+ * @param {any} value
+ * @param {Set<string>} fields  lower-case field / header names
+ * @returns {any} a redacted copy (`value` itself when nothing is redacted)
+ */
+export function redact(value, fields) {
+   if (!fields.size || value == null || typeof value !== 'object') return value;
+   if (ArrayBuffer.isView(value)) return value;
+   if (Array.isArray(value)) return value.map(v => redact(v, fields));
+   const out = {};
+   for (const [k, v] of Object.entries(value)) {
+      out[k] = fields.has(k.toLowerCase()) ? REDACTED : redact(v, fields);
+   }
+   return out;
+}
+
+/**
+ * Headers of a received message as a plain object.
+ * @param {{ keys(): Iterable<string>, get(key: string): string }} [headers]
+ * @returns {Record<string, string>}
+ */
+export function headersOf(headers) {
+   const out = {};
+   if (!headers) return out;
+   for (const key of headers.keys()) out[key] = headers.get(key);
+   return out;
+}
+
+/**
+ * Differences between a recorded value and the one observed on replay.
+ * Redacted values and `ignore`d field names are not compared.
+ *
+ * @param {any} expected
+ * @param {any} actual
+ * @param {Set<string>} [ignore]  field names
+ * @param {string} [path]
+ * @param {{ path: string, expected: any, actual: any }[]} [out]
+ * @returns {{ path: string, expected: any, actual: any }[]}
+ */
+export function diffValues(expected, actual, ignore = new Set(), path = '', out = []) {
+   if (expected === REDACTED) return out;
+   const objects = expected !== null && actual !== null && typeof expected === 'object' && typeof actual === 'object';
+   if (!objects || Array.isArray(expected) !== Array.isArray(actual)) {
+      if (!Object.is(expected, actual)) out.push({ path: path || '(root)', expected, actual });
+      return out;
+   }
+   const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+   for (const key of keys) {
+      if (ignore.has(key)) continue;
+      const sub = Array.isArray(expected) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+      diffValues(expected[key], actual[key], ignore, sub, out);
+   }
+   return out;
+}
+
+/**
+ * Load a recording written by RecordingAdapter.
+ * @param {string} file
+ * @returns {Promise<{ startedAt: number, events: object[] }>} start time (epoch ms, the
+ *          events' `t` counts from it) and events, without the leading "recording" line
+ */
+export async function readRecording(file) {
+   const lines = (await readFile(file, 'utf8')).split('\n').filter(Boolean);
+   const events = lines.map((line, i) => {
+      try {
+         return JSON.parse(line);
+      } catch (err) {
+         throw new Error(`${file}:${i + 1}: not a recording event (${err.message})`);
+      }
+   });
+   const [head] = events;
+   if (head?.type !== 'recording') throw new Error(`${file} is not a traffic recording`);
+   if (head.version !== RECORDING_VERSION) throw new Error(`${file}: unsupported recording version ${head.version}`);
+   return { startedAt: head.startedAt, events: events.slice(1) };
+}
@@ -0,0 +1,67 @@
+// src/utils/retry.js
+// Retry policies for sync sends.
+//
+//    retry: 3                                     – up to 3 attempts, defaults otherwise
+//    retry: { attempts: 4, baseDelay: 50, statuses: [503] }
+//    retry: false                                 – single attempt
+//
+// Only idempotent verbs are retried unless the policy lists more `methods`
+// (or the call is marked `idempotent: true`): a retried POST may apply twice.
+
+/** Verbs that are safe to repeat */
+export const IDEMPOTENT_METHODS = ['get', 'put', 'delete'];
+
+export const DEFAULT_RETRY = Object.freeze({
+   attempts: 1,
+   baseDelay: 100,                 // ms before the first retry
+   maxDelay: 2_000,                // cap of a single delay
+   factor: 2,                      // exponential growth per attempt
+   jitter: 1,                      // 0 = none … 1 = full jitter (random in [0, delay])
+   statuses: [502, 503, 504],      // reply / transport statuses worth retrying
+   methods: IDEMPOTENT_METHODS,
+});
+
+/**
+ * Normalize a policy spec (number, object, false/null) over the defaults.
+ *
+ * @param {number|object|false|null|undefined} spec
+ * @param {object} [base=DEFAULT_RETRY]  policy the spec is merged into
+ * @returns {typeof DEFAULT_RETRY}
+ */
+export function resolveRetryPolicy(spec, base = DEFAULT_RETRY) {
+   if (spec == null) return base;
+   if (spec === false) return { ...base, attempts: 1 };
+   if (typeof spec === 'number') spec = { attempts: spec };
+   if (typeof spec !== 'object') throw new TypeError('retry must be a number, an object or false');
+
+   const policy = { ...base, ...spec };
+   if (!Number.isInteger(policy.attempts) || policy.attempts < 1) {
+      throw new TypeError('retry.attempts must be an integer >= 1');
+   }
+   if (!(policy.jitter >= 0 && policy.jitter <= 1)) throw new TypeError('retry.jitter must be within [0, 1]');
+   policy.statuses = policy.statuses.map(Number);
+   policy.methods = policy.methods.map(m => String(m).toLowerCase());
+   return policy;
+}
+
+/**
+ * @param {typeof DEFAULT_RETRY} policy
+ * @param {string} method
+ * @param {boolean} [idempotent]  caller's promise that repeating is safe
+ * @returns {boolean}
+ */
+export function canRetry(policy, method, idempotent = false) {
+   return policy.attempts > 1 && (idempotent || policy.methods.includes(method));
+}
+
+/**
+ * Delay before retry number `attempt` (1 = first retry).
+ *
+ * @param {typeof DEFAULT_RETRY} policy
+ * @param {number} attempt
+ * @returns {number} ms
+ */
+export function backoffDelay(policy, attempt) {
+   const delay = Math.min(policy.maxDelay, policy.baseDelay * policy.factor ** (attempt - 1));
+   return Math.round(delay - delay * policy.jitter * Math.random());
+}
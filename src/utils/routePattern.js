@@ -0,0 +1,170 @@
+// src/utils/routePattern.js
+// Route patterns for PeerNode.on() / NodeRouter.use():
+//    /unit/exp/add          – static segments
+//    /unit/:unitId/exp      – ":name" captures exactly one segment
+//    /files/*rest           – "*name" (last segment only) captures the remainder
+//
+// Bus subjects use "/" as separator with NATS-like wildcards:
+// "*" matches one segment, ">" matches one or more trailing segments.
+
+const PARAM_NAME = /^[A-Za-z_$][\w$]*$/;
+
+// Verb suffix appended to the last subject segment: "n1/gc/unit--get"
+export const VERB_SEPARATOR = '--';
+
+// "_peer/instance/<instanceId>/<url>--<verb>" reaches one replica, see send({ instance })
+export const INSTANCE_SUBJECT = '_peer/instance';
+
+/**
+ * Lower-case the static segments of a pattern, keeping parameter names as written.
+ * @param {string} pattern
+ * @returns {string}
+ */
+export function normalizePattern(pattern) {
+   return String(pattern)
+      .split('/')
+      .map(seg => (seg.startsWith(':') || seg.startsWith('*') ? seg : seg.toLowerCase()))
+      .join('/');
+}
+
+/**
+ * Compile a relative route pattern.
+ *
+ * @param {string} pattern  e.g. "/unit/:unitId/exp"
+ * @returns {{ pattern: string, segments: {type: 'static'|'param'|'rest', value: string}[],
+ *             keys: string[], isStatic: boolean, signature: string }}
+ */
+export function compileRoute(pattern) {
+   const parts = pattern.replace(/^\//, '').split('/');
+   const segments = parts.map((seg, i) => {
+      if (seg.startsWith(':')) {
+         const name = seg.slice(1);
+         if (!PARAM_NAME.test(name)) throw new Error(`Invalid parameter "${seg}" in route "${pattern}"`);
+         return { type: 'param', value: name };
+      }
+      if (seg.startsWith('*')) {
+         if (i !== parts.length - 1) throw new Error(`Wildcard "${seg}" must be the last segment of "${pattern}"`);
+         const name = seg.slice(1) || '*';
+         if (name !== '*' && !PARAM_NAME.test(name)) throw new Error(`Invalid wildcard "${seg}" in route "${pattern}"`);
+         return { type: 'rest', value: name };
+      }
+      if (seg.includes('*') || seg.includes('>')) {
+         throw new Error(`Illegal character in segment "${seg}" of route "${pattern}"`);
+      }
+      return { type: 'static', value: seg };
+   });
+
+   const keys = segments.filter(s => s.type !== 'static').map(s => s.value);
+   if (new Set(keys).size !== keys.length) throw new Error(`Duplicate parameter name in route "${pattern}"`);
+
+   return {
+      pattern,
+      segments,
+      keys,
+      isStatic: keys.length === 0,
+      // parameter names do not matter when comparing two routes
+      signature: segments.map(s => (s.type === 'static' ? s.value : s.type === 'param' ? ':' : '*')).join('/'),
+   };
+}
+
+/**
+ * Bus subject a compiled route has to listen on.
+ * The verb suffix can only be part of a literal last segment; otherwise the
+ * subject is wider and the verb is filtered after delivery.
+ *
+ * @param {string} prefix  node prefix, e.g. "n1/gc"
+ * @param {ReturnType<typeof compileRoute>} route
+ * @param {string} method  concrete verb or "*"
+ * @returns {string}
+ */
+export function routeSubject(prefix, route, method) {
+   const tokens = route.segments.map(s => (s.type === 'static' ? s.value : s.type === 'param' ? '*' : '>'));
+   const last = route.segments[route.segments.length - 1];
+   if (last.type === 'static') {
+      tokens[tokens.length - 1] = method === '*' ? '*' : `${last.value}${VERB_SEPARATOR}${method}`;
+   }
+   return [prefix, ...tokens].join('/');
+}
+
+/**
+ * Split an incoming subject into relative path and verb.
+ *
+ * @param {string} subject  e.g. "n1/gc/unit/u42/exp--post"
+ * @param {string} prefix   e.g. "n1/gc"
+ * @returns {{ path: string, method: string|undefined }}
+ */
+export function parseSubject(subject, prefix) {
+   let rest = prefix && subject.startsWith(prefix) ? subject.slice(prefix.length) : subject;
+   const idx = rest.lastIndexOf(VERB_SEPARATOR);
+   let method;
+   if (idx !== -1 && !rest.slice(idx).includes('/')) {
+      method = rest.slice(idx + VERB_SEPARATOR.length);
+      rest = rest.slice(0, idx);
+   }
+   return { path: rest, method };
+}
+
+/**
+ * Match a relative path against a compiled route.
+ *
+ * @param {ReturnType<typeof compileRoute>} route
+ * @param {string} path  e.g. "/unit/u42/exp"
+ * @returns {Record<string, string>|null}  captured params or null
+ */
+export function matchRoute(route, path) {
+   const parts = path.replace(/^\//, '').split('/');
+   const params = {};
+   const { segments } = route;
+   for (let i = 0; i < segments.length; i++) {
+      const seg = segments[i];
+      if (seg.type === 'rest') {
+         if (parts.length <= i) return null;
+         params[seg.value] = parts.slice(i).join('/');
+         return params;
+      }
+      if (i >= parts.length) return null;
+      if (seg.type === 'param') {
+         if (!parts[i]) return null;
+         params[seg.value] = parts[i];
+      } else if (seg.value !== parts[i]) {
+         return null;
+      }
+   }
+   return parts.length === segments.length ? params : null;
+}
+
+const RANK = { static: 0, param: 1, rest: 2 };
+
+/**
+ * Sort comparator: more specific routes first
+ * (static before ":param" before "*rest", compared segment by segment).
+ */
+export function compareRoutes(a, b) {
+   const n = Math.max(a.segments.length, b.segments.length);
+   for (let i = 0; i < n; i++) {
+      const ra = a.segments[i] ? RANK[a.segments[i].type] : -1;
+      const rb = b.segments[i] ? RANK[b.segments[i].type] : -1;
+      if (ra !== rb) return ra - rb;
+   }
+   return 0;
+}
+
+/**
+ * Subject matching of the BusAdapter contract: tokens are separated by "/",
+ * "*" matches exactly one token and ">" (last token only) matches one or more.
+ *
+ * @param {string} pattern
+ * @param {string} subject
+ * @returns {boolean}
+ */
+export function subjectMatches(pattern, subject) {
+   if (pattern === subject) return true;
+   const p = pattern.split('/');
+   const s = subject.split('/');
+   for (let i = 0; i < p.length; i++) {
+      if (p[i] === '>') return s.length > i;
+      if (i >= s.length) return false;
+      if (p[i] !== '*' && p[i] !== s[i]) return false;
+   }
+   return p.length === s.length;
+}
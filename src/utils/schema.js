@@ -0,0 +1,157 @@
+// src/utils/schema.js
+// Minimal JSON-Schema-style validator for route payloads.
+//
+// Supported keywords: type (string or list), enum, const, required, properties,
+// additionalProperties (boolean or schema), items, minItems, maxItems,
+// minLength, maxLength, pattern, minimum, maximum, exclusiveMinimum,
+// exclusiveMaximum. Unknown keywords are ignored, like JSON Schema does.
+import { ValidationError } from '../errors.js';
+
+const TYPES = new Set(['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']);
+
+/** Compiled validators, keyed by schema object */
+const cache = new WeakMap();
+
+function typeOf(value) {
+   if (value === null) return 'null';
+   if (Array.isArray(value)) return 'array';
+   return typeof value;
+}
+
+function hasType(value, type) {
+   if (type === 'integer') return Number.isInteger(value);
+   if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+   return typeOf(value) === type;
+}
+
+function fieldPath(parent, key) {
+   if (typeof key === 'number') return `${parent}[${key}]`;
+   return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Reject malformed schemas at registration time instead of on the first request.
+ */
+function assertSchema(schema, where = 'schema') {
+   if (schema == null || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new TypeError(`${where} must be an object`);
+   }
+   const types = schema.type === undefined ? [] : [].concat(schema.type);
+   for (const t of types) {
+      if (!TYPES.has(t)) throw new TypeError(`${where}: unknown type "${t}"`);
+   }
+   if (schema.required !== undefined && !Array.isArray(schema.required)) {
+      throw new TypeError(`${where}: "required" must be an array`);
+   }
+   for (const [key, sub] of Object.entries(schema.properties ?? {})) {
+      assertSchema(sub, `${where}.properties.${key}`);
+   }
+   if (typeof schema.additionalProperties === 'object') {
+      assertSchema(schema.additionalProperties, `${where}.additionalProperties`);
+   }
+   if (schema.items !== undefined) assertSchema(schema.items, `${where}.items`);
+}
+
+function check(schema, value, path, errors) {
+   const push = message => errors.push({ field: path || '(root)', message });
+
+   if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(t => hasType(value, t))) {
+         push(`must be ${types.join(' or ')}`);
+         return;
+      }
+   }
+   if (schema.const !== undefined && value !== schema.const) {
+      push(`must be ${JSON.stringify(schema.const)}`);
+   }
+   if (schema.enum && !schema.enum.includes(value)) {
+      push(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+   }
+
+   if (typeof value === 'string') {
+      if (schema.minLength !== undefined && value.length < schema.minLength) push(`must have at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) push(`must have at most ${schema.maxLength} characters`);
+      if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) push(`must match ${schema.pattern}`);
+   }
+
+   if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) push(`must be >= ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) push(`must be <= ${schema.maximum}`);
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) push(`must be > ${schema.exclusiveMinimum}`);
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) push(`must be < ${schema.exclusiveMaximum}`);
+   }
+
+   if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) push(`must have at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) push(`must have at most ${schema.maxItems} items`);
+      if (schema.items) {
+         value.forEach((item, i) => check(schema.items, item, fieldPath(path, i), errors));
+      }
+   } else if (value !== null && typeof value === 'object') {
+      for (const key of schema.required ?? []) {
+         if (value[key] === undefined) errors.push({ field: fieldPath(path, key), message: 'is required' });
+      }
+      const props = schema.properties ?? {};
+      for (const [key, sub] of Object.entries(props)) {
+         if (value[key] !== undefined) check(sub, value[key], fieldPath(path, key), errors);
+      }
+      if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+         for (const key of Object.keys(value)) {
+            if (key in props) continue;
+            if (schema.additionalProperties === false) {
+               errors.push({ field: fieldPath(path, key), message: 'is not allowed' });
+            } else {
+               check(schema.additionalProperties, value[key], fieldPath(path, key), errors);
+            }
+         }
+      }
+   }
+}
+
+/**
+ * Compile (and cache) a validator for `schema`.
+ *
+ * @param {object} schema
+ * @returns {(value:any) => Array<{ field: string, message: string }>}  list of errors, empty if valid
+ */
+export function compileSchema(schema) {
+   let validate = cache.get(schema);
+   if (!validate) {
+      assertSchema(schema);
+      validate = (value) => {
+         const errors = [];
+         check(schema, value, '', errors);
+         return errors;
+      };
+      cache.set(schema, validate);
+   }
+   return validate;
+}
+
+/**
+ * Wrap a route handler with the request/response schema checks of its options.
+ * Must be the innermost wrapper, so middleware can normalize the payload first.
+ *
+ * @param {(ctx:object)=>any} handler
+ * @param {{ schema?: object, responseSchema?: object }} [opts]
+ * @returns {(ctx:object)=>any}
+ */
+export function withSchemas(handler, { schema, responseSchema } = {}) {
+   if (!schema && !responseSchema) return handler;
+   const validateRequest = schema && compileSchema(schema);
+   const validateResponse = responseSchema && compileSchema(responseSchema);
+
+   return async (ctx) => {
+      if (validateRequest) {
+         const errors = validateRequest(ctx.payload);
+         if (errors.length) throw new ValidationError('Invalid payload', errors);
+      }
+      const result = await handler(ctx);
+      if (validateResponse) {
+         const errors = validateResponse(result);
+         if (errors.length) throw new ValidationError(`Invalid response from ${ctx.subject}`, errors, 500);
+      }
+      return result;
+   };
+}
@@ -0,0 +1,82 @@
+// src/utils/trace.js
+// Trace context (W3C `traceparent`) and span timing for PeerNode.
+//
+//    traceparent: 00-<32 hex trace id>-<16 hex parent span id>-<2 hex flags>
+//
+// The active span of a handler is kept in AsyncLocalStorage, so any send()
+// issued while handling a request continues its trace automatically.
+import crypto from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const TRACEPARENT = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/** Active { traceId, spanId } of the handler currently running */
+export const traceStorage = new AsyncLocalStorage();
+
+export const newTraceId = () => crypto.randomBytes(16).toString('hex');
+export const newSpanId = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * @param {{ traceId: string, spanId: string }} ctx
+ * @returns {string}
+ */
+export function formatTraceparent({ traceId, spanId }) {
+   return `00-${traceId}-${spanId}-01`;
+}
+
+/**
+ * Read the parent context of an incoming message.
+ * Falls back to the legacy `traceId` header of older nodes.
+ *
+ * @param {Record<string, string>} headers
+ * @returns {{ traceId: string, spanId: string|null }|null}
+ */
+export function parseTraceHeaders(headers = {}) {
+   const m = TRACEPARENT.exec(String(headers.traceparent ?? '').toLowerCase());
+   if (m && !/^0+$/.test(m[1]) && !/^0+$/.test(m[2])) return { traceId: m[1], spanId: m[2] };
+   if (headers.traceId) return { traceId: headers.traceId, spanId: null };
+   return null;
+}
+
+/**
+ * Start a span. Without an explicit parent, the active handler span (if any)
+ * becomes the parent; otherwise a new trace starts.
+ *
+ * @param {object} opts
+ * @param {string} opts.name
+ * @param {"client"|"server"|"producer"|"consumer"} opts.kind
+ * @param {{ traceId: string, spanId: string|null }|null} [opts.parent]
+ * @param {object} [opts.attributes]
+ * @returns {object} span
+ */
+export function startSpan({ name, kind, parent, attributes = {} }) {
+   parent ??= traceStorage.getStore() ?? null;
+   return {
+      traceId: parent?.traceId ?? newTraceId(),
+      spanId: newSpanId(),
+      parentSpanId: parent?.spanId ?? null,
+      name,
+      kind,
+      attributes,
+      startTime: Date.now(),
+      endTime: null,
+      duration: null,
+      status: null,
+      error: null,
+   };
+}
+
+/**
+ * Close a span with its outcome.
+ *
+ * @param {object} span
+ * @param {{ status?: number, error?: Error }} [outcome]
+ * @returns {object} the same span
+ */
+export function endSpan(span, { status = null, error = null } = {}) {
+   span.endTime = Date.now();
+   span.duration = span.endTime - span.startTime;
+   span.status = status;
+   span.error = error ? (error.message ?? String(error)) : null;
+   return span;
+}
@@ -0,0 +1,11 @@
+// src/utils/verbs.js
+// Verbs of PeerNode messages.
+//
+//    sync   – request/reply, resolve to the reply
+//    async  – fire-and-forget (optionally durable), job lifecycle and streams
+
+export const ALL_SYNC_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+export const ALL_ASYNC_METHODS = [
+   'start', 'step', 'finish', 'fail', 'cancel', // like state machine
+   'call', 'emit', 'stream'                     // stream: see PeerNode.stream()
+];
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { MemoryAdapter, MessageAuth } from '../src/index.js';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+const keys = {
+   'gc-key': { key: 'gc-secret', caller: 'n1/gc' },
+   'ag-key': { key: 'ag-secret', caller: '*/ag' },
+   'bot-key': { key: 'bot-secret', caller: 'n1/bot' },
+};
+const signed = id => ({ keyId: id, key: keys[id].key, keys });
+
+/** Adapter on the nodes' broker that signs nothing. */
+async function intruder(node) {
+   const bus = new MemoryAdapter({ broker: node.bus.broker });
+   await bus.connect();
+   return bus;
+}
+
+test('signed callers pass, unsigned get 401, callers not allowed 403', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', auth: signed('gc-key') },
+      { nodeId: 'n2', service: 'ag', auth: signed('ag-key') },
+      { nodeId: 'n1', service: 'bot', auth: signed('bot-key') },
+      { nodeId: 'n1', service: 'anon' },
+   );
+   const [gc, ag, bot, anon] = nodes;
+   gc.on('get', '/unit/:id', ctx => ({ caller: ctx.caller.id }), { allow: ['ag'] });
+   gc.on('get', '/open', ctx => ({ caller: ctx.caller?.id ?? null }));
+
+   // the service-wide key takes the node id from the signed `from` header
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit/u1'), { caller: 'n2/ag' });
+   assert.deepEqual(await bot.send('get', 'n1/gc/open'), { caller: 'n1/bot' });
+   assert.equal((await bot.send('get', 'n1/gc/unit/u1')).status, 403);
+   assert.equal((await anon.send('get', 'n1/gc/open')).status, 401);
+   await closeAll(nodes);
+});
+
+test('Ed25519 keys sign and verify', async () => {
+   const pair = crypto.generateKeyPairSync('ed25519');
+   const trusted = { 'ag-ed': { key: pair.publicKey, caller: 'n1/ag' } };
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', auth: { keys: trusted } },
+      { nodeId: 'n1', service: 'ag', auth: { keyId: 'ag-ed', key: pair.privateKey } },
+   );
+   const [gc, ag] = nodes;
+   gc.on('get', '/who', ctx => ({ caller: ctx.caller.id, keyId: ctx.caller.keyId }));
+   assert.deepEqual(await ag.send('get', 'n1/gc/who'), { caller: 'n1/ag', keyId: 'ag-ed' });
+   await closeAll(nodes);
+});
+
+test('verify() rejects tampered, stale and replayed messages', () => {
+   const sender = new MessageAuth({ identity: 'n1/ag', keyId: 'ag-key', key: 'ag-secret' });
+   const receiver = new MessageAuth({ identity: 'n1/gc', keys, replayWindow: 1_000 });
+   const body = Buffer.from('{"id":1}');
+   const headers = { from: 'n1/ag', method: 'get' };
+   const sig = { ...headers, ...sender.sign('n1/gc/x--get', body, headers) };
+
+   assert.throws(() => receiver.verify('n1/gc/x--get', Buffer.from('{"id":2}'), sig), /Invalid signature/);
+   assert.throws(() => receiver.verify('n1/gc/y--get', body, sig), /Invalid signature/);
+   assert.equal(receiver.verify('n1/gc/x--get', body, sig).id, 'n1/ag');
+   assert.throws(() => receiver.verify('n1/gc/x--get', body, sig), /Replayed/);
+
+   const old = { ...headers, ...sender.sign('n1/gc/x--get', body, headers) };
+   old['sig-ts'] = String(Date.now() - 5_000);
+   assert.throws(() => receiver.verify('n1/gc/x--get', body, old), /replay window/);
+   assert.throws(() => receiver.verify('n1/gc/x--get', body, headers), /not signed/);
+});
+
+test('nonces are forgotten once out of the replay window', async () => {
+   const sender = new MessageAuth({ identity: 'n1/ag', keyId: 'ag-key', key: 'ag-secret' });
+   const receiver = new MessageAuth({ identity: 'n1/gc', keys, replayWindow: 30 });
+   const body = Buffer.from('{}');
+   const send = () => receiver.verify('n1/gc/x--get', body, { from: 'n1/ag', ...sender.sign('n1/gc/x--get', body, { from: 'n1/ag' }) });
+   for (let i = 0; i < 3; i++) send();
+   assert.equal(receiver.nonces.size, 3);
+   await sleep(40);
+   send();
+   assert.equal(receiver.nonces.size, 1);
+});
+
+test('stream frames between signed nodes are verified and delivered', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', auth: signed('gc-key') },
+      { nodeId: 'n1', service: 'ag', auth: signed('ag-key') },
+   );
+   const [gc, ag] = nodes;
+   gc.on('stream', '/numbers', async function* () {
+      for (let i = 0; i < 10; i++) yield i;
+   });
+   const chunks = [];
+   for await (const chunk of ag.stream('n1/gc/numbers', {}, { window: 2 })) chunks.push(chunk);
+   assert.equal(chunks.length, 10);
+   await closeAll(nodes);
+});
+
+test('unsigned "_peer" announcements are dropped and reported', async () => {
+   const errors = [];
+   const nodes = await createNodes({
+      nodeId: 'n1', service: 'gc', auth: signed('gc-key'), discovery: true, errorHandler: err => errors.push(err),
+   });
+   const [gc] = nodes;
+   const bus = await intruder(gc);
+   await bus.publish('_peer/announce', { instanceId: 'fake', nodeId: 'n7', service: 'gc', routes: [] });
+   await sleep(10);
+   assert.equal(gc.discovery.isUp('n7/gc'), false);
+   assert.ok(gc.discovery.isUp('n1/gc'), 'its own signed announcement is kept');
+   assert.ok(errors.some(err => err.status === 401));
+   await bus.close();
+   await closeAll(nodes);
+});
+
+test('forged job events do not reach job handles', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', auth: signed('gc-key') },
+      { nodeId: 'n1', service: 'ag', auth: signed('ag-key') },
+   );
+   const [gc, ag] = nodes;
+   const job = ag.job('job-1', 'n1/gc/build');
+   const events = [];
+   job.on('rejected', () => events.push('rejected'));
+   job.on('state', state => events.push(state.state));
+
+   const bus = await intruder(gc);
+   await bus.publish(`_peer/job/${job.id}`, { event: 'rejected', verb: 'finish', error: { status: 409 } });
+   await bus.publish(`_peer/job/${job.id}`, { event: 'finish', job: { id: job.id, state: 'finished' } });
+   await sleep(10);
+   assert.deepEqual(events, []);
+   assert.equal(job.state, 'pending');
+   await bus.close();
+   await closeAll(nodes);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+/** gc with a cached "get /unit/:id" counting its runs, and a caller. */
+async function setup({ policy = 1_000, caller = {} } = {}) {
+   const errors = [];
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', cache: true, errorHandler: err => errors.push(err) },
+      { nodeId: 'n1', service: 'ag', ...caller },
+   );
+   const [gc] = nodes;
+   const runs = { count: 0 };
+   gc.on('get', '/unit/:id', ctx => ({ id: ctx.params.id, run: ++runs.count }), { cache: policy });
+   gc.on('patch', '/unit/:id', () => ({ patched: true }));
+   return { nodes, gc, ag: nodes[1], runs, errors };
+}
+
+test('the cache is off unless enabled; cached routes need it', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' });
+   assert.equal(nodes[0].cache, null);
+   assert.throws(() => nodes[0].on('get', '/unit', () => [], { cache: 1_000 }), /no cache/);
+   await closeAll(nodes);
+});
+
+test('fresh replies come from the route cache', async () => {
+   const { nodes, ag, runs } = await setup();
+   const first = await ag.send('get', 'n1/gc/unit/u1', {}, { rich: true });
+   const second = await ag.send('get', 'n1/gc/unit/u1', {}, { rich: true });
+   assert.equal(first.headers.cache, 'miss');
+   assert.equal(second.headers.cache, 'hit');
+   assert.equal(second.headers['cache-control'], 'max-age=1');
+   assert.deepEqual(second.data, { id: 'u1', run: 1 });
+   await ag.send('get', 'n1/gc/unit/u2');
+   assert.equal(runs.count, 2);
+   await closeAll(nodes);
+});
+
+test('stale replies are served while the route refreshes them', async () => {
+   const { nodes, ag, runs } = await setup({ policy: { ttl: 20, staleWhileRevalidate: 1_000 } });
+   await ag.send('get', 'n1/gc/unit/u1');
+   await sleep(30);
+   const stale = await ag.send('get', 'n1/gc/unit/u1', {}, { rich: true });
+   assert.equal(stale.headers.cache, 'stale');
+   assert.equal(stale.data.run, 1);
+   await sleep(10);
+   assert.equal(runs.count, 2);
+   assert.equal((await ag.send('get', 'n1/gc/unit/u1')).run, 2);
+   await closeAll(nodes);
+});
+
+test('a write to the path drops its entries, here and on callers', async () => {
+   const { nodes, ag, runs } = await setup({ caller: { cache: { client: true } } });
+   await ag.send('get', 'n1/gc/unit/u1');
+   assert.equal((await ag.send('get', 'n1/gc/unit/u1', {}, { rich: true })).headers.cache, 'hit');
+   assert.equal(runs.count, 1);
+
+   await ag.send('patch', 'n1/gc/unit/u1', {});
+   await sleep(5);
+   assert.equal((await ag.send('get', 'n1/gc/unit/u1')).run, 2);
+   await closeAll(nodes);
+});
+
+test('caller-side cache answers without a request', async () => {
+   const { nodes, gc, ag } = await setup({ caller: { cache: { client: true } } });
+   let received = 0;
+   gc.use(async (ctx, next) => { received++; return next(); });
+   await ag.send('get', 'n1/gc/unit/u1');
+   await ag.send('get', 'n1/gc/unit/u1');
+   assert.equal(received, 1);
+   // per call: bypass
+   await ag.send('get', 'n1/gc/unit/u1', {}, { cache: false });
+   assert.equal(received, 2);
+   await closeAll(nodes);
+});
+
+test('payload keys: key order does not matter, BigInts and binary data work', async () => {
+   const { nodes, ag, runs } = await setup({ caller: { codec: 'msgpack' } });
+   await ag.send('get', 'n1/gc/unit/u1', { a: 1, b: 2 });
+   await ag.send('get', 'n1/gc/unit/u1', { b: 2, a: 1 });
+   assert.equal(runs.count, 1);
+   const big = { amount: 2n ** 70n, blob: new Uint8Array([1, 2]) };
+   assert.equal((await ag.send('get', 'n1/gc/unit/u1', big)).run, 2);
+   assert.equal((await ag.send('get', 'n1/gc/unit/u1', big)).run, 2);
+   await closeAll(nodes);
+});
+
+test('a key that cannot be computed skips the cache, not the request', async () => {
+   const { nodes, gc, ag, errors } = await setup({ caller: { cache: { client: true } } });
+   gc.on('get', '/broken', () => ({ ok: true }), { cache: { ttl: 1_000, key: () => { throw new Error('no key'); } } });
+   assert.deepEqual(await ag.send('get', 'n1/gc/broken'), { ok: true });
+   assert.ok(errors.some(err => err.message === 'no key'));
+
+   // caller side: a payload without a fingerprint is sent uncached
+   const cyclic = {};
+   cyclic.self = cyclic;
+   assert.equal(ag.cache.keyOf('n1/gc/unit/u1', cyclic), null);
+   await closeAll(nodes);
+});
+
+test('a write to one path does not keep another from being cached', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', cache: true }, { nodeId: 'n1', service: 'ag', cache: { client: true } },
+   );
+   const [gc, ag] = nodes;
+   let runs = 0;
+   gc.on('get', '/unit/:id', async (ctx) => { await sleep(20); return { id: ctx.params.id, run: ++runs }; }, { cache: 1_000 });
+   gc.on('patch', '/unit/:id', () => ({ patched: true }));
+
+   // u2 is written while u1 is being computed
+   const pending = ag.send('get', 'n1/gc/unit/u1');
+   await sleep(5);
+   await ag.send('patch', 'n1/gc/unit/u2', {});
+   await pending;
+   await sleep(5);
+   assert.equal((await ag.send('get', 'n1/gc/unit/u1', {}, { rich: true })).headers.cache, 'hit');
+   assert.equal((await ag.send('get', 'n1/gc/unit/u1', {}, { rich: true, cache: false })).headers.cache, 'hit');
+   assert.equal(runs, 1);
+
+   // a write to the same path still keeps the reply in flight out
+   const again = ag.send('get', 'n1/gc/unit/u3');
+   await sleep(5);
+   await ag.send('patch', 'n1/gc/unit/u3', {});
+   await again;
+   await sleep(5);
+   assert.equal((await ag.send('get', 'n1/gc/unit/u3', {}, { rich: true, cache: false })).headers.cache, 'miss');
+   await closeAll(nodes);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { generateClientTypes, writeClientTypes } from '../src/index.js';
+import { NodeRouter } from '../src/NodeRouter.js';
+import { closeAll, createNodes } from './helpers.js';
+
+test('property access and calls build the url, verbs send', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('post', '/unit/exp/add', ctx => ({ added: ctx.payload.exp }));
+   gc.on('get', '/unit/:id/exp', ctx => ({ id: ctx.params.id }));
+   gc.on('get', '/start/now', () => ({ started: true }));
+
+   const client = ag.client('n1/gc');
+   assert.deepEqual(await client.unit.exp.add.post({ exp: 5 }), { added: 5 });
+   assert.deepEqual(await client.unit('u42').exp.get(), { id: 'u42' });
+   assert.deepEqual(await client('start/now').get(), { started: true });
+   assert.equal((await client.unit('u42').exp.get({}, { rich: true })).status, 200);
+   assert.equal(String(client.unit('u1').exp), 'n1/gc/unit/u1/exp');
+   assert.equal(client.then, undefined, 'not a thenable');
+   assert.throws(() => ag.client('gc'), /<nodeId>\/<service>/);
+   await closeAll(nodes);
+});
+
+test('with a route list, unknown paths fail before sending', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'ag' });
+   const [ag] = nodes;
+   const client = ag.client('n1/gc', { routes: [{ method: 'get', path: '/unit/:id' }, { method: '*', path: '/any' }] });
+   assert.throws(() => client.nowhere.get(), err => err.status === 404 && err.code === 'UNKNOWN_ROUTE');
+   assert.throws(() => client.unit('u1').post({}), (err) => {
+      assert.equal(err.status, 405);
+      assert.deepEqual(err.data.allowed, ['get']);
+      return true;
+   });
+   // allowed, but nobody serves it here: the send goes out
+   assert.equal((await client.any.patch({}, { timeout: 50 })).res, 503);
+   await closeAll(nodes);
+});
+
+test('routes: "discovery" checks against what the node advertises', async () => {
+   const opts = { discovery: { heartbeatInterval: 30 } };
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc', ...opts }, { nodeId: 'n1', service: 'ag', ...opts });
+   const [gc, ag] = nodes;
+   gc.on('get', '/unit/:id', ctx => ({ id: ctx.params.id }));
+   const client = ag.client('n1/gc', { routes: 'discovery' });
+   await ag.discover({ refresh: true, wait: 50 });
+   assert.deepEqual(await client.unit('u1').get(), { id: 'u1' });
+   assert.throws(() => client.unit('u1').delete(), err => err.status === 405);
+   await closeAll(nodes);
+});
+
+test('generateClientTypes() mirrors the proxy, with schema types', () => {
+   const router = new NodeRouter();
+   router.use('get', '/unit/:unitId', () => {}, {
+      responseSchema: { type: 'object', properties: { level: { type: 'integer' } }, required: ['level'] },
+   });
+   router.use('post', '/unit/exp/add', () => {}, {
+      schema: { type: 'object', properties: { exp: { type: 'number' }, note: { type: 'string' } }, required: ['exp'] },
+   });
+   router.use('stream', '/feed', () => {});
+   router.use('get', '/get/all', () => {});
+
+   const dts = generateClientTypes(router, { name: 'GcClient' });
+   assert.match(dts, /^export interface SendOptions \{/m);
+   assert.match(dts, /^export type GcClient = \{/m);
+   assert.match(dts, /\(unitId: string\): \{\n\s+get\(payload\?: object, opts\?: SendOptions\): Promise<\{\n\s+level: number;/);
+   assert.match(dts, /post\(payload: \{\n\s+exp: number;\n\s+note\?: string;/);
+   assert.match(dts, /stream\(payload\?: object, opts\?: SendOptions\): AsyncIterable<any>;/);
+   // a segment named like a verb is reached by a call
+   assert.match(dts, /\(segment: "get"\): \{/);
+   assert.throws(() => generateClientTypes(router, { name: 'not valid' }), /Invalid type name/);
+});
+
+test('JSDoc output cannot close its own comment', () => {
+   const routes = [{ method: 'get', path: '/x', responseSchema: { const: 'a*/b' } }];
+   const js = generateClientTypes(routes, { format: 'jsdoc' });
+   assert.match(js, /@typedef \{\{/);
+   assert.ok(!js.includes('a*/b'));
+   assert.ok(js.includes('a*\\/b'));
+});
+
+test('writeClientTypes() picks the format from the file name', async () => {
+   const dir = await mkdtemp(path.join(tmpdir(), 'peernode-'));
+   try {
+      const routes = [{ method: 'get', path: '/unit' }];
+      await writeClientTypes(path.join(dir, 'gc.d.ts'), routes, { name: 'Gc' });
+      await writeClientTypes(path.join(dir, 'gc.js'), routes, { name: 'Gc' });
+      assert.match(await readFile(path.join(dir, 'gc.d.ts'), 'utf8'), /export type Gc = /);
+      assert.match(await readFile(path.join(dir, 'gc.js'), 'utf8'), /^ \* \}\} Gc$/m);
+   } finally {
+      await rm(dir, { recursive: true, force: true });
+   }
+});
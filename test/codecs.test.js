@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { MemoryAdapter, MemoryBroker, PeerError } from '../src/index.js';
+import { decodePayload, encodePayload } from '../src/codecs.js';
+import { closeAll, createNodes } from './helpers.js';
+
+const headers = obj => new Map(Object.entries(obj));
+
+test('codecs round-trip their values', () => {
+   const value = { id: 1, at: new Date(0), big: 2n ** 70n, bin: Buffer.from([1, 2]) };
+   const packed = encodePayload(value, { codec: 'msgpack' });
+   assert.equal(packed.headers['content-type'], 'application/msgpack');
+   assert.deepEqual(decodePayload(packed.data, headers(packed.headers)), value);
+
+   const raw = encodePayload(Buffer.from('abc'));
+   assert.equal(raw.headers['content-type'], 'application/octet-stream');
+   assert.deepEqual(decodePayload(raw.data, headers(raw.headers)), Buffer.from('abc'));
+
+   // bodies without content-type are JSON (older nodes)
+   assert.deepEqual(decodePayload(Buffer.from('{"a":1}')), { a: 1 });
+   assert.throws(() => decodePayload(Buffer.from('x'), headers({ 'content-type': 'text/nope' })), { status: 415 });
+   assert.throws(() => decodePayload(Buffer.from('{x'), headers({ 'content-type': 'application/json' })), { status: 400 });
+});
+
+test('bodies above the threshold are compressed', () => {
+   const small = encodePayload({ a: 1 }, { compression: { encoding: 'gzip', threshold: 100 } });
+   assert.equal(small.headers['content-encoding'], undefined);
+   const text = 'x'.repeat(5_000);
+   const big = encodePayload({ text }, { compression: 'deflate' });
+   assert.equal(big.headers['content-encoding'], 'deflate');
+   assert.ok(big.data.length < 1_000);
+   assert.deepEqual(decodePayload(big.data, headers(big.headers)), { text });
+});
+
+test('a body inflating beyond maxDecodedSize fails with 413', () => {
+   const bomb = zlib.gzipSync(Buffer.alloc(2_000_000, 0x20));
+   const hdrs = headers({ 'content-type': 'application/json', 'content-encoding': 'gzip' });
+   assert.ok(bomb.length < 10_000);
+   assert.throws(() => decodePayload(bomb, hdrs, { maxDecodedSize: 64 * 1024 }), err => {
+      assert.ok(err instanceof PeerError);
+      assert.equal(err.status, 413);
+      assert.equal(err.code, 'PAYLOAD_TOO_LARGE');
+      return true;
+   });
+   assert.throws(() => decodePayload(Buffer.from('not gzip'), hdrs), { status: 400 });
+});
+
+test('adapters answer oversized compressed requests with 413', async () => {
+   const broker = new MemoryBroker();
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', bus: new MemoryAdapter({ broker, maxDecodedSize: 1024 }) },
+      { nodeId: 'n1', service: 'ag', bus: new MemoryAdapter({ broker, compression: 'gzip' }) },
+   );
+   const [gc, ag] = nodes;
+   let calls = 0;
+   gc.on('post', '/upload', () => { calls++; return {}; });
+   const rep = await ag.send('post', 'n1/gc/upload', { text: 'x'.repeat(10_000) });
+   assert.equal(rep.status, 413);
+   assert.equal(calls, 0);
+   await closeAll(nodes);
+});
+
+test('replies follow the request codec unless it asks for another', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag', codec: 'msgpack' });
+   const [gc, ag] = nodes;
+   gc.on('get', '/big', ctx => ({ n: 2n ** 64n, type: ctx.headers['content-type'] }));
+   const rep = await ag.send('get', 'n1/gc/big', {}, { rich: true });
+   assert.equal(rep.data.n, 2n ** 64n);
+   assert.equal(rep.data.type, 'application/msgpack');
+   assert.equal(rep.headers['content-type'], 'application/msgpack');
+   await closeAll(nodes);
+});
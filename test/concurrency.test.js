@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveConcurrency } from '../src/utils/concurrency.js';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+/** Handler recording how many calls overlap. */
+function tracked(ms = 10) {
+   const stats = { active: 0, peak: 0, order: [] };
+   const handler = async (ctx) => {
+      stats.peak = Math.max(stats.peak, ++stats.active);
+      stats.order.push(ctx.payload.n);
+      await sleep(ms);
+      stats.active--;
+      return { n: ctx.payload.n };
+   };
+   return { stats, handler };
+}
+
+test('"serial" and numeric limits cap the messages in flight', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   const serial = tracked();
+   const two = tracked();
+   gc.on('post', '/serial', serial.handler, { concurrency: 'serial' });
+   gc.on('post', '/two', two.handler, { concurrency: 2 });
+
+   const sends = n => Array.from({ length: n }, (_, i) => i);
+   await Promise.all(sends(5).map(n => ag.send('post', 'n1/gc/serial', { n })));
+   await Promise.all(sends(6).map(n => ag.send('post', 'n1/gc/two', { n })));
+   assert.equal(serial.stats.peak, 1);
+   assert.deepEqual(serial.stats.order, [0, 1, 2, 3, 4]);
+   assert.equal(two.stats.peak, 2);
+   await closeAll(nodes);
+});
+
+test('a full queue rejects with the overflow status', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('post', '/busy', tracked(20).handler, { concurrency: { limit: 1, maxQueue: 1 } });
+   gc.on('post', '/busy503', tracked(20).handler, { concurrency: { limit: 1, maxQueue: 0, overflow: 503 } });
+
+   const replies = await Promise.all([0, 1, 2].map(n => ag.send('post', 'n1/gc/busy', { n })));
+   assert.deepEqual(replies.slice(0, 2), [{ n: 0 }, { n: 1 }]);
+   assert.equal(replies[2].status, 429);
+   const [first, second] = await Promise.all([0, 1].map(n => ag.send('post', 'n1/gc/busy503', { n })));
+   assert.deepEqual(first, { n: 0 });
+   assert.equal(second.status, 503);
+   await closeAll(nodes);
+});
+
+test('"drop-oldest" makes room by answering the oldest waiting message', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('post', '/latest', tracked(20).handler, { concurrency: { limit: 1, maxQueue: 1, overflow: 'drop-oldest' } });
+   const replies = await Promise.all([0, 1, 2].map(n => ag.send('post', 'n1/gc/latest', { n })));
+   assert.deepEqual(replies[0], { n: 0 });
+   assert.equal(replies[1].status, 503);
+   assert.deepEqual(replies[2], { n: 2 });
+   await closeAll(nodes);
+});
+
+test('messages sharing a key run in order, other keys in parallel', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   const perKey = {};
+   let active = 0, peak = 0;
+   gc.on('post', '/unit/:unitId/exp', async (ctx) => {
+      peak = Math.max(peak, ++active);
+      (perKey[ctx.params.unitId] ??= []).push(ctx.payload.n);
+      await sleep(10);
+      active--;
+      return {};
+   }, { concurrency: { key: 'unitId' } });
+
+   await Promise.all([
+      ...[0, 1, 2].map(n => ag.send('post', 'n1/gc/unit/u1/exp', { n })),
+      ...[0, 1, 2].map(n => ag.send('post', 'n1/gc/unit/u2/exp', { n })),
+   ]);
+   assert.deepEqual(perKey, { u1: [0, 1, 2], u2: [0, 1, 2] });
+   assert.equal(peak, 2);
+   await closeAll(nodes);
+});
+
+test('routes are serial unless opted out', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   const plain = tracked();
+   gc.on('post', '/plain', plain.handler);
+   await Promise.all([0, 1, 2].map(n => ag.send('post', 'n1/gc/plain', { n })));
+   assert.equal(plain.stats.peak, 1);
+   assert.deepEqual(plain.stats.order, [0, 1, 2]);
+   await closeAll(nodes);
+});
+
+test('the node\'s concurrency is the routes\' default; bad specs throw', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc', concurrency: 'unbounded' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   const open = tracked();
+   const serial = tracked();
+   gc.on('post', '/a', open.handler);
+   gc.on('post', '/b', serial.handler, { concurrency: 'serial' });
+   await Promise.all([0, 1, 2].map(n => ag.send('post', 'n1/gc/a', { n })));
+   await Promise.all([0, 1, 2].map(n => ag.send('post', 'n1/gc/b', { n })));
+   assert.equal(open.stats.peak, 3);
+   assert.equal(serial.stats.peak, 1);
+
+   assert.throws(() => resolveConcurrency(0), /limit/);
+   assert.throws(() => resolveConcurrency({ overflow: 418 }), /overflow/);
+   assert.throws(() => resolveConcurrency('fast'), /concurrency must be/);
+   await closeAll(nodes);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { anySignal, combineSignals, earliest } from '../src/utils/deadline.js';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+test('earliest() ignores unset deadlines', () => {
+   assert.equal(earliest(undefined, 20, null, 10), 10);
+   assert.equal(earliest(undefined, null), undefined);
+});
+
+for (const [name, combine] of [['anySignal', (...s) => anySignal(...s)], ['combineSignals', (...s) => combineSignals(s)]]) {
+   test(`${name}() aborts with the reason of the first input to abort`, () => {
+      const a = new AbortController();
+      const b = new AbortController();
+      const signal = combine(a.signal, b.signal);
+      assert.equal(signal.aborted, false);
+      b.abort('second');
+      a.abort('first');
+      assert.equal(signal.aborted, true);
+      assert.equal(signal.reason, 'second');
+
+      const done = new AbortController();
+      done.abort('already');
+      assert.equal(combine(done.signal, a.signal).reason, 'already');
+   });
+}
+
+test('handlers work where AbortSignal.any() is missing (Node 19)', async (t) => {
+   const original = AbortSignal.any;
+   AbortSignal.any = undefined;
+   t.after(() => { AbortSignal.any = original; });
+
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('get', '/wait', ctx => new Promise((resolve, reject) => {
+      ctx.signal.addEventListener('abort', () => reject(ctx.signal.reason));
+   }));
+   // the handler's deadline and the caller's timeout race: either way a 504
+   await assert.rejects(ag.send('get', 'n1/gc/wait', {}, { timeout: 30, rich: true }), { status: 504 });
+   await closeAll(nodes);
+});
+
+test('the deadline reaches the handler as ctx.deadline and ctx.signal', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   let aborted;
+   const handled = new Promise(resolve => { aborted = resolve; });
+   gc.on('get', '/wait', ctx => new Promise(resolve => {
+      ctx.signal.addEventListener('abort', () => {
+         aborted({ deadline: ctx.deadline, status: ctx.signal.reason.status });
+         resolve({});
+      });
+   }));
+   const before = Date.now();
+   await ag.send('get', 'n1/gc/wait', {}, { timeout: 30 });
+   // the handler's deadline timer is unref'd: keep the process up until it fires
+   const keepAlive = setTimeout(() => {}, 1_000);
+   const seen = await handled;
+   clearTimeout(keepAlive);
+   assert.ok(seen.deadline >= before + 30 && seen.deadline <= Date.now());
+   assert.equal(seen.status, 504);
+
+   const controller = new AbortController();
+   setTimeout(() => controller.abort(), 10);
+   await assert.rejects(ag.send('get', 'n1/gc/wait', {}, { timeout: 500, signal: controller.signal, rich: true }),
+      { status: 499, code: 'ABORTED' });
+   await closeAll(nodes);
+});
+
+test('a caller giving up aborts the handler, and the calls it made', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'db' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, db, ag] = nodes;
+   const aborted = [];
+   const waitForAbort = name => ctx => new Promise((resolve, reject) => {
+      ctx.signal.addEventListener('abort', () => {
+         aborted.push([name, ctx.signal.reason.status]);
+         reject(ctx.signal.reason);
+      });
+   });
+   db.on('get', '/slow', waitForAbort('db'));
+   gc.on('get', '/wait', (ctx) => {
+      ctx.send('get', 'n1/db/slow', {}, { timeout: 5_000 }).catch(() => {});
+      return waitForAbort('gc')(ctx);
+   });
+
+   const controller = new AbortController();
+   const started = Date.now();
+   setTimeout(() => controller.abort(), 20);
+   await assert.rejects(ag.send('get', 'n1/gc/wait', {}, { timeout: 5_000, signal: controller.signal, rich: true }),
+      { status: 499, code: 'ABORTED' });
+   await sleep(20);
+   assert.deepEqual(aborted.sort(), [['db', 499], ['gc', 499]]);
+   assert.ok(Date.now() - started < 1_000);
+   await closeAll(nodes);
+});
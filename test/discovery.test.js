@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryAdapter } from '../src/index.js';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+test('discovery is off unless enabled', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' });
+   assert.equal(nodes[0].discovery, null);
+   await assert.rejects(nodes[0].discover(), /disabled/);
+   await closeAll(nodes);
+});
+
+test('nodes announce their routes and learn about each other', async () => {
+   const opts = { discovery: { heartbeatInterval: 30 } };
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc', version: '1.2.0', ...opts }, { nodeId: 'n1', service: 'ag', ...opts });
+   const [gc, ag] = nodes;
+   const joined = [];
+   ag.discovery.on('join', info => joined.push(`${info.nodeId}/${info.service}`));
+   gc.on('get', '/unit/:id', () => ({}));
+
+   const map = await ag.discover({ refresh: true, wait: 80 });
+   assert.equal(map['n1/gc'][0].version, '1.2.0');
+   assert.ok(map['n1/gc'][0].routes.some(r => r.method === 'get' && r.path === '/unit/:id'));
+   assert.ok(ag.discovery.isUp('n1/gc'));
+   assert.ok(joined.includes('n1/gc'));
+   await closeAll(nodes);
+});
+
+test('a closed node leaves the map', async () => {
+   const opts = { discovery: { heartbeatInterval: 30 } };
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc', ...opts }, { nodeId: 'n1', service: 'ag', ...opts });
+   const [gc, ag] = nodes;
+   await sleep(50);
+   assert.ok(ag.discovery.isUp('n1/gc'));
+   const left = new Promise(resolve => ag.discovery.once('leave', resolve));
+   await gc.close();
+   assert.equal((await left).service, 'gc');
+   assert.equal(ag.discovery.isUp('n1/gc'), false);
+   await ag.close();
+});
+
+test('sends to a service that has left fail fast until it is back', async () => {
+   const opts = { discovery: { heartbeatInterval: 30 } };
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc', ...opts }, { nodeId: 'n1', service: 'ag', ...opts });
+   const [gc, ag] = nodes;
+   await sleep(50);
+   const left = new Promise(resolve => ag.discovery.once('leave', resolve));
+   await gc.close();
+   await left;
+
+   const started = Date.now();
+   await assert.rejects(ag.send('get', 'n1/gc/unit', {}, { rich: true, timeout: 2_000 }), { status: 503, code: 'SERVICE_DOWN' });
+   assert.ok(Date.now() - started < 100);
+   // never seen: sent as usual
+   assert.equal((await ag.send('get', 'n1/other/unit', {}, { timeout: 50 })).res, 503);
+
+   const joined = new Promise(resolve => ag.discovery.once('join', resolve));
+   const [back] = await createNodes({ nodeId: 'n1', service: 'gc', ...opts, bus: new MemoryAdapter({ broker: ag.bus.broker }) });
+   back.on('get', '/unit', () => ({ back: true }));
+   await joined;
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit'), { back: true });
+   await closeAll([back, ag]);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HttpGateway, PeerError } from '../src/index.js';
+import { closeAll, createNodes } from './helpers.js';
+
+/** gc with a few routes, reached over HTTP through a gateway on ag. */
+async function setup(gatewayOpts = {}) {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('get', '/unit/:id', (ctx) => {
+      if (ctx.params.id === 'none') throw new PeerError(404, 'Unit not found');
+      return { id: ctx.params.id, query: ctx.payload };
+   });
+   gc.on('post', '/unit/exp/add', ctx => ({ added: ctx.payload.exp }));
+   gc.on('post', '/vault', () => { throw new Error('db password rejected for admin@10.0.0.7'); });
+   gc.on('post', '/busy', () => { throw new PeerError(503, 'Replica r7 drained for upgrade'); });
+
+   const gateway = new HttpGateway(ag, { prefix: '/api', ...gatewayOpts });
+   const server = await gateway.listen(0, '127.0.0.1');
+   const base = `http://127.0.0.1:${server.address().port}/api`;
+   const request = async (method, path, body) => {
+      const res = await fetch(`${base}${path}`, {
+         method,
+         ...(body === undefined ? {} : { headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) }),
+      });
+      const text = await res.text();
+      return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : undefined };
+   };
+   return {
+      base,
+      request,
+      close: async () => {
+         await gateway.close();
+         await closeAll(nodes);
+      },
+   };
+}
+
+test('HTTP methods and paths map to routes of the bus', async () => {
+   const { request, close } = await setup();
+   const got = await request('GET', '/n1/gc/unit/U42?full=1');
+   assert.equal(got.status, 200);
+   assert.deepEqual(got.body, { id: 'u42', query: { full: '1' } });
+   assert.deepEqual((await request('POST', '/n1/gc/unit/exp/add', { exp: 5 })).body, { added: 5 });
+   assert.equal((await request('POST', '/n1/gc/events/unit--emit', {})).status, 202);
+   assert.equal((await request('GET', '/n1/gc/_peer/allow')).status, 404);
+   await close();
+});
+
+test('405 replies carry Allow', async () => {
+   const { request, close } = await setup({ routes: ['get /n1/gc/unit/:id', 'post /n1/gc/unit/exp/add'] });
+   // refused by the allowlist
+   const listed = await request('DELETE', '/n1/gc/unit/u1');
+   assert.equal(listed.status, 405);
+   assert.equal(listed.headers.get('allow'), 'GET');
+   await close();
+
+   // answered by the node
+   const open = await setup();
+   const routed = await open.request('PUT', '/n1/gc/unit/exp/add', {});
+   assert.equal(routed.status, 405);
+   assert.equal(routed.headers.get('allow'), 'POST');
+   await open.close();
+});
+
+test('4xx messages reach the HTTP client', async () => {
+   const { base, request, close } = await setup({ routes: ['/n1/gc/unit/*rest'] });
+   assert.deepEqual((await request('GET', '/n1/gc/unit/none')).body, { error: 'Unit not found', status: 404 });
+   assert.deepEqual((await request('GET', '/n1/gc/vault')).body, { error: 'No route for /n1/gc/vault', status: 404 });
+
+   const malformed = await fetch(`${base}/n1/gc/unit/exp/add`, {
+      method: 'POST', headers: { 'content-type': 'application/json' }, body: '{"exp":',
+   });
+   assert.equal(malformed.status, 400);
+   assert.match((await malformed.json()).error, /^Malformed JSON body/);
+   await close();
+});
+
+test('5xx bodies do not leak server-side messages', async () => {
+   const { request, close } = await setup();
+   const failed = await request('POST', '/n1/gc/vault', {});
+   assert.equal(failed.status, 500);
+   assert.deepEqual(failed.body, { error: 'Internal Server Error', status: 500 });
+
+   const busy = await request('POST', '/n1/gc/busy', {});
+   assert.equal(busy.status, 503);
+   assert.deepEqual(busy.body, { error: 'Service Unavailable', status: 503 });
+   await close();
+});
+
+test('path segments cannot smuggle bus separators or wildcards', async () => {
+   const listed = await setup({ routes: ['get /n1/gc/unit/:id'] });
+   // over NATS "unit/u42.exp" would be the subject of "/unit/:id/exp"
+   const dotted = await listed.request('GET', '/n1/gc/unit/u42.exp');
+   assert.equal(dotted.status, 400);
+   assert.match(dotted.body.error, /^Invalid character in path/);
+   for (const segment of ['u%2A', 'u%3E', 'u%20x']) {
+      assert.equal((await listed.request('GET', `/n1/gc/unit/${segment}`)).status, 400);
+   }
+   await listed.close();
+
+   const open = await setup();
+   assert.equal((await open.request('GET', '/n1/gc/_peer.allow')).status, 400);
+   assert.equal((await open.request('GET', '/n1/gc/_peer%2Eallow')).status, 400);
+   await open.close();
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+/** Three gc nodes: n1 and n2 hold the unit, n3 does not know the route. */
+async function cluster(opts = {}) {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', ...opts }, { nodeId: 'n2', service: 'gc', ...opts },
+      { nodeId: 'n3', service: 'gc', ...opts }, { nodeId: 'n1', service: 'ag', ...opts },
+   );
+   const [n1, n2] = nodes;
+   n1.on('get', '/unit/:id', ctx => ({ id: ctx.params.id, on: 'n1' }));
+   n2.on('get', '/unit/:id', async ctx => { await sleep(20); return { id: ctx.params.id, on: 'n2' }; });
+   return nodes;
+}
+
+test('gather() sorts answers into replies, errors and missing nodes', async () => {
+   const nodes = await cluster();
+   const ag = nodes[3];
+   const result = await ag.gather('get', '*/gc/unit/u42', {}, { nodes: ['n1', 'n2', 'n3', 'n9'], timeout: 200 });
+   assert.deepEqual(result.replies.map(r => [r.node, r.status, r.data.on]).sort(), [['n1/gc', 200, 'n1'], ['n2/gc', 200, 'n2']]);
+   assert.deepEqual(result.errors.map(e => [e.node, e.status]), [['n3/gc', 404]]);
+   assert.deepEqual(result.missing, ['n9/gc']);
+   await closeAll(nodes);
+});
+
+test('gather() stops after maxReplies answers', async () => {
+   const nodes = await cluster();
+   const ag = nodes[3];
+   const result = await ag.gather('get', '*/gc/unit/u42', {}, { nodes: ['n1', 'n2'], maxReplies: 1 });
+   assert.deepEqual(result.replies.map(r => r.node), ['n1/gc']);
+   assert.deepEqual(result.missing, ['n2/gc']);
+   await closeAll(nodes);
+});
+
+test('gather() rejects with 504 INCOMPLETE below minReplies', async () => {
+   const nodes = await cluster();
+   const ag = nodes[3];
+   await assert.rejects(ag.gather('get', 'n3/gc/unit/u42', {}, { minReplies: 1, timeout: 100 }), err => {
+      assert.equal(err.status, 504);
+      assert.equal(err.code, 'INCOMPLETE');
+      assert.deepEqual(err.data.errors.map(e => e.node), ['n3/gc']);
+      return true;
+   });
+   await closeAll(nodes);
+});
+
+test('gather() to "*" asks the nodes discovery knows', async () => {
+   const nodes = await cluster({ discovery: { heartbeatInterval: 30 } });
+   const ag = nodes[3];
+   await ag.discover({ refresh: true, wait: 50 });
+   const result = await ag.gather('get', '*/gc/unit/u1', {}, { timeout: 200 });
+   assert.deepEqual(result.replies.map(r => r.node).sort(), ['n1/gc', 'n2/gc']);
+   assert.deepEqual(result.errors.map(e => e.node), ['n3/gc']);
+   await closeAll(nodes);
+});
+
+test('gather() needs discovery or explicit nodes for "*"', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'ag' });
+   await assert.rejects(nodes[0].gather('get', '*/gc/unit/u1'), /needs discovery/);
+   await assert.rejects(nodes[0].gather('emit', 'n1/gc/unit'), /request\/reply verb/);
+   await closeAll(nodes);
+});
@@ -0,0 +1,30 @@
+// Shared set-up of the test suites: PeerNodes on an in-process MemoryBroker.
+import { MemoryAdapter, MemoryBroker, PeerNode } from '../src/index.js';
+import { setLogErrorHandler } from '../src/utils/logger.js';
+
+// nothing of a test run goes to ./error.log
+setLogErrorHandler(() => {});
+
+/**
+ * Connected nodes sharing one fresh broker; close them with closeAll().
+ *
+ * @param {object[]} specs  PeerNode options per node (bus and errorHandler
+ *                          have test defaults)
+ * @returns {Promise<PeerNode[]>}
+ */
+export async function createNodes(...specs) {
+   const broker = new MemoryBroker();
+   const nodes = specs.map(spec => new PeerNode({
+      errorHandler: () => {},
+      ...spec,
+      bus: spec.bus ?? new MemoryAdapter({ broker, ...spec.adapter }),
+   }));
+   await Promise.all(nodes.map(node => node.connect()));
+   return nodes;
+}
+
+export async function closeAll(nodes) {
+   await Promise.all(nodes.map(node => node.close({ gracePeriod: 50 })));
+}
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
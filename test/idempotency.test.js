@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PeerError } from '../src/index.js';
+import { fingerprint } from '../src/Idempotency.js';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+/** gc with a counting "post /grant" route, and a caller. */
+async function setup(handler = ctx => ({ granted: ctx.payload.exp })) {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc] = nodes;
+   const calls = { count: 0 };
+   gc.on('post', '/grant', async (ctx) => {
+      calls.count++;
+      return handler(ctx, calls.count);
+   });
+   return { nodes, ag: nodes[1], calls };
+}
+
+test('a repeated key is answered with the stored reply', async () => {
+   const { nodes, ag, calls } = await setup();
+   const opts = { idempotencyKey: 'grant-1', rich: true };
+   const first = await ag.send('post', 'n1/gc/grant', { exp: 5 }, opts);
+   const again = await ag.send('post', 'n1/gc/grant', { exp: 5 }, opts);
+   assert.equal(calls.count, 1);
+   assert.deepEqual(again.data, first.data);
+   assert.equal(first.headers.replayed, undefined);
+   assert.equal(again.headers.replayed, '1');
+   await closeAll(nodes);
+});
+
+test('a key reused with another payload gets 422', async () => {
+   const { nodes, ag, calls } = await setup();
+   await ag.send('post', 'n1/gc/grant', { exp: 5 }, { idempotencyKey: 'grant-1' });
+   const reply = await ag.send('post', 'n1/gc/grant', { exp: 6 }, { idempotencyKey: 'grant-1' });
+   assert.equal(reply.status, 422);
+   assert.equal(calls.count, 1);
+   await closeAll(nodes);
+});
+
+test('payloads differing only in key order are the same payload', async () => {
+   const { nodes, ag, calls } = await setup();
+   await ag.send('post', 'n1/gc/grant', { exp: 5, unit: { id: 'u1', tier: 2 } }, { idempotencyKey: 'k' });
+   const again = await ag.send('post', 'n1/gc/grant', { unit: { tier: 2, id: 'u1' }, exp: 5 }, { idempotencyKey: 'k' });
+   assert.deepEqual(again, { granted: 5 });
+   assert.equal(calls.count, 1);
+   await closeAll(nodes);
+});
+
+test('msgpack payloads with BigInts and binary data are fingerprinted', async () => {
+   const { nodes, ag, calls } = await setup(() => ({ ok: true }));
+   const payload = { amount: 2n ** 70n, blob: new Uint8Array([1, 2, 3]) };
+   const opts = { idempotencyKey: 'big', codec: 'msgpack' };
+   assert.deepEqual(await ag.send('post', 'n1/gc/grant', payload, opts), { ok: true });
+   assert.deepEqual(await ag.send('post', 'n1/gc/grant', payload, opts), { ok: true });
+   assert.equal(calls.count, 1);
+   const other = await ag.send('post', 'n1/gc/grant', { ...payload, amount: 2n ** 70n + 1n }, opts);
+   assert.equal(other.status, 422);
+
+   assert.notEqual(fingerprint({ n: 1n }), fingerprint({ n: 1 }));
+   assert.notEqual(fingerprint({ n: 1n }), fingerprint({ n: '1n' }));
+   assert.equal(fingerprint(Buffer.from([1, 2])), fingerprint(new Uint8Array([1, 2])));
+   await closeAll(nodes);
+});
+
+test('concurrent duplicates wait for the first run', async () => {
+   const { nodes, ag, calls } = await setup(async (ctx) => { await sleep(20); return { granted: ctx.payload.exp }; });
+   const replies = await Promise.all([1, 2, 3].map(() => ag.send('post', 'n1/gc/grant', { exp: 1 }, { idempotencyKey: 'k' })));
+   assert.deepEqual(replies, [{ granted: 1 }, { granted: 1 }, { granted: 1 }]);
+   assert.equal(calls.count, 1);
+   await closeAll(nodes);
+});
+
+test('4xx replies are stored, 5xx leave the key free', async () => {
+   const { nodes, ag, calls } = await setup((ctx, count) => {
+      if (ctx.payload.kind === 'client') throw new PeerError(409, 'No exp left');
+      if (count === 2) throw new PeerError(503, 'Busy');
+      return { granted: true };
+   });
+   const conflict = { kind: 'client' };
+   assert.equal((await ag.send('post', 'n1/gc/grant', conflict, { idempotencyKey: 'a' })).status, 409);
+   assert.equal((await ag.send('post', 'n1/gc/grant', conflict, { idempotencyKey: 'a' })).status, 409);
+   assert.equal(calls.count, 1);
+
+   assert.equal((await ag.send('post', 'n1/gc/grant', {}, { idempotencyKey: 'b' })).status, 503);
+   assert.deepEqual(await ag.send('post', 'n1/gc/grant', {}, { idempotencyKey: 'b' }), { granted: true });
+   assert.equal(calls.count, 3);
+   await closeAll(nodes);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+test('a job moves through its states and the handle follows it', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('start', '/import', async ctx => {
+      setTimeout(async () => {
+         await ctx.job.step({ done: 50 });
+         await ctx.job.finish({ rows: 10 });
+      }, 5);
+   });
+   const job = await ag.start('n1/gc/import', { file: 'a.csv' });
+   const steps = [];
+   job.on('step', progress => steps.push(progress));
+   const record = await job.wait({ timeout: 500 });
+   assert.equal(record.state, 'finished');
+   assert.deepEqual(record.result, { rows: 10 });
+   assert.deepEqual(steps, [{ done: 50 }]);
+   assert.equal(record.instanceId, gc.instanceId);
+   await closeAll(nodes);
+});
+
+test('a refused transition reaches the caller\'s handle', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('start', '/import', () => ({ done: true }));
+   const job = await ag.start('n1/gc/import', {});
+   await job.wait({ timeout: 500 });
+   // the handle closed with the final state: follow the job again to see the refusal
+   const late = ag.job(job.id, 'n1/gc/import', { instanceId: gc.instanceId });
+   const rejected = new Promise(resolve => late.once('rejected', (error, verb) => resolve({ error, verb })));
+   await late.cancel('too late');
+   const { error, verb } = await rejected;
+   assert.equal(verb, 'cancel');
+   assert.equal(error.status, 409);
+   late.close();
+   await closeAll(nodes);
+});
+
+test('status and cancel reach the owning replica', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' },
+   );
+   const [a, b, ag] = nodes;
+   const cancelled = [];
+   for (const [name, replica] of [['a', a], ['b', b]]) {
+      replica.on('start', '/import', ctx => {
+         ctx.job.signal.addEventListener('abort', () => cancelled.push(name));
+      });
+   }
+   const jobs = [];
+   for (let i = 0; i < 10; i++) jobs.push(await ag.start('n1/gc/import', {}));
+   await sleep(10);
+   for (const job of jobs) {
+      const record = await job.refresh();
+      assert.equal(record.state, 'running');
+      await job.cancel('stop');
+   }
+   const records = await Promise.all(jobs.map(job => job.wait({ timeout: 500 })));
+   assert.ok(records.every(r => r.state === 'cancelled'));
+   assert.equal(cancelled.length, 10);
+   await closeAll(nodes);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodeRouter } from '../src/NodeRouter.js';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+test('off() removes one route, routes sharing its subscription stay', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('get', '/unit/:id', () => ({ got: true }));
+   gc.on('delete', '/unit/:id', () => ({ deleted: true }));
+
+   assert.equal(gc.off('delete', '/unit/:id'), true);
+   assert.equal(gc.off('delete', '/unit/:id'), false);
+   assert.equal(gc.off('get', '/nowhere'), false);
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit/u1'), { got: true });
+   assert.equal((await ag.send('delete', 'n1/gc/unit/u1')).status, 405);
+   assert.deepEqual(gc.describe().routes, [{ method: 'get', path: '/unit/:id' }]);
+
+   gc.off('get', '/unit/:id');
+   assert.equal((await ag.send('get', 'n1/gc/unit/u1')).status, 404);
+   // the pattern is free again
+   gc.on('get', '/unit/:other', ctx => ({ other: ctx.params.other }));
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit/u1'), { other: 'u1' });
+   await closeAll(nodes);
+});
+
+test('unmount() removes the routes a router mounted', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('get', '/health', () => ({ ok: true }));
+   const router = new NodeRouter();
+   router.use('get', '/shop/items', () => ['sword']);
+   router.use('post', '/shop/buy', () => ({ bought: true }));
+   const mounted = router.apply(gc);
+   assert.equal(mounted.routes.length, 2);
+   assert.deepEqual(await ag.send('get', 'n1/gc/shop/items'), ['sword']);
+
+   mounted.unmount();
+   assert.equal((await ag.send('get', 'n1/gc/shop/items')).status, 404);
+   assert.equal((await ag.send('post', 'n1/gc/shop/buy', {})).status, 404);
+   assert.deepEqual(await ag.send('get', 'n1/gc/health'), { ok: true });
+   await closeAll(nodes);
+});
+
+test('close() waits for running handlers within the grace period', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('get', '/slow', async () => { await sleep(30); return { done: true }; });
+   const reply = ag.send('get', 'n1/gc/slow');
+   await sleep(5);
+   await gc.close({ gracePeriod: 500 });
+   assert.deepEqual(await reply, { done: true });
+   await ag.close();
+});
+
+test('handlers still running after the grace period are aborted with SHUTDOWN', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   let aborted;
+   const stopped = new Promise(resolve => {
+      gc.on('get', '/forever', ctx => new Promise((_, reject) => {
+         ctx.signal.addEventListener('abort', () => {
+            aborted = ctx.signal.reason;
+            reject(ctx.signal.reason);
+            resolve();
+         });
+      }));
+   });
+   ag.send('get', 'n1/gc/forever', {}, { timeout: 200 });
+   await sleep(5);
+   const started = Date.now();
+   await gc.close({ gracePeriod: 20 });
+   await stopped;
+   assert.ok(Date.now() - started < 200);
+   assert.equal(aborted.status, 503);
+   assert.equal(aborted.code, 'SHUTDOWN');
+   await ag.close();
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryAdapter, MemoryBroker, BusReply } from '../src/index.js';
+import { sleep } from './helpers.js';
+
+async function adapters(n) {
+   const broker = new MemoryBroker();
+   const list = Array.from({ length: n }, () => new MemoryAdapter({ broker }));
+   await Promise.all(list.map(a => a.connect()));
+   return list;
+}
+
+test('publish reaches every matching subscription, wildcards included', async () => {
+   const [a, b] = await adapters(2);
+   const seen = [];
+   b.subscribe('n1/gc/unit', data => { seen.push(['exact', data]); });
+   b.subscribe('n1/*/unit', data => { seen.push(['star', data]); });
+   b.subscribe('n1/>', data => { seen.push(['tail', data]); });
+   b.subscribe('n2/>', data => { seen.push(['other', data]); });
+   await a.publish('n1/gc/unit', { x: 1 });
+   await sleep(5);
+   assert.deepEqual(seen.map(s => s[0]).sort(), ['exact', 'star', 'tail']);
+   assert.deepEqual(seen[0][1], { x: 1 });
+   await Promise.all([a.close(), b.close()]);
+});
+
+test('request resolves to the reply, with headers on demand', async () => {
+   const [a, b] = await adapters(2);
+   b.subscribe('n1/gc/echo', data => new BusReply({ echo: data }, { status: '201' }));
+   assert.deepEqual(await a.request('n1/gc/echo', { v: 1 }), { echo: { v: 1 } });
+   const rep = await a.request('n1/gc/echo', { v: 2 }, { withHeaders: true, headers: { traceId: 't' } });
+   assert.equal(rep.headers.status, '201');
+   assert.deepEqual(rep.data, { echo: { v: 2 } });
+   await Promise.all([a.close(), b.close()]);
+});
+
+test('request fails with "503" without subscribers and "TIMEOUT" without reply', async () => {
+   const [a, b] = await adapters(2);
+   await assert.rejects(a.request('n1/gc/none', {}), { code: '503' });
+   b.subscribe('n1/gc/slow', () => sleep(100).then(() => ({})));
+   await assert.rejects(a.request('n1/gc/slow', {}, { timeout: 20 }), { code: 'TIMEOUT' });
+   await Promise.all([a.close(), b.close()]);
+});
+
+test('a queue group gets each message once', async () => {
+   const [a, b, c] = await adapters(3);
+   let count = 0;
+   b.subscribe('jobs', () => { count++; }, { queue: 'q' });
+   c.subscribe('jobs', () => { count++; }, { queue: 'q' });
+   for (let i = 0; i < 10; i++) await a.publish('jobs', { i });
+   await sleep(10);
+   assert.equal(count, 10);
+   await Promise.all([a.close(), b.close(), c.close()]);
+});
+
+test('messages of one subscription are handled in order, one at a time', async () => {
+   const [a, b] = await adapters(2);
+   const order = [];
+   b.subscribe('seq', async ({ i }) => {
+      order.push(`start ${i}`);
+      await sleep(2);
+      order.push(`end ${i}`);
+   });
+   await a.publish('seq', { i: 1 });
+   await a.publish('seq', { i: 2 });
+   await sleep(20);
+   assert.deepEqual(order, ['start 1', 'end 1', 'start 2', 'end 2']);
+   await Promise.all([a.close(), b.close()]);
+});
+
+test('unsubscribe stops delivery; a closed adapter refuses to send', async () => {
+   const [a, b] = await adapters(2);
+   let count = 0;
+   const sub = b.subscribe('x', () => { count++; });
+   await a.publish('x', {});
+   await sleep(5);
+   sub.unsubscribe();
+   await a.publish('x', {});
+   await sleep(5);
+   assert.equal(count, 1);
+   await a.close();
+   await assert.rejects(a.request('x', {}), { code: 'CONNECTION_CLOSED' });
+   await b.close();
+});
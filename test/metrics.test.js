@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PeerError } from '../src/index.js';
+import { closeAll, createNodes } from './helpers.js';
+
+const series = (snapshot, side, verb, route) => snapshot.series.find(s => s.side === side && s.verb === verb && s.route === route);
+
+test('metrics are off unless enabled', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   assert.equal(gc.metrics, null);
+   assert.equal((await ag.send('get', 'n1/gc/_peer/metrics')).status, 404);
+   await closeAll(nodes);
+});
+
+test('sent and handled messages are counted per verb and route', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', metrics: true }, { nodeId: 'n1', service: 'ag', metrics: true },
+   );
+   const [gc, ag] = nodes;
+   gc.on('get', '/unit/:id', (ctx) => {
+      if (ctx.params.id === 'none') throw new PeerError(404, 'Unit not found');
+      return { id: ctx.params.id };
+   });
+   await ag.send('get', 'n1/gc/unit/u1');
+   await ag.send('get', 'n1/gc/unit/u2');
+   await ag.send('get', 'n1/gc/unit/none');
+
+   const handled = series(gc.metrics.snapshot(), 'handle', 'get', '/unit/:id');
+   assert.equal(handled.requests, 3);
+   assert.deepEqual(handled.statuses, { 200: 2, 404: 1 });
+   assert.equal(handled.errors, 1);
+   assert.equal(handled.inFlight, 0);
+   assert.equal(handled.latency.count, 3);
+   assert.deepEqual(handled.latency.buckets.at(-1), ['+Inf', 3]);
+
+   const sent = series(ag.metrics.snapshot(), 'send', 'get', 'n1/gc');
+   assert.equal(sent.requests, 3);
+   assert.deepEqual(sent.statuses, { 200: 2, 404: 1 });
+   await closeAll(nodes);
+});
+
+test('"get /_peer/metrics" serves the snapshot and Prometheus text', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc', metrics: { route: true, buckets: [0.1, 1] }, concurrency: 2 },
+      { nodeId: 'n1', service: 'ag' },
+   );
+   const [gc, ag] = nodes;
+   gc.on('post', '/unit', () => ({}));
+   await ag.send('post', 'n1/gc/unit', {});
+
+   const snapshot = await ag.send('get', 'n1/gc/_peer/metrics');
+   assert.equal(snapshot.node, 'n1/gc');
+   assert.equal(series(snapshot, 'handle', 'post', '/unit').requests, 1);
+   assert.deepEqual(snapshot.queues.find(q => q.route === '/unit'), { verb: 'post', route: '/unit', active: 0, queued: 0 });
+
+   const text = await ag.send('get', 'n1/gc/_peer/metrics', { format: 'prometheus' });
+   assert.match(text, /^# TYPE peer_requests_total counter$/m);
+   assert.match(text, /^peer_requests_total\{node="n1\/gc",side="handle",verb="post",route="\/unit",status="200"\} 1$/m);
+   assert.match(text, /^peer_request_duration_seconds_bucket\{.*route="\/unit",le="\+Inf"\} 1$/m);
+   assert.match(text, /^peer_route_queued\{node="n1\/gc",verb="post",route="\/unit"\} 0$/m);
+   await closeAll(nodes);
+});
+
+test('a send rejected for its arguments leaves nothing in flight', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'ag', metrics: true });
+   const [ag] = nodes;
+   await assert.rejects(ag.send('get', 'gc/unit'), /must be absolute/);
+   await assert.rejects(ag.send('get', 'n1/gc/unit', {}, { retry: { attempts: 0 } }), TypeError);
+   assert.throws(() => ag.send('emit', 'gc/events'), /must be absolute/);
+   assert.ok(ag.metrics.snapshot().series.every(s => s.inFlight === 0));
+   await closeAll(nodes);
+});
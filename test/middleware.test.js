@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodeRouter } from '../src/NodeRouter.js';
+import { closeAll, createNodes } from './helpers.js';
+
+test('node middleware runs around handlers in registration order', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   const order = [];
+   gc.use(async (ctx, next) => {
+      order.push('a in');
+      const result = await next();
+      order.push('a out');
+      return { ...result, wrapped: true };
+   });
+   gc.use('post', async (ctx, next) => {
+      order.push('post only');
+      return next();
+   });
+   gc.on('get', '/x', () => {
+      order.push('handler');
+      return { ok: 1 };
+   });
+   assert.deepEqual(await ag.send('get', 'n1/gc/x'), { ok: 1, wrapped: true });
+   assert.deepEqual(order, ['a in', 'handler', 'a out']);
+   await closeAll(nodes);
+});
+
+test('middleware can short-circuit and be scoped to a path prefix', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   let ran = false;
+   gc.use('/admin', async () => ({ denied: true }));
+   gc.on('get', '/admin/stats', () => { ran = true; return {}; });
+   gc.on('get', '/public', () => ({ open: true }));
+   assert.deepEqual(await ag.send('get', 'n1/gc/admin/stats'), { denied: true });
+   assert.equal(ran, false);
+   assert.deepEqual(await ag.send('get', 'n1/gc/public'), { open: true });
+   await closeAll(nodes);
+});
+
+test('router middleware only wraps the router\'s routes, inside the node\'s', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   const order = [];
+   gc.use(async (ctx, next) => { order.push('node'); return next(); });
+   const router = new NodeRouter();
+   router.use(async (ctx, next) => { order.push('router'); return next(); });
+   router.use('get', '/r', () => ({ r: 1 }));
+   router.apply(gc);
+   gc.on('get', '/plain', () => ({ p: 1 }));
+   await ag.send('get', 'n1/gc/r');
+   await ag.send('get', 'n1/gc/plain');
+   assert.deepEqual(order, ['node', 'router', 'node']);
+   await closeAll(nodes);
+});
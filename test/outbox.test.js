@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryAdapter, PeerError } from '../src/index.js';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+const delivery = { baseDelay: 5, maxDelay: 20, ackTimeout: 200, maxAttempts: 3 };
+
+test('a durable send is redelivered until the handler acks it', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag', delivery });
+   const [gc, ag] = nodes;
+   const attempts = [];
+   gc.on('emit', '/events/unit', ctx => {
+      attempts.push(ctx.attempt);
+      if (ctx.attempt < 2) throw new PeerError(503, 'Not ready');
+   });
+   const id = await ag.send('emit', 'n1/gc/events/unit', { unitId: 'u1' }, { durable: true });
+   assert.equal(typeof id, 'string');
+   await sleep(60);
+   assert.deepEqual(attempts, [1, 2]);
+   assert.deepEqual(await ag.outbox.pending(), []);
+   await closeAll(nodes);
+});
+
+test('rejected messages become dead letters and can be replayed', async () => {
+   const errors = [];
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc' },
+      { nodeId: 'n1', service: 'ag', delivery, errorHandler: err => errors.push(err) },
+   );
+   const [gc, ag] = nodes;
+   let accept = false;
+   const handled = [];
+   gc.on('emit', '/events/unit', ctx => {
+      if (!accept) throw new PeerError(422, 'Invalid event');
+      handled.push(ctx.messageId);
+   });
+   const dead = new Promise(resolve => gc.onExternal('_peer/dlq/n1/ag', ctx => resolve(ctx.payload)));
+   const id = await ag.send('emit', 'n1/gc/events/unit', {}, { durable: true });
+   assert.equal((await dead).id, id);
+   assert.deepEqual((await ag.outbox.deadLetters()).map(e => e.id), [id]);
+   assert.equal(errors.find(e => e.code === 'DEAD_LETTER')?.status, 422);
+
+   accept = true;
+   await ag.outbox.replay(id);
+   await sleep(30);
+   assert.deepEqual(handled, [id]);
+   assert.deepEqual(await ag.outbox.deadLetters(), []);
+   await closeAll(nodes);
+});
+
+test('a redelivered message id runs its handler once', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   let runs = 0;
+   gc.on('emit', '/events/unit', () => { runs++; });
+   const headers = { messageId: 'm-1' };
+   const first = await ag.bus.request('n1/gc/events/unit--emit', {}, { headers, withHeaders: true });
+   const again = await ag.bus.request('n1/gc/events/unit--emit', {}, { headers, withHeaders: true });
+   assert.equal(runs, 1);
+   assert.equal(first.headers.status, '204');
+   assert.equal(again.headers.duplicate, '1');
+   await closeAll(nodes);
+});
+
+test('redeliveries go to the replica that answered, with a deadline of their own', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag', delivery },
+   );
+   const [gc1, gc2, ag] = nodes;
+   const seen = new Map();
+   for (const gc of [gc1, gc2]) {
+      gc.on('emit', '/events/unit', ctx => {
+         seen.set(ctx.messageId, [...(seen.get(ctx.messageId) ?? []), gc.instanceId]);
+         if (ctx.attempt < 3) throw new PeerError(503, 'Not ready');
+      });
+   }
+   // the caller's deadline has passed by the time of the redeliveries
+   const opts = { durable: true, deadline: Date.now() + 2 };
+   const ids = await Promise.all([1, 2, 3, 4, 5, 6].map(() => ag.send('emit', 'n1/gc/events/unit', {}, opts)));
+   await sleep(100);
+   for (const id of ids) {
+      assert.equal(seen.get(id).length, 3);
+      assert.equal(new Set(seen.get(id)).size, 1);
+   }
+   assert.deepEqual(await ag.outbox.pending(), []);
+   await closeAll(nodes);
+});
+
+test('a redelivery whose replica has left goes to another one', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag', delivery: { ...delivery, baseDelay: 30 } },
+   );
+   const [gc1, ag] = nodes;
+   const ran = [];
+   gc1.on('emit', '/events/unit', () => { ran.push('gc1'); throw new PeerError(503, 'Leaving'); });
+   await ag.send('emit', 'n1/gc/events/unit', {}, { durable: true });
+   await sleep(10);
+   await gc1.close({ gracePeriod: 0 });
+
+   const [gc2] = await createNodes({ nodeId: 'n1', service: 'gc', bus: new MemoryAdapter({ broker: ag.bus.broker }) });
+   gc2.on('emit', '/events/unit', () => { ran.push('gc2'); });
+   await sleep(150);
+   assert.deepEqual(ran, ['gc1', 'gc2']);
+   assert.deepEqual(await ag.outbox.pending(), []);
+   await closeAll([gc2, ag]);
+});
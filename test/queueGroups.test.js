@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+test('replicas of one node share requests: each is handled once', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' },
+   );
+   const [a, b, ag] = nodes;
+   const handled = { a: 0, b: 0 };
+   a.on('get', '/who', () => { handled.a++; return { by: 'a' }; });
+   b.on('get', '/who', () => { handled.b++; return { by: 'b' }; });
+   for (let i = 0; i < 40; i++) await ag.send('get', 'n1/gc/who');
+   assert.equal(handled.a + handled.b, 40);
+   assert.ok(handled.a > 0 && handled.b > 0, 'both replicas take a share');
+   await closeAll(nodes);
+});
+
+test('fanout routes and queueGroup: false deliver to every replica', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'gc' },
+      { nodeId: 'n1', service: 'gc', queueGroup: false }, { nodeId: 'n1', service: 'ag' },
+   );
+   const [a, b, c, ag] = nodes;
+   const seen = [];
+   a.on('emit', '/config/changed', () => { seen.push('a'); }, { fanout: true });
+   b.on('emit', '/config/changed', () => { seen.push('b'); }, { fanout: true });
+   c.on('emit', '/config/changed', () => { seen.push('c'); });
+   await ag.send('emit', 'n1/gc/config/changed', {});
+   await sleep(10);
+   assert.deepEqual(seen.sort(), ['a', 'b', 'c']);
+   await closeAll(nodes);
+});
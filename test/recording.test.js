@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { MemoryAdapter, MemoryBroker, PeerNode, RecordingAdapter, ReplayAdapter, readRecording } from '../src/index.js';
+import { REDACTED, serializeEvent } from '../src/utils/recording.js';
+import { logError, setLogErrorHandler } from '../src/utils/logger.js';
+
+/** gc recorded through `recorder`, ag talking to it on the same broker. */
+async function recordedPair(recorder) {
+   const broker = new MemoryBroker();
+   const gc = new PeerNode({ nodeId: 'n1', service: 'gc', errorHandler: () => {}, bus: recorder(new MemoryAdapter({ broker })) });
+   const ag = new PeerNode({ nodeId: 'n1', service: 'ag', errorHandler: () => {}, bus: new MemoryAdapter({ broker }) });
+   await Promise.all([gc.connect(), ag.connect()]);
+   return { gc, ag, close: () => Promise.all([gc, ag].map(node => node.close({ gracePeriod: 50 }))) };
+}
+
+function grantRoute(node, bonus = 0) {
+   node.on('post', '/unit/:id/exp', ctx => ({ id: ctx.params.id, exp: ctx.payload.exp + bonus }));
+}
+
+async function withDir(fn) {
+   const dir = await mkdtemp(path.join(tmpdir(), 'peernode-'));
+   try {
+      return await fn(dir);
+   } finally {
+      await rm(dir, { recursive: true, force: true });
+   }
+}
+
+test('messages and replies are recorded, sensitive fields redacted', async () => {
+   let recorder;
+   const { gc, ag, close } = await recordedPair(inner => (recorder = new RecordingAdapter(inner, { redact: ['password'] })));
+   grantRoute(gc);
+   await ag.send('post', 'n1/gc/unit/u1/exp', { exp: 5, password: 'hunter2' });
+   await close();
+
+   const message = recorder.events.find(e => e.type === 'message' && e.subject === 'n1/gc/unit/u1/exp--post');
+   assert.deepEqual(message.data, { exp: 5, password: REDACTED });
+   const reply = recorder.events.find(e => e.type === 'reply' && e.of === message.seq);
+   assert.deepEqual(reply.data, { id: 'u1', exp: 5 });
+   assert.equal(reply.headers.status, '200');
+   assert.ok(recorder.events.some(e => e.type === 'subscribe'));
+});
+
+test('BigInts and binary payloads are recorded without breaking delivery', () => withDir(async (dir) => {
+   const file = path.join(dir, 'gc.ndjson');
+   const { gc, ag, close } = await recordedPair(inner => new RecordingAdapter(inner, { file }));
+   gc.on('post', '/ledger', ctx => ({ total: ctx.payload.amount * 2n, size: ctx.payload.blob.length }));
+   const reply = await ag.send('post', 'n1/gc/ledger', { amount: 2n ** 70n, blob: new Uint8Array([1, 2, 3]) }, { codec: 'msgpack' });
+   assert.deepEqual(reply, { total: 2n ** 71n, size: 3 });
+   await close();
+
+   const { events } = await readRecording(file);
+   const message = events.find(e => e.type === 'message' && e.subject === 'n1/gc/ledger--post');
+   assert.equal(message.data.amount, String(2n ** 70n));
+   assert.deepEqual(message.data.blob, { type: 'Buffer', data: [1, 2, 3] });
+   assert.equal(events.find(e => e.type === 'reply' && e.of === message.seq).data.total, String(2n ** 71n));
+}));
+
+test('an event that cannot be recorded is logged, delivery is left to the adapter', () => withDir(async (dir) => {
+   const logged = [];
+   const previous = logError;
+   setLogErrorHandler(err => { logged.push(String(err?.message ?? err)); });
+   try {
+      const broker = new MemoryBroker();
+      const plain = new MemoryAdapter({ broker });
+      const recorded = new RecordingAdapter(new MemoryAdapter({ broker }), { file: path.join(dir, 'x.ndjson') });
+      await Promise.all([plain.connect(), recorded.connect()]);
+      const cyclic = { id: 1 };
+      cyclic.self = cyclic;
+      // the same outcome with and without the recorder
+      assert.equal(await recorded.publish('x/y', cyclic), await plain.publish('x/y', cyclic));
+      assert.ok(logged.some(line => /publish event \d+ not recorded/.test(line)));
+      assert.throws(() => serializeEvent({ data: cyclic }), TypeError);
+      await Promise.all([plain.close(), recorded.close()]);
+   } finally {
+      setLogErrorHandler(previous);
+   }
+}));
+
+test('a file that cannot be opened fails connect(), one failing later falls back to events', () => withDir(async (dir) => {
+   const missing = new RecordingAdapter(new MemoryAdapter(), { file: path.join(dir, 'nowhere', 'x.ndjson') });
+   await assert.rejects(missing.connect(), { code: 'ENOENT' });
+
+   const logged = [];
+   const previous = logError;
+   setLogErrorHandler(err => { logged.push(String(err?.message ?? err)); });
+   try {
+      const recorder = new RecordingAdapter(new MemoryAdapter(), { file: path.join(dir, 'x.ndjson') });
+      await recorder.connect();
+      recorder.out.emit('error', new Error('disk full'));
+      await recorder.publish('x/y', { n: 1 });
+      assert.deepEqual(recorder.events.map(e => [e.type, e.subject]), [['publish', 'x/y']]);
+      assert.equal(logged.filter(line => /disk full/.test(line)).length, 1);
+      await recorder.close();
+   } finally {
+      setLogErrorHandler(previous);
+   }
+}));
+
+test('a replay with the same handlers shows no differences', () => withDir(async (dir) => {
+   const file = path.join(dir, 'gc.ndjson');
+   const { gc, ag, close } = await recordedPair(inner => new RecordingAdapter(inner, { file }));
+   grantRoute(gc);
+   await ag.send('post', 'n1/gc/unit/u1/exp', { exp: 5 });
+   await ag.send('post', 'n1/gc/unit/u2/exp', { exp: 7 });
+   await close();
+
+   for (const [bonus, ok] of [[0, true], [1, false]]) {
+      const bus = await ReplayAdapter.fromFile(file);
+      const peer = new PeerNode({ nodeId: 'n1', service: 'gc', errorHandler: () => {}, bus });
+      await peer.connect();
+      grantRoute(peer, bonus);
+      const report = await bus.replay();
+      assert.equal(report.messages, 2);
+      assert.equal(report.ok, ok);
+      if (!ok) {
+         assert.deepEqual(report.differences[0].diffs, [{ path: 'data.exp', expected: 5, actual: 6 }]);
+      }
+      await peer.close({ gracePeriod: 50 });
+   }
+}));
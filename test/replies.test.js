@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BusReply, PeerError } from '../src/index.js';
+import { closeAll, createNodes } from './helpers.js';
+
+async function pair(errors = []) {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc', errorHandler: err => errors.push(err) }, { nodeId: 'n1', service: 'ag' });
+   const [gc] = nodes;
+   gc.on('get', '/unit/:id', ctx => {
+      if (ctx.params.id === 'none') throw new PeerError(404, 'Unit not found', { data: { unitId: 'none' } });
+      if (ctx.params.id === 'boom') throw new Error('secret detail');
+      ctx.status = 201;
+      ctx.replyHeaders.etag = 'v1';
+      return { id: ctx.params.id };
+   });
+   gc.on('delete', '/unit/:id', () => undefined);
+   return nodes;
+}
+
+test('default mode resolves to the body, error replies included', async () => {
+   const nodes = await pair();
+   const [, ag] = nodes;
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit/u1'), { id: 'u1' });
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit/none'), { error: 'Unit not found', status: 404, unitId: 'none' });
+   await closeAll(nodes);
+});
+
+test('unexpected exceptions are answered with a generic message and reported', async () => {
+   const errors = [];
+   const nodes = await pair(errors);
+   const [gc, ag] = nodes;
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit/boom'), { error: 'Internal Server Error', status: 500 });
+   assert.ok(errors.some(err => err.message === 'secret detail'));
+
+   gc.on('stream', '/feed', async function* () {
+      yield 1;
+      throw new Error('secret detail');
+   });
+   await assert.rejects(async () => {
+      for await (const chunk of ag.stream('n1/gc/feed')) assert.equal(chunk, 1);
+   }, { status: 500, message: 'Internal Server Error' });
+
+   assert.deepEqual(BusReply.fromError(new Error('secret detail')).data, { error: 'Internal Server Error', status: 500 });
+   assert.equal(BusReply.fromError(new PeerError(400, 'Malformed body')).data.error, 'Malformed body');
+   assert.equal(new PeerError(504).message, 'Gateway Timeout');
+   await closeAll(nodes);
+});
+
+test('rich mode resolves to { status, data, headers } and rejects with PeerError', async () => {
+   const nodes = await pair();
+   const [, ag] = nodes;
+   const rep = await ag.send('get', 'n1/gc/unit/u1', {}, { rich: true });
+   assert.equal(rep.status, 201);
+   assert.deepEqual(rep.data, { id: 'u1' });
+   assert.equal(rep.headers.etag, 'v1');
+   assert.equal(rep.headers.from, 'n1/gc');
+
+   const empty = await ag.send('delete', 'n1/gc/unit/u1', {}, { rich: true });
+   assert.equal(empty.status, 204);
+   assert.equal(empty.data, null);
+
+   await assert.rejects(ag.send('get', 'n1/gc/unit/none', {}, { rich: true }), err => {
+      assert.ok(err instanceof PeerError);
+      assert.equal(err.status, 404);
+      assert.equal(err.data.unitId, 'none');
+      return true;
+   });
+   await closeAll(nodes);
+});
+
+test('transport failures map to statuses: 504 timeout', async () => {
+   const nodes = await pair();
+   const [gc, ag] = nodes;
+   gc.on('get', '/slow', () => new Promise(resolve => setTimeout(() => resolve({}), 200)));
+   assert.deepEqual(await ag.send('get', 'n1/gc/slow', {}, { timeout: 20 }), { res: 504 });
+   await assert.rejects(ag.send('get', 'n1/gc/slow', {}, { timeout: 20, rich: true }), { status: 504, code: 'TIMEOUT' });
+   await closeAll(nodes);
+});
+
+test('PeerError.fromBusError maps bus codes', () => {
+   assert.equal(PeerError.fromBusError(Object.assign(new Error('x'), { code: '503' })).status, 503);
+   assert.equal(PeerError.fromBusError(Object.assign(new Error('x'), { code: 'TIMEOUT' })).status, 504);
+   assert.equal(PeerError.fromBusError(new Error('x')).status, 500);
+});
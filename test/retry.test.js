@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PeerError } from '../src/index.js';
+import { backoffDelay, canRetry, resolveRetryPolicy } from '../src/utils/retry.js';
+import { closeAll, createNodes } from './helpers.js';
+
+test('retry policies merge over the defaults; only idempotent verbs retry', () => {
+   const policy = resolveRetryPolicy({ attempts: 3, jitter: 0, baseDelay: 10 });
+   assert.equal(canRetry(policy, 'get'), true);
+   assert.equal(canRetry(policy, 'post'), false);
+   assert.equal(canRetry(policy, 'post', true), true);
+   assert.equal(backoffDelay(policy, 1), 10);
+   assert.equal(backoffDelay(policy, 2), 20);
+   assert.equal(resolveRetryPolicy(false).attempts, 1);
+   assert.throws(() => resolveRetryPolicy({ attempts: 0 }), TypeError);
+});
+
+test('failed attempts with a retryable status are repeated', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   const attempts = [];
+   gc.on('get', '/flaky', ctx => {
+      attempts.push(ctx.attempt);
+      if (ctx.attempt < 3) throw new PeerError(503, 'Busy');
+      return { ok: true };
+   });
+   gc.on('post', '/flaky', () => { throw new PeerError(503, 'Busy'); });
+   const retry = { attempts: 3, baseDelay: 1, jitter: 0 };
+   assert.deepEqual(await ag.send('get', 'n1/gc/flaky', {}, { retry }), { ok: true });
+   assert.deepEqual(attempts, [1, 2, 3]);
+   const rep = await ag.send('post', 'n1/gc/flaky', {}, { retry, rich: true }).catch(err => err);
+   assert.equal(rep.status, 503);
+   await closeAll(nodes);
+});
+
+test('a circuit opens after repeated failures and fails fast', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc' },
+      { nodeId: 'n1', service: 'ag', circuitBreaker: { threshold: 2, resetTimeout: 60_000 } },
+   );
+   const [gc, ag] = nodes;
+   let calls = 0;
+   gc.on('get', '/down', () => { calls++; throw new PeerError(503, 'Down'); });
+   for (let i = 0; i < 2; i++) await ag.send('get', 'n1/gc/down');
+   await assert.rejects(ag.send('get', 'n1/gc/down', {}, { rich: true }), { status: 503, code: 'CIRCUIT_OPEN' });
+   assert.equal(calls, 2);
+   await closeAll(nodes);
+});
+
+test('unknown paths are the caller\'s mistake: no retries, the circuit stays closed', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc' },
+      { nodeId: 'n1', service: 'ag', circuitBreaker: { threshold: 3, resetTimeout: 60_000 }, retry: { attempts: 3, baseDelay: 1 } },
+   );
+   const [gc, ag] = nodes;
+   gc.on('get', '/ok', () => ({ ok: true }));
+   const sent = [];
+   const request = ag.bus.request.bind(ag.bus);
+   ag.bus.request = (subject, ...rest) => {
+      sent.push(subject);
+      return request(subject, ...rest);
+   };
+   for (let i = 0; i < 5; i++) assert.equal((await ag.send('get', 'n1/gc/typo')).status, 404);
+   assert.equal(sent.filter(subject => subject.endsWith('typo--get')).length, 5);
+   assert.deepEqual(await ag.send('get', 'n1/gc/ok'), { ok: true });
+   await closeAll(nodes);
+});
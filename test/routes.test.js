@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { NodeRouter } from '../src/NodeRouter.js';
+import { compileRoute, matchRoute, compareRoutes } from '../src/utils/routePattern.js';
+import { closeAll, createNodes } from './helpers.js';
+
+test('compileRoute / matchRoute capture params and the rest segment', () => {
+   assert.deepEqual(matchRoute(compileRoute('/unit/:unitId/exp'), '/unit/u42/exp'), { unitId: 'u42' });
+   assert.deepEqual(matchRoute(compileRoute('/files/*rest'), '/files/a/b/c'), { rest: 'a/b/c' });
+   assert.equal(matchRoute(compileRoute('/unit/:unitId'), '/unit'), null);
+   assert.equal(matchRoute(compileRoute('/unit/:unitId'), '/unit/u1/more'), null);
+   assert.throws(() => compileRoute('/a/*rest/b'), /last segment/);
+   assert.throws(() => compileRoute('/a/:x/:x'), /Duplicate/);
+   const sorted = ['/unit/*rest', '/unit/:id', '/unit/me'].map(compileRoute).sort(compareRoutes);
+   assert.deepEqual(sorted.map(r => r.pattern), ['/unit/me', '/unit/:id', '/unit/*rest']);
+});
+
+test('on() routes params to ctx.params, most specific route first', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('get', '/unit/:unitId', ctx => ({ by: 'param', ...ctx.params }));
+   gc.on('get', '/unit/me', () => ({ by: 'static' }));
+   gc.on('get', '/files/*rest', ctx => ({ rest: ctx.params.rest }));
+
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit/u42'), { by: 'param', unitId: 'u42' });
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit/me'), { by: 'static' });
+   assert.deepEqual(await ag.send('get', 'n1/gc/files/a/b'), { rest: 'a/b' });
+   assert.throws(() => gc.on('get', '/unit/:other', () => {}), /conflicts/);
+   await closeAll(nodes);
+});
+
+test('NodeRouter.use() mounts parametrized routes', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   new NodeRouter()
+      .use('post', '/unit/:unitId/exp', ctx => ({ unitId: ctx.params.unitId, exp: ctx.payload.exp }))
+      .apply(gc);
+   assert.deepEqual(await ag.send('post', 'n1/gc/unit/u7/exp', { exp: 5 }), { unitId: 'u7', exp: 5 });
+   await closeAll(nodes);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from '../src/index.js';
+import { compileSchema } from '../src/utils/schema.js';
+import { closeAll, createNodes } from './helpers.js';
+
+const unitSchema = {
+   type: 'object',
+   required: ['unitId', 'exp'],
+   properties: { unitId: { type: 'string', minLength: 1 }, exp: { type: 'integer', minimum: 0 } },
+   additionalProperties: false,
+};
+
+test('compileSchema lists every failing field', () => {
+   const validate = compileSchema(unitSchema);
+   assert.deepEqual(validate({ unitId: 'u1', exp: 3 }), []);
+   const errors = validate({ exp: -1, extra: true });
+   assert.deepEqual(errors.map(e => e.field).sort(), ['exp', 'extra', 'unitId']);
+   assert.throws(() => compileSchema({ type: 'nope' }));
+});
+
+test('an invalid payload is answered with 400 and the field errors', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   let calls = 0;
+   gc.on('post', '/unit/exp/add', () => { calls++; return { ok: true }; }, { schema: unitSchema });
+   const rep = await ag.send('post', 'n1/gc/unit/exp/add', { unitId: '', exp: 1.5 });
+   assert.equal(rep.status, 400);
+   assert.deepEqual(rep.errors.map(e => e.field).sort(), ['exp', 'unitId']);
+   assert.equal(calls, 0);
+   assert.deepEqual(await ag.send('post', 'n1/gc/unit/exp/add', { unitId: 'u1', exp: 2 }), { ok: true });
+   await closeAll(nodes);
+});
+
+test('responseSchema failures are 500; send({ schema }) checks before sending', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('get', '/bad', () => ({ unitId: 1 }), { responseSchema: unitSchema });
+   const rep = await ag.send('get', 'n1/gc/bad');
+   assert.equal(rep.status, 500);
+   assert.throws(() => ag.send('post', 'n1/gc/unit/exp/add', { exp: 1 }, { schema: unitSchema }), ValidationError);
+   await closeAll(nodes);
+});
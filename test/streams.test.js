@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PeerError } from '../src/index.js';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+test('a stream route yields its chunks in order', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('stream', '/numbers', async function* (ctx) {
+      for (let i = 0; i < ctx.payload.count; i++) yield { i };
+   });
+   const chunks = [];
+   for await (const chunk of ag.stream('n1/gc/numbers', { count: 40 }, { window: 4 })) chunks.push(chunk.i);
+   assert.deepEqual(chunks, Array.from({ length: 40 }, (_, i) => i));
+   await closeAll(nodes);
+});
+
+test('handler errors reject the iteration with their status', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('stream', '/failing', async function* () {
+      yield 1;
+      throw new PeerError(409, 'Conflict midway');
+   });
+   const chunks = [];
+   await assert.rejects(async () => {
+      for await (const chunk of ag.stream('n1/gc/failing')) chunks.push(chunk);
+   }, { status: 409 });
+   assert.deepEqual(chunks, [1]);
+   await assert.rejects(async () => {
+      for await (const chunk of ag.stream('n1/gc/nowhere')) chunks.push(chunk);
+   }, err => err instanceof PeerError && err.status >= 400);
+   await closeAll(nodes);
+});
+
+test('breaking out of the loop cancels the handler', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   let aborted = false;
+   gc.on('stream', '/endless', async ctx => {
+      ctx.signal.addEventListener('abort', () => { aborted = true; });
+      for (let i = 0; !ctx.signal.aborted; i++) await ctx.write(i);
+   });
+   for await (const chunk of ag.stream('n1/gc/endless', {}, { window: 2 })) {
+      if (chunk === 3) break;
+   }
+   await sleep(20);
+   assert.equal(aborted, true);
+   await closeAll(nodes);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatTraceparent, parseTraceHeaders } from '../src/utils/trace.js';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+test('traceparent round-trips; all-zero ids are ignored', () => {
+   const ctx = { traceId: 'a'.repeat(32), spanId: 'b'.repeat(16) };
+   assert.deepEqual(parseTraceHeaders({ traceparent: formatTraceparent(ctx) }), ctx);
+   assert.equal(parseTraceHeaders({ traceparent: `00-${'0'.repeat(32)}-${'b'.repeat(16)}-01` }), null);
+   assert.deepEqual(parseTraceHeaders({ traceId: 'legacy' }), { traceId: 'legacy', spanId: null });
+});
+
+test('one trace spans every hop; spans are exported with timings', async () => {
+   const spans = [];
+   const spanExporter = span => { spans.push(span); };
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'ag', spanExporter },
+      { nodeId: 'n1', service: 'gc', spanExporter },
+      { nodeId: 'n1', service: 'ds', spanExporter },
+   );
+   const [ag, gc, ds] = nodes;
+   ds.on('get', '/unit/:id', ctx => ({ traceId: ctx.traceId }));
+   gc.on('get', '/unit/:id', async ctx => ctx.send('get', `n1/ds/unit/${ctx.params.id}`));
+   const rep = await ag.send('get', 'n1/gc/unit/u1');
+   await sleep(5);
+
+   const traceIds = new Set(spans.map(s => s.traceId));
+   assert.equal(traceIds.size, 1);
+   assert.equal(rep.traceId, [...traceIds][0]);
+   assert.deepEqual(spans.map(s => s.kind).sort(), ['client', 'client', 'server', 'server']);
+   // each server span is the child of the client span that sent its request
+   for (const server of spans.filter(s => s.kind === 'server')) {
+      const parent = spans.find(s => s.spanId === server.parentSpanId);
+      assert.equal(parent.kind, 'client');
+   }
+   assert.ok(spans.every(s => s.duration >= 0 && s.status === 200));
+   await closeAll(nodes);
+});
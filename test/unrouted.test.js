@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { closeAll, createNodes, sleep } from './helpers.js';
+
+test('"*" routes take any verb, a verb\'s own route wins', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('*', '/unit/:id', ctx => ({ any: ctx.method, id: ctx.params.id }));
+   gc.on('get', '/unit/:id', ctx => ({ get: ctx.params.id }));
+   assert.deepEqual(await ag.send('get', 'n1/gc/unit/u1'), { get: 'u1' });
+   assert.deepEqual(await ag.send('patch', 'n1/gc/unit/u1', {}), { any: 'patch', id: 'u1' });
+   await closeAll(nodes);
+});
+
+test('unknown paths get 404, other verbs 405 with the allowed ones', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('get', '/unit', () => []);
+   gc.on('get', '/unit/:id', () => ({}));
+   gc.on('delete', '/unit/:id', () => ({}));
+
+   assert.deepEqual(await ag.send('get', 'n1/gc/nowhere'), { error: 'No route for n1/gc/nowhere--get', status: 404 });
+   // nobody subscribed to "unit--post": resolved by the caller
+   await assert.rejects(ag.send('post', 'n1/gc/unit', {}, { rich: true }), err => {
+      assert.equal(err.status, 405);
+      assert.deepEqual(err.data.allowed, ['get']);
+      assert.equal(err.headers.allow, 'get');
+      return true;
+   });
+   // "unit/*" takes every verb: answered by the receiving replica
+   await assert.rejects(ag.send('put', 'n1/gc/unit/u1', {}, { rich: true }), err => {
+      assert.equal(err.status, 405);
+      assert.equal(err.headers.allow, 'delete, get');
+      return true;
+   });
+   await closeAll(nodes);
+});
+
+test('a node that is down still gives 503', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'ag' });
+   const [ag] = nodes;
+   assert.deepEqual(await ag.send('get', 'n9/gc/unit', {}, { timeout: 100 }), { res: 503 });
+   await closeAll(nodes);
+});
+
+test('replicas with different routes answer each other\'s routes', async () => {
+   const nodes = await createNodes(
+      { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' },
+   );
+   const [a, b, ag] = nodes;
+   // slow handlers: a stray 404 of the other replica would come first
+   a.on('get', '/only-a', async () => { await sleep(2); return { by: 'a' }; });
+   b.on('get', '/only-b/:id', async () => { await sleep(2); return { by: 'b' }; });
+   for (let i = 0; i < 20; i++) {
+      assert.deepEqual(await ag.send('get', 'n1/gc/only-a'), { by: 'a' });
+      assert.deepEqual(await ag.send('get', `n1/gc/only-b/${i}`), { by: 'b' });
+   }
+   await closeAll(nodes);
+});
+
+test('a malformed body is answered with one 400', async () => {
+   const nodes = await createNodes({ nodeId: 'n1', service: 'gc' }, { nodeId: 'n1', service: 'ag' });
+   const [gc, ag] = nodes;
+   gc.on('post', '/unit/:id', () => ({}));
+   const replies = [];
+   ag.bus.subscribe('_test/inbox', data => { replies.push(data); });
+   // claims gzip, carries plain JSON
+   ag.bus.broker.dispatch({
+      subject: 'n1/gc/unit/u1--post',
+      reply: '_test/inbox',
+      headers: ag.bus.buildHeaders({ 'content-type': 'application/json', 'content-encoding': 'gzip' }),
+      data: new TextEncoder().encode('{}'),
+   });
+   await sleep(20);
+   assert.equal(replies.length, 1);
+   assert.equal(replies[0].status, 400);
+   await closeAll(nodes);
+});